@@ -1,11 +1,16 @@
-// Node.js 核心模塊
-const os = require('os');
-const fs = require('fs');
-const path = require('path');
+// Node.js 核心模塊：在關閉 Node 集成的頁面中（配合 bwb-preload.js）不可用，檔案操作改由 window.bwbBridge 提供
+const nodeRequire = typeof require === 'function' ? require : null;
+const os = nodeRequire ? nodeRequire('os') : null;
+const fs = nodeRequire ? nodeRequire('fs') : null;
+const path = nodeRequire ? nodeRequire('path') : null;
+const crypto = nodeRequire ? nodeRequire('crypto') : null;
 
 // 外部依賴
 let getWallpaper;
 let ImageBlurProcessor;
+let bwbPath;
+let bwbRuntime;
+let bwbCacheLock;
 
 // 自訂日誌樣式常量
 const BWB_LOG_STYLE_BWB = "background-color: black; color:white;padding: 0 5px; border-radius: 1000px 0 0 1000px;";
@@ -20,15 +25,135 @@ const BWB_WARN_STYLE_WARNING = "background-color: orange; color:black;padding: 0
 const BWB_WARN_STYLE_FUNC = "background-color: orange; color:black;padding: 0 5px; border-radius: 1000px;";
 
 
-try {
-    getWallpaper = require('./wallpaper.js');
-    ImageBlurProcessor = require('./ImageBlurProcessor.js');
-} catch (e) {
-    const intentName = "依賴載入"; // Dependency Loading
-    const message = "無法加載依賴項。請確保 wallpaper.js 和 ImageBlurProcessor.js 位於同一目錄且兼容 CommonJS。";
-    console.error(`%cBWB%cError%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET, e);
+if (nodeRequire) {
+    try {
+        getWallpaper = require('./wallpaper.js');
+        ImageBlurProcessor = require('./ImageBlurProcessor.js');
+        bwbPath = require('./bwb-path.js');
+        bwbRuntime = require('./bwb-runtime.js');
+        bwbCacheLock = require('./bwb-cache-lock.js');
+    } catch (e) {
+        const intentName = "依賴載入"; // Dependency Loading
+        const message = "無法加載依賴項。請確保 wallpaper.js、ImageBlurProcessor.js、bwb-path.js、bwb-runtime.js 和 bwb-cache-lock.js 位於同一目錄且兼容 CommonJS。";
+        console.error(`%cBWB%cError%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET, e);
+    }
+} else if (typeof window !== 'undefined') {
+    // 以 <script> 載入：ImageBlurProcessor.js 和 bwb-runtime.js 需要先於本檔案載入，桌布和緩存由 bwb-preload.js 提供
+    ImageBlurProcessor = window.ImageBlurProcessor;
+    bwbRuntime = window.bwbRuntime;
+}
+
+// 已註冊的桌布來源，見 BlurredWindowBackground.registerSourceProvider
+const sourceProviders = new Map();
+if (getWallpaper) {
+    sourceProviders.set('system', getWallpaper.systemSourceProvider || {
+        name: 'system',
+        getSource: async () => getWallpaper.getWallpaperInfo ? getWallpaper.getWallpaperInfo() : getWallpaper(),
+        watch: getWallpaper.watchWallpaper
+    });
+}
+
+// 緩存和桌布檔案的讀寫。Node 集成的頁面中直接使用 fs，否則經由 bwb-preload.js 的 window.bwbBridge.files。
+// 緩存目錄由同一應用的所有窗口和實例共用：寫入都是原子的，tryLock 見 bwb-cache-lock.js
+const nodeFileHost = {
+    exists: (filePath) => fs.existsSync(filePath),
+    stat: (filePath) => {
+        try {
+            const stats = fs.statSync(filePath);
+            return { mtimeMs: stats.mtimeMs, size: stats.size };
+        } catch (e) {
+            return null;
+        }
+    },
+    readText: (filePath) => fs.promises.readFile(filePath, 'utf8'),
+    writeText: (filePath, text) => bwbCacheLock.writeFileAtomic(filePath, text),
+    writeImage: (filePath, blurredBlobInstance) => blurredBlobInstance.toFile(filePath),
+    remove: (filePath) => fs.promises.unlink(filePath),
+    readBytes: null, // 本地路徑由 ImageBlurProcessor 直接讀取
+    list: (dirPath) => fs.promises.readdir(dirPath),
+    tryLock: (filePath) => bwbCacheLock.tryAcquireLock(filePath),
+    toFileUrl: (filePath, version) => bwbPath.toFileUrl(filePath, version)
+};
+
+function createBridgeFileHost(files) {
+    return {
+        exists: (filePath) => files.exists(filePath),
+        stat: (filePath) => files.stat(filePath),
+        readText: (filePath) => files.readText(filePath),
+        writeText: (filePath, text) => files.writeText(filePath, text),
+        writeImage: async (filePath, blurredBlobInstance) => files.writeBytes(filePath, new Uint8Array(await blurredBlobInstance.toArrayBuffer())),
+        remove: (filePath) => files.remove(filePath),
+        readBytes: (filePath) => files.readBytes(filePath),
+        list: () => files.list(), // 橋接只能列出緩存目錄
+        tryLock: (filePath) => files.tryLock(filePath),
+        toFileUrl: (filePath, version) => files.toFileUrl(filePath, version)
+    };
 }
 
+/**
+ * 把 window.bwbBridge.source 包裝為桌布來源。橋接以普通對象返回錯誤，這裡還原為帶有 code 的 WallpaperPathError。
+ */
+function createBridgeSourceProvider(source) {
+    return {
+        name: 'system',
+        getSource: async () => {
+            const { info, error } = await source.getSource();
+            if (error) {
+                const restored = new Error(error.message);
+                restored.name = error.name || 'Error';
+                restored.code = error.code;
+                restored.path = error.path;
+                throw restored;
+            }
+            return info;
+        },
+        watch: (onChange) => {
+            const watcher = source.watch(onChange);
+            if (!watcher) throw new Error('桌布來源不支援監聽');
+            return {
+                get eventDriven() { return watcher.isEventDriven(); },
+                close: () => watcher.close()
+            };
+        }
+    };
+}
+
+// 沒有 crypto 時（關閉 Node 集成的頁面）用於比較圖片數據的 FNV-1a 哈希
+function hashBytes(bytes) {
+    if (crypto) return crypto.createHash('sha1').update(bytes).digest('hex');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `fnv${(hash >>> 0).toString(16)}-${bytes.length}`;
+}
+
+// 緩存項檔案名稱中雜湊的計算方式改變時遞增，舊的緩存項會因名稱不再匹配而被淘汰
+const CACHE_FORMAT_VERSION = 1;
+
+/**
+ * 緩存項名稱使用的雜湊：兩個不同初始值的 FNV-1a 組成 16 位十六進制。
+ * 不依賴 crypto，Node 集成的頁面、橋接模式和主進程對同一描述得到相同的名稱。
+ */
+function hashCacheKey(text) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x050c5d1f;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 0x01000193);
+        h2 = Math.imul(h2 ^ code, 0x01000193);
+    }
+    return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
+
+const baseName = (filePath) => String(filePath).split(/[\\/]/).pop();
+
+// 等待其他窗口或進程釋放緩存鎖時的檢查間隔，以及最長等待時間：緩存項的生成可能需要數秒，元數據的寫入很快
+const CACHE_LOCK_POLL_MS = 200;
+const CACHE_ENTRY_LOCK_TIMEOUT = 60000;
+const METADATA_LOCK_TIMEOUT = 2000;
+
 /**
  * @class BlurredWindowBackground
  * @description 自動創建一個帶模糊背景和動態調整透明度遮罩的窗口背景元素。
@@ -36,92 +161,55 @@ try {
 class BlurredWindowBackground {
     constructor(options = {}) {
         this.runtimeEnv = 'unknown';
-        this.electron = null;
-        this.nwWin = null;
-        this.nwScreen = null;
+        this.runtime = null; // 運行時適配器，見 bwb-runtime.js
+        // bwb-preload.js 暴露的橋接：沒有 Node 的頁面中自動使用
+        this._bridge = options.bridge || (!nodeRequire && typeof window !== 'undefined' && window.bwbBridge) || null;
+        this.files = this._bridge ? createBridgeFileHost(this._bridge.files) : nodeFileHost;
 
-        this._detectEnvironment();
+        this._detectEnvironment(options.runtimeAdapter);
 
         let appName = 'DefaultApp';
-        if (this.runtimeEnv === 'nwjs' && this.nwWin) {
-            appName = (nw.App.manifest && nw.App.manifest.name) ? nw.App.manifest.name : 'NWJSApp';
-        } else if (this.runtimeEnv === 'electron' && this.electron && this.electron.ipcRenderer) {
+        if (this.runtime) {
             try {
-                appName = this.electron.ipcRenderer.sendSync('bwb:get-app-name');
+                appName = this.runtime.getAppName() || appName;
             } catch (e) {
                 const intentName = "獲取應用資訊"; // Get App Info
-                const message = "無法通過 IPC 獲取應用程式名稱。使用備用名稱。";
+                const message = "無法從運行時獲取應用程式名稱。使用備用名稱。";
                 console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, e);
-                appName = 'ElectronApp';
             }
         }
-        const sanitizedAppName = (appName || 'DefaultApp').replace(/[^a-zA-Z0-9_.-]/g, '_') || 'DefaultSanitizedApp';
-        this.internalTempSubDir = `bwb_temp_${sanitizedAppName}_rewrite`;
-        this.internalBlurredImagePreviewName = 'blurred_wallpaper_preview.webp';
-        this.internalBlurredImageFinalName = 'blurred_wallpaper_final.webp';
-        this.internalMetadataFileName = 'bwb_metadata.json';
+        this.internalTempSubDir = BlurredWindowBackground.getCacheDirName(appName);
+        this.internalMetadataFileName = BlurredWindowBackground.CACHE_FILE_NAMES.metadata;
 
         this._isSystemInDarkMode = false;
         this._realMode = true;
         this._realColorRGB = null;
-        this._darkModeMatcher = null;
-        this._handleSystemThemeChangeForNWJS = null;
-        this._handleSystemThemeChangeForElectron = null;
+        this._handleSystemThemeChange = null;
         this._lastKnownScreenDimensions = { width: 0, height: 0 };
 
-        const defaultOptions = {
-            borderRadius: 15,
-            blurRadius: 60,
-            previewBlurRadius: 90,
-            previewQualityFactor: 0.1,
-            titleBarHeight: 0,
-            checkIntervalSuccess: 1000,
-            checkIntervalError: 5000,
-            imageProcessingZipRate: 0.25,
-            elementZIndex: '-1',
-            backgroundTransitionDuration: 500,
-            dynamicOverlay: {
-                enable: true,
-                baseColorRGB: [252, 252, 252],
-                lightColorRGB: [252, 252, 252],
-                darkColorRGB: [30, 30, 30],
-                minAlpha: 0.5,
-                maxAlpha: 0.75,
-                brightnessThresholdLow: 70,
-                brightnessThresholdHigh: 180,
-                lightMode: 'system',
-            },
-        };
+        const defaultOptions = BlurredWindowBackground.DEFAULT_OPTIONS;
 
-        const mergedDynamicOverlayOptions = { ...defaultOptions.dynamicOverlay };
-        if (options.dynamicOverlay) {
-            for (const key in options.dynamicOverlay) {
-                if (options.dynamicOverlay.hasOwnProperty(key)) {
-                    mergedDynamicOverlayOptions[key] = options.dynamicOverlay[key];
-                }
-            }
-        }
-        if (!Array.isArray(mergedDynamicOverlayOptions.lightColorRGB) || mergedDynamicOverlayOptions.lightColorRGB.length !== 3) {
-            mergedDynamicOverlayOptions.lightColorRGB = defaultOptions.dynamicOverlay.lightColorRGB;
-        }
-        if (!Array.isArray(mergedDynamicOverlayOptions.darkColorRGB) || mergedDynamicOverlayOptions.darkColorRGB.length !== 3) {
-            mergedDynamicOverlayOptions.darkColorRGB = defaultOptions.dynamicOverlay.darkColorRGB;
-        }
+        this.options = this._mergeOptions(defaultOptions, options);
 
-        this.options = {
-            ...defaultOptions,
-            ...options,
-            dynamicOverlay: mergedDynamicOverlayOptions
-        };
+        this.sourceProvider = this._resolveSourceProvider(this.options.sourceProvider);
 
         this.appRootDir = this._getAppRootDir();
         this.tempDir = this._getTemporaryDirectory();
 
-        this.metadataFilePath = this.tempDir ? path.join(this.tempDir, this.internalMetadataFileName) : null;
-        this.blurredImagePreviewPath = this.tempDir ? path.join(this.tempDir, this.internalBlurredImagePreviewName) : null;
-        this.blurredImageFinalPath = this.tempDir ? path.join(this.tempDir, this.internalBlurredImageFinalName) : null;
+        this.metadataFilePath = this._getCacheFilePath(this.internalMetadataFileName);
+        // 當前桌布、螢幕尺寸和選項對應的緩存項，見 _selectCacheEntries
+        this.blurredImagePreviewPath = null;
+        this.blurredImageFinalPath = null;
+        this._cacheEntries = {}; // 緩存項檔案名稱 -> { kind, source, size, createdAt, lastUsedAt, palette }
 
         this.currentOriginalWallpaperPath = null;
+        this._resolvedFit = { fitMode: 'zoom', backgroundColor: [0, 0, 0], span: null };
+        this._palette = null; // 從模糊結果中提取的調色板，見 ImageBlurProcessor.extractPalette
+        this._publishedThemeVariables = null;
+        this._slideshowNextChangeAt = null;
+        this._wallpaperWatcher = null;
+        this._sourceFileStamp = null; // 桌布檔案的修改時間和大小，用於發現同一路徑的檔案被覆蓋
+        this._reportedSourceProblem = null; // 最近一次報告過的來源問題，同一問題只報告一次
         this.lastAppliedImagePath = null;
         this.currentAppliedCssUrl = null;
 
@@ -139,33 +227,347 @@ class BlurredWindowBackground {
         this._isTransitioningBackground = false;
         this._pendingImageForTransition = null;
         this._activeWallpaperFlowId = 0;
+        this._imageJobAbortController = null;
+        this._imageJobAbortFlowId = null;
         this.styleElementId = 'bwb-styles';
+        this._eventListeners = new Map(); // 事件名稱 -> 監聽器數組，見 on()/emit()
+        this._lastThemeState = null; // 最近一次發出 theme-changed 時的主題，用於只在變化時發出
+        this._lastOverlayState = null;
+        this._lastGenerationError = null;
+        this._blurServiceUnavailable = false; // 開啟了 blurService 但主進程沒有啟用模糊服務
+        this._pauseReasons = new Set(); // 'manual'、'hidden'、'minimized'，非空時暫停
+        this._forceRegenerateOnResume = false;
+        this._handleVisibilityChange = null;
+        this._handleMinimize = null;
+        this._handleRestore = null;
+        this._handleWindowStateChangeBound = this._handleWindowStateChange.bind(this);
+        this._handleRuntimeBoundsChange = (newBounds) => {
+            if (newBounds) this._currentWindowBounds = newBounds;
+            this._onWindowBoundsChange();
+        };
+        this._onWindowBoundsChangeBound = () => this._onWindowBoundsChange();
+        this._onDisplayMetricsChangeBound = this._onDisplayMetricsChange.bind(this);
 
         this._initialize();
     }
 
-    _detectEnvironment() {
-        const intentName = "環境檢測"; // Environment Detection
-        if (typeof nw !== 'undefined' && nw.Window && nw.Screen) {
-            this.runtimeEnv = 'nwjs';
-            this.nwWin = nw.Window.get();
-            this.nwScreen = nw.Screen;
-        } else if (typeof process !== 'undefined' && process.versions && process.versions.electron) {
-            this.runtimeEnv = 'electron';
+    /**
+     * 註冊事件監聽器。事件：wallpaper-changed、preview-applied、final-applied、overlay-updated、theme-changed、error，
+     * 各事件的參數見 README。
+     * @param {String} eventName 事件名稱
+     * @param {Function} listener 監聽器
+     * @returns {BlurredWindowBackground} 實例本身，可以鏈式調用
+     */
+    on(eventName, listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`事件 "${eventName}" 的監聽器必須是函數`);
+        }
+        if (!this._eventListeners.has(eventName)) this._eventListeners.set(eventName, []);
+        this._eventListeners.get(eventName).push(listener);
+        return this;
+    }
+
+    /**
+     * 註冊只觸發一次的事件監聽器
+     * @param {String} eventName 事件名稱
+     * @param {Function} listener 監聽器
+     * @returns {BlurredWindowBackground}
+     */
+    once(eventName, listener) {
+        const wrapper = (...args) => {
+            this.off(eventName, wrapper);
+            listener.apply(this, args);
+        };
+        wrapper.listener = listener;
+        return this.on(eventName, wrapper);
+    }
+
+    /**
+     * 移除事件監聽器，未指定 listener 時移除該事件的所有監聽器
+     * @param {String} eventName 事件名稱
+     * @param {Function} [listener] 監聽器（也可以是傳給 once() 的函數）
+     * @returns {BlurredWindowBackground}
+     */
+    off(eventName, listener) {
+        const listeners = this._eventListeners.get(eventName);
+        if (!listeners) return this;
+        if (!listener) {
+            this._eventListeners.delete(eventName);
+            return this;
+        }
+        const index = listeners.findIndex(l => l === listener || l.listener === listener);
+        if (index !== -1) listeners.splice(index, 1);
+        if (listeners.length === 0) this._eventListeners.delete(eventName);
+        return this;
+    }
+
+    /**
+     * 發出事件。監聽器拋出的錯誤只會被記錄，不會中斷背景的處理流程。
+     * @param {String} eventName 事件名稱
+     * @param {...*} args 傳給監聽器的參數
+     * @returns {Boolean} 是否有監聽器
+     */
+    emit(eventName, ...args) {
+        const listeners = this._eventListeners.get(eventName);
+        if (!listeners || listeners.length === 0) return false;
+        for (const listener of listeners.slice()) {
             try {
-                this.electron = require('electron');
-                if (!this.electron.ipcRenderer) {
-                    const message = "檢測到 Electron 環境，但 ipcRenderer 不可用。此腳本應在渲染進程中運行。";
-                    console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
-                    this.runtimeEnv = 'unknown_error_electron_ipc';
-                }
+                listener.apply(this, args);
             } catch (e) {
-                const loadModuleIntent = "載入Electron模組"; // Load Electron Module
-                const message = "在渲染器中加載 Electron 模塊失敗。";
-                console.error(`%cBWB%cError%c\n    %c${loadModuleIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET, e);
-                this.runtimeEnv = 'unknown_error_electron_load';
+                const intentName = "事件監聽器"; // Event Listener
+                const message = `"${eventName}" 的監聽器拋出錯誤:`;
+                console.error(`%cBWB%cError%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET, e);
             }
-        } else {
+        }
+        return true;
+    }
+
+    /**
+     * 發出 error 事件
+     * @param {String} reason 'init-failed'、'source-unavailable'、'source-invalid'、'generation-failed' 或 'update-failed'
+     * @param {String} message 可讀的說明
+     * @param {Object} [details] 附加的欄位，例如 stage、code、path、error
+     */
+    _emitError(reason, message, details = {}) {
+        this.emit('error', { reason, message, ...details });
+    }
+
+    /**
+     * 暫停桌布檢查和遮罩取樣，例如窗口被收到托盤時。resume() 後會進行一次補檢查。
+     */
+    pause() {
+        this._addPauseReason('manual');
+    }
+
+    /**
+     * 取消 pause()。autoPause 因窗口隱藏或最小化而暫停時，要等窗口恢復才會繼續。
+     */
+    resume() {
+        this._removePauseReason('manual');
+    }
+
+    /**
+     * @returns {Boolean} 是否處於暫停狀態（手動暫停、頁面隱藏或窗口最小化）
+     */
+    isPaused() {
+        return this._pauseReasons.size > 0;
+    }
+
+    _addPauseReason(reason) {
+        const wasPaused = this._pauseReasons.size > 0;
+        this._pauseReasons.add(reason);
+        if (wasPaused) return;
+        if (this._wallpaperCheckTimeoutId) {
+            clearTimeout(this._wallpaperCheckTimeoutId);
+            this._wallpaperCheckTimeoutId = null;
+        }
+        if (this._moveUpdateTimeoutId) {
+            clearTimeout(this._moveUpdateTimeoutId);
+            this._moveUpdateTimeoutId = null;
+        }
+        this.emit('paused', { reason });
+    }
+
+    _removePauseReason(reason) {
+        if (!this._pauseReasons.delete(reason) || this._pauseReasons.size > 0) return;
+        this.emit('resumed', { reason });
+        // 暫停期間錯過的定時檢查、桌布變化通知和遮罩取樣合併為一次補檢查
+        if (this.viewportElement) {
+            const forceRegenerate = this._forceRegenerateOnResume;
+            this._forceRegenerateOnResume = false;
+            this.updateAndApplyBlurredWallpaper(false, forceRegenerate);
+        }
+    }
+
+    _setupAutoPause() {
+        if (typeof document !== 'undefined') {
+            this._handleVisibilityChange = () => {
+                if (document.hidden) this._addPauseReason('hidden');
+                else this._removePauseReason('hidden');
+            };
+            document.addEventListener('visibilitychange', this._handleVisibilityChange);
+            if (document.hidden) this._addPauseReason('hidden');
+        }
+        this._handleMinimize = () => this._addPauseReason('minimized');
+        this._handleRestore = () => this._removePauseReason('minimized');
+        if (this.runtime) {
+            this.runtime.on('minimized', this._handleMinimize);
+            this.runtime.on('restored', this._handleRestore);
+        }
+    }
+
+    _teardownAutoPause() {
+        if (this._handleVisibilityChange && typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+        }
+        if (this._handleMinimize && this.runtime) {
+            this.runtime.off('minimized', this._handleMinimize);
+            this.runtime.off('restored', this._handleRestore);
+        }
+        this._handleVisibilityChange = null;
+        this._handleMinimize = null;
+        this._handleRestore = null;
+    }
+
+    /**
+     * 合併選項：dynamicOverlay 逐欄位合併，無效的顏色沿用 base 中的值
+     * @param {Object} base 完整的選項
+     * @param {Object} partial 要覆蓋的選項
+     * @returns {Object}
+     */
+    _mergeOptions(base, partial) {
+        const mergedDynamicOverlayOptions = { ...base.dynamicOverlay };
+        if (partial.dynamicOverlay) {
+            for (const key in partial.dynamicOverlay) {
+                if (partial.dynamicOverlay.hasOwnProperty(key)) {
+                    mergedDynamicOverlayOptions[key] = partial.dynamicOverlay[key];
+                }
+            }
+        }
+        if (!Array.isArray(mergedDynamicOverlayOptions.lightColorRGB) || mergedDynamicOverlayOptions.lightColorRGB.length !== 3) {
+            mergedDynamicOverlayOptions.lightColorRGB = base.dynamicOverlay.lightColorRGB;
+        }
+        if (!Array.isArray(mergedDynamicOverlayOptions.darkColorRGB) || mergedDynamicOverlayOptions.darkColorRGB.length !== 3) {
+            mergedDynamicOverlayOptions.darkColorRGB = base.dynamicOverlay.darkColorRGB;
+        }
+
+        return {
+            ...base,
+            ...partial,
+            dynamicOverlay: mergedDynamicOverlayOptions
+        };
+    }
+
+    /**
+     * 在運行中修改選項，不需要銷毀並重新創建實例。只做變更所需的最少工作：
+     * 外觀相關的選項只重新注入樣式，遮罩相關的選項只重新計算遮罩，
+     * 只有影響生成圖片的選項（模糊半徑、壓縮比例、算法、濾鏡、填充方式等）才會重新生成圖片。
+     * @param {Object} partial 要修改的選項，格式與構造函數相同，dynamicOverlay 可以只包含要修改的欄位
+     * @returns {Promise<void>}
+     */
+    async setOptions(partial = {}) {
+        const previous = this.options;
+        const previousFinalOptions = JSON.stringify(this._getProcessingOptions('final'));
+        this.options = this._mergeOptions(previous, partial);
+        const changed = (...keys) => keys.some(key => JSON.stringify(previous[key]) !== JSON.stringify(this.options[key]));
+        const overlayChanged = (...keys) => keys.some(key => JSON.stringify(previous.dynamicOverlay[key]) !== JSON.stringify(this.options.dynamicOverlay[key]));
+
+        if (this.options.runtimeAdapter !== previous.runtimeAdapter) {
+            // 窗口和螢幕的監聽在初始化時綁定到適配器上，運行中不能更換
+            const intentName = "修改選項"; // Set Options
+            const message = "runtimeAdapter 只能在構造時指定，已忽略。";
+            console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+            this.options.runtimeAdapter = previous.runtimeAdapter;
+        }
+
+        let sourceChanged = false;
+        if (changed('sourceProvider')) {
+            const provider = this._resolveSourceProvider(this.options.sourceProvider);
+            if (provider) {
+                this.sourceProvider = provider;
+                sourceChanged = true;
+            } else {
+                this.options.sourceProvider = previous.sourceProvider;
+            }
+        }
+        // 尚未初始化完成時，_initialize 會直接使用新的選項
+        if (!this.viewportElement) return;
+
+        if (sourceChanged || changed('watchWallpaper')) {
+            this._stopWallpaperWatcher();
+            this._startWallpaperWatcher();
+        }
+        if (changed('autoPause')) {
+            this._teardownAutoPause();
+            if (this.options.autoPause) {
+                this._setupAutoPause();
+            } else {
+                this._removePauseReason('hidden');
+                this._removePauseReason('minimized');
+            }
+        }
+
+        if (overlayChanged('enable')) {
+            if (this.options.dynamicOverlay.enable && !this.overlayElement) {
+                this._createOverlayElement();
+            } else if (!this.options.dynamicOverlay.enable && this.overlayElement) {
+                this.overlayElement.remove();
+                this.overlayElement = null;
+                this._lastOverlayState = null;
+            }
+        }
+        const overlayKeys = Object.keys(this.options.dynamicOverlay).filter(key => key !== 'enable');
+        if (overlayChanged(...overlayKeys) || (overlayChanged('enable') && this.overlayElement)) {
+            // 同時會重新注入樣式、更新主題變量並重新計算遮罩
+            this._updateRealModeAndColor();
+        } else if (changed('borderRadius', 'elementZIndex', 'backgroundTransitionDuration')) {
+            this._injectStyles();
+        }
+        if (changed('borderRadius')) {
+            this._updateViewportStyles();
+        }
+        if (changed('titleBarHeight')) {
+            this._updateBackgroundPosition();
+            await this._updateOverlayBasedOnCurrentPosition();
+        }
+        if (changed('themeVariables')) {
+            if (this.options.themeVariables) {
+                this._applyThemeVariables();
+            } else {
+                this._removeThemeVariables();
+            }
+        }
+
+        // 模糊服務的編碼器可能與頁面不同，切換 blurService 時也重新生成
+        if (changed('blurService')) this._blurServiceUnavailable = false;
+        // 填充方式在下一次更新時才重新解析，因此單獨比較。只有預覽圖的參數變化時正式圖仍然有效，下一次需要預覽圖時按新參數對應的緩存項生成
+        const finalChanged = JSON.stringify(this._getProcessingOptions('final')) !== previousFinalOptions ||
+            changed('fitMode', 'letterboxColorRGB');
+        const paletteMissing = this._needsPalette() && !this._palette;
+        if (sourceChanged || finalChanged || paletteMissing) {
+            await this.updateAndApplyBlurredWallpaper(false, true);
+            return;
+        }
+        if (changed('cacheMaxEntries', 'cacheMaxBytes', 'cacheMaxAge')) {
+            await this._evictCacheEntries();
+        }
+        if (changed('checkIntervalSuccess', 'checkIntervalWatched') && this._wallpaperCheckTimeoutId) {
+            this._scheduleNextWallpaperCheck(this.options.checkIntervalSuccess);
+        }
+    }
+
+    /**
+     * 選擇運行時適配器：options.runtimeAdapter 有效時直接使用，否則根據全局對象檢測 NW.js 或 Electron
+     * @param {Object} [customAdapter] 實現了 bwb-runtime.js 中 RUNTIME_ADAPTER_METHODS 的對象
+     */
+    _detectEnvironment(customAdapter) {
+        const intentName = "環境檢測"; // Environment Detection
+        if (!bwbRuntime) return;
+        if (customAdapter) {
+            if (bwbRuntime.isRuntimeAdapter(customAdapter)) {
+                this.runtime = customAdapter;
+                this.runtimeEnv = customAdapter.name || 'custom';
+                return;
+            }
+            const message = `runtimeAdapter 沒有實現 ${bwbRuntime.RUNTIME_ADAPTER_METHODS.join('、')}，改為自動檢測。`;
+            console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+        }
+        if (this._bridge) {
+            this.runtime = new bwbRuntime.BridgeRuntimeAdapter(this._bridge.runtime);
+            this.runtimeEnv = this.runtime.name;
+            return;
+        }
+        const { adapter, runtimeEnv, error } = bwbRuntime.detectRuntimeAdapter();
+        this.runtime = adapter;
+        this.runtimeEnv = runtimeEnv;
+        if (runtimeEnv === 'unknown_error_electron_ipc') {
+            const message = "檢測到 Electron 環境，但 ipcRenderer 不可用。此腳本應在渲染進程中運行。";
+            console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+        } else if (runtimeEnv === 'unknown_error_electron_load') {
+            const loadModuleIntent = "載入Electron模組"; // Load Electron Module
+            const message = "在渲染器中加載 Electron 模塊失敗。";
+            console.error(`%cBWB%cError%c\n    %c${loadModuleIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET, error);
+        } else if (!adapter) {
             const message = "無法識別運行時環境 (NW.js 或 Electron)。";
             console.error(`%cBWB%cError%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET);
         }
@@ -173,13 +575,11 @@ class BlurredWindowBackground {
 
     _getAppRootDir() {
         const intentName = "獲取應用路徑"; // Get App Path
-        if (this.runtimeEnv === 'nwjs') {
-            return path.dirname(process.execPath);
-        } else if (this.runtimeEnv === 'electron' && this.electron && this.electron.ipcRenderer) {
+        if (this.runtime) {
             try {
-                return this.electron.ipcRenderer.sendSync('bwb:get-app-path');
+                return this.runtime.getAppPath() || '.';
             } catch (e) {
-                const message = "無法通過 IPC 獲取。使用備用路徑 '.'。";
+                const message = "無法從運行時獲取。使用備用路徑 '.'。";
                 console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, e);
                 return '.';
             }
@@ -189,20 +589,26 @@ class BlurredWindowBackground {
 
     _getTemporaryDirectory() {
         const generalIntent = "設定暫存目錄"; // Setup Temp Directory
+        if (this._bridge) {
+            // 緩存目錄由 bwb-preload.js 創建
+            if (!this._bridge.files.cacheDir) {
+                const message = "bwbBridge 沒有可用的緩存目錄。";
+                console.error(`%cBWB%cError%c\n    %c${generalIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+            }
+            return this._bridge.files.cacheDir || null;
+        }
         if (!this.appRootDir) {
             const message = "在獲取臨時目錄之前 appRootDir 尚未初始化。";
             console.error(`%cBWB%cError%c\n    %c${generalIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET);
             return null;
         }
         let tempPathBase;
-        if (this.runtimeEnv === 'nwjs') {
-            tempPathBase = os.tmpdir();
-        } else if (this.runtimeEnv === 'electron' && this.electron && this.electron.ipcRenderer) {
+        if (this.runtime) {
             try {
-                tempPathBase = this.electron.ipcRenderer.sendSync('bwb:get-path', 'temp');
+                tempPathBase = this.runtime.getTempPath();
             } catch (e) {
                 const getPathIntent = "獲取系統暫存路徑"; // Get System Temp Path
-                const message = "無法通過 IPC 獲取。使用 os.tmpdir()。";
+                const message = "無法從運行時獲取。使用 os.tmpdir()。";
                 console.warn(`%cBWB%cWarning%c\n    %c${getPathIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, e);
                 tempPathBase = os.tmpdir();
             }
@@ -248,20 +654,36 @@ class BlurredWindowBackground {
         }
     }
 
+    _getCacheFilePath(fileName) {
+        if (!this.tempDir) return null;
+        return this._bridge ? this._bridge.files.cachePath(fileName) : path.join(this.tempDir, fileName);
+    }
+
     async _initialize() {
         const intentName = "BWB初始化"; // BWB Initialization
+        // 初始化在構造函數中開始，延後一個微任務發出錯誤，讓構造後立即註冊的監聽器也能收到
         if (!this.tempDir) {
             const message = "由於沒有可用的臨時目錄，初始化中止。";
             console.error(`%cBWB%cError%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+            await Promise.resolve();
+            this._emitError('init-failed', message);
             return;
         }
-        if (!getWallpaper || !ImageBlurProcessor) {
+        if (!this.sourceProvider || !ImageBlurProcessor || (!bwbPath && !this._bridge)) {
             const depCheckIntent = "檢查依賴"; // Check Dependencies
-            const message = "由於缺少關鍵依賴項 (getWallpaper 或 ImageBlurProcessor)，初始化中止。";
+            const message = "由於缺少關鍵依賴項 (桌布來源或 ImageBlurProcessor)，初始化中止。";
             console.error(`%cBWB%cError%c\n    %c${depCheckIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+            await Promise.resolve();
+            this._emitError('init-failed', message);
             return;
         }
 
+        if (this.options.blurService && !this._usesBlurService()) {
+            const blurServiceIntent = "模糊服務"; // Blur Service
+            const message = `當前運行時 (${this.runtimeEnv}) 不支援模糊服務，將在頁面中生成圖片。`;
+            console.warn(`%cBWB%cWarning%c\n    %c${blurServiceIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+        }
+
         await this._loadMetadata();
 
         await this._initializeSystemThemeAndListeners();
@@ -272,13 +694,20 @@ class BlurredWindowBackground {
         this._updateLastKnownScreenDimensions();
         this._updateViewportStyles();
         this._setupEventListeners();
+        this._startWallpaperWatcher();
 
         let loadedFromCache = false;
-        if (this.currentOriginalWallpaperPath && fs.existsSync(this.currentOriginalWallpaperPath)) {
-            if (this.blurredImageFinalPath && fs.existsSync(this.blurredImageFinalPath)) {
+        const lastKey = this.currentOriginalWallpaperPath;
+        if (lastKey && this._sourceKeyAvailable(lastKey) && this._currentScreenBounds.width > 0 && this._currentScreenBounds.height > 0) {
+            // 上次的桌布、圖片檔案、螢幕尺寸和選項都沒有變化時，對應的緩存項存在即可直接使用
+            this._selectCacheEntries(lastKey, this._getSourceFileStamp(this._sourceFromKey(lastKey)),
+                [this._currentScreenBounds.width, this._currentScreenBounds.height]);
+            if (this.blurredImageFinalPath && this.files.exists(this.blurredImageFinalPath)) {
+                this._restoreCachedPalette(this.blurredImageFinalPath);
+                this._touchCacheEntry(this.blurredImageFinalPath, 'final');
                 await this._applyBackgroundImage(this.blurredImageFinalPath, this._activeWallpaperFlowId, true);
                 loadedFromCache = true;
-            } else if (this.blurredImagePreviewPath && fs.existsSync(this.blurredImagePreviewPath)) {
+            } else if (this.blurredImagePreviewPath && this.files.exists(this.blurredImagePreviewPath)) {
                 await this._applyBackgroundImage(this.blurredImagePreviewPath, this._activeWallpaperFlowId, true);
                 this.updateAndApplyBlurredWallpaper(true, false);
                 loadedFromCache = true;
@@ -305,6 +734,11 @@ class BlurredWindowBackground {
             this._realMode = false;
             this._realColorRGB = darkColorRGB;
         }
+        if (this.options.dynamicOverlay.tintFromPalette && this._palette) {
+            this._realColorRGB = this._realMode ? this._palette.lightMuted : this._palette.darkMuted;
+        }
+        this._applyThemeVariables();
+        this._emitThemeChanged();
         if (this.viewportElement) {
             this._injectStyles();
             if (this.options.dynamicOverlay.enable && this.overlayElement) {
@@ -313,45 +747,80 @@ class BlurredWindowBackground {
         }
     }
 
+    /**
+     * 將調色板以 CSS 自定義屬性發佈到 document.documentElement 上，應用的強調色等可以直接引用。
+     * 每個顏色同時提供 `--bwb-xxx`（rgb()）和 `--bwb-xxx-rgb`（"r, g, b"，用於 rgba()）兩種形式；
+     * `--bwb-accent` 和 `--bwb-surface` 會按當前的淺色/深色模式選擇對比合適的顏色。
+     */
+    _applyThemeVariables() {
+        if (!this.options.themeVariables || !this._palette || typeof document === 'undefined') return;
+        const palette = this._palette;
+        const colors = {
+            'dominant': palette.dominant,
+            'vibrant': palette.vibrant,
+            'light-vibrant': palette.lightVibrant,
+            'dark-vibrant': palette.darkVibrant,
+            'muted': palette.muted,
+            'light-muted': palette.lightMuted,
+            'dark-muted': palette.darkMuted,
+            'accent': this._realMode ? palette.darkVibrant : palette.lightVibrant,
+            'surface': this._realMode ? palette.lightMuted : palette.darkMuted
+        };
+        const style = document.documentElement.style;
+        for (const name in colors) {
+            if (!Array.isArray(colors[name])) continue;
+            const rgb = colors[name].join(', ');
+            style.setProperty(`--bwb-${name}`, `rgb(${rgb})`);
+            style.setProperty(`--bwb-${name}-rgb`, rgb);
+        }
+        this._publishedThemeVariables = Object.keys(colors);
+    }
+
+    _emitThemeChanged() {
+        const state = {
+            mode: this._realMode ? 'light' : 'dark',
+            isSystemDark: this._isSystemInDarkMode,
+            overlayColor: this._realColorRGB,
+            palette: this._palette
+        };
+        const serialized = JSON.stringify(state);
+        if (serialized === this._lastThemeState) return;
+        this._lastThemeState = serialized;
+        this.emit('theme-changed', state);
+    }
+
+    _removeThemeVariables() {
+        if (!this._publishedThemeVariables || typeof document === 'undefined') return;
+        const style = document.documentElement.style;
+        for (const name of this._publishedThemeVariables) {
+            style.removeProperty(`--bwb-${name}`);
+            style.removeProperty(`--bwb-${name}-rgb`);
+        }
+        this._publishedThemeVariables = null;
+    }
+
     async _initializeSystemThemeAndListeners() {
         const intentName = "獲取系統主題"; // Get System Theme
-        if (this.runtimeEnv === 'nwjs') {
-            if (window.matchMedia) {
-                this._darkModeMatcher = window.matchMedia('(prefers-color-scheme: dark)');
-                this._isSystemInDarkMode = this._darkModeMatcher.matches;
-                this._handleSystemThemeChangeForNWJS = (e) => {
-                    const newIsDark = e.matches;
-                    if (this._isSystemInDarkMode !== newIsDark) {
-                        this._isSystemInDarkMode = newIsDark;
-                        if (this.options.dynamicOverlay.lightMode === 'system') {
-                            this._updateRealModeAndColor();
-                        }
-                    }
-                };
-                this._darkModeMatcher.addEventListener('change', this._handleSystemThemeChangeForNWJS);
-            } else {
-                this._isSystemInDarkMode = false;
-            }
-        } else if (this.runtimeEnv === 'electron' && this.electron && this.electron.ipcRenderer) {
-            try {
-                this._isSystemInDarkMode = await this.electron.ipcRenderer.invoke('bwb:get-system-theme-is-dark');
-            } catch (e) {
-                const message = "從主進程獲取初始狀態失敗，使用備用值 false。";
-                console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, e);
-                this._isSystemInDarkMode = false;
-            }
-            this._handleSystemThemeChangeForElectron = (event, isDark) => {
-                if (this._isSystemInDarkMode !== isDark) {
-                    this._isSystemInDarkMode = isDark;
-                    if (this.options.dynamicOverlay.lightMode === 'system') {
-                        this._updateRealModeAndColor();
-                    }
-                }
-            };
-            this.electron.ipcRenderer.on('bwb:system-theme-changed', this._handleSystemThemeChangeForElectron);
-        } else {
+        if (!this.runtime) {
             this._isSystemInDarkMode = false;
+            return;
         }
+        try {
+            this._isSystemInDarkMode = !!(await this.runtime.isSystemDarkMode());
+        } catch (e) {
+            const message = "從運行時獲取初始狀態失敗，使用備用值 false。";
+            console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, e);
+            this._isSystemInDarkMode = false;
+        }
+        this._handleSystemThemeChange = (isDark) => {
+            if (this._isSystemInDarkMode !== isDark) {
+                this._isSystemInDarkMode = isDark;
+                if (this.options.dynamicOverlay.lightMode === 'system') {
+                    this._updateRealModeAndColor();
+                }
+            }
+        };
+        this.runtime.on('theme-changed', this._handleSystemThemeChange);
     }
 
     _injectStyles() {
@@ -394,56 +863,40 @@ class BlurredWindowBackground {
         this.backgroundContainer.id = 'bwb-background-container';
         this.viewportElement.appendChild(this.backgroundContainer);
         if (this.options.dynamicOverlay.enable) {
-            this.overlayElement = document.createElement('div');
-            this.overlayElement.id = 'bwb-overlay';
-            const initialOverlayColorRGB = this._realColorRGB || this.options.dynamicOverlay.baseColorRGB;
-            const { maxAlpha } = this.options.dynamicOverlay;
-            this.overlayElement.style.backgroundColor = `rgba(${initialOverlayColorRGB.join(',')}, ${maxAlpha})`;
-            this.viewportElement.appendChild(this.overlayElement);
+            this._createOverlayElement();
         }
         document.body.appendChild(this.viewportElement);
     }
 
+    _createOverlayElement() {
+        this.overlayElement = document.createElement('div');
+        this.overlayElement.id = 'bwb-overlay';
+        const initialOverlayColorRGB = this._realColorRGB || this.options.dynamicOverlay.baseColorRGB;
+        const { maxAlpha } = this.options.dynamicOverlay;
+        this.overlayElement.style.backgroundColor = `rgba(${initialOverlayColorRGB.join(',')}, ${maxAlpha})`;
+        this.viewportElement.appendChild(this.overlayElement);
+    }
+
     _setupEventListeners() {
-        if (this.runtimeEnv === 'nwjs' && this.nwWin) {
-            this.nwWin.on('maximize', this._handleWindowStateChange.bind(this));
-            this.nwWin.on('unmaximize', this._handleWindowStateChange.bind(this));
-            this.nwWin.on('restore', this._handleWindowStateChange.bind(this));
-            this.nwWin.on('enter-fullscreen', this._handleWindowStateChange.bind(this));
-            this.nwWin.on('leave-fullscreen', this._handleWindowStateChange.bind(this));
-            this.nwWin.on('move', this._onWindowBoundsChange.bind(this));
-            this.nwWin.on('resize', this._onWindowBoundsChange.bind(this));
-            if (this.nwScreen) {
-                this.nwScreen.on('displayBoundsChanged', this._onDisplayMetricsChange.bind(this));
-                this.nwScreen.on('displayAdded', this._onDisplayMetricsChange.bind(this));
-                this.nwScreen.on('displayRemoved', this._onDisplayMetricsChange.bind(this));
-            }
-        } else if (this.runtimeEnv === 'electron' && this.electron && this.electron.ipcRenderer) {
-            this.electron.ipcRenderer.on('bwb:window-maximized', this._handleWindowStateChange.bind(this));
-            this.electron.ipcRenderer.on('bwb:window-unmaximized', this._handleWindowStateChange.bind(this));
-            this.electron.ipcRenderer.on('bwb:window-fullscreen-changed', () => this._handleWindowStateChange());
-            this.electron.ipcRenderer.on('bwb:window-bounds-updated', (event, newBounds) => {
-                this._currentWindowBounds = newBounds;
-                this._onWindowBoundsChange();
-            });
-            this.electron.ipcRenderer.on('bwb:display-metrics-changed', this._onDisplayMetricsChange.bind(this));
+        if (this.runtime) {
+            this.runtime.on('state-changed', this._handleWindowStateChangeBound);
+            this.runtime.on('bounds-changed', this._handleRuntimeBoundsChange);
+            this.runtime.on('display-changed', this._onDisplayMetricsChangeBound);
         }
-        window.addEventListener('resize', this._onWindowBoundsChange.bind(this));
+        window.addEventListener('resize', this._onWindowBoundsChangeBound);
+        if (this.options.autoPause) this._setupAutoPause();
     }
 
     async _updateWindowState() {
         const intentName = "獲取視窗狀態"; // Get Window State
-        if (this.runtimeEnv === 'nwjs' && this.nwWin) {
-            this._isMaximized = this.nwWin.state === 'maximized';
-            this._isFullScreen = this.nwWin.isFullscreen;
-            this._currentWindowBounds = { x: this.nwWin.x, y: this.nwWin.y, width: this.nwWin.width, height: this.nwWin.height };
-        } else if (this.runtimeEnv === 'electron' && this.electron && this.electron.ipcRenderer) {
+        if (this.runtime) {
             try {
-                this._isMaximized = await this.electron.ipcRenderer.invoke('bwb:get-window-is-maximized');
-                this._isFullScreen = await this.electron.ipcRenderer.invoke('bwb:get-window-is-fullscreen');
-                this._currentWindowBounds = await this.electron.ipcRenderer.invoke('bwb:get-window-bounds');
+                const state = await this.runtime.getWindowState();
+                this._isMaximized = !!state.isMaximized;
+                this._isFullScreen = !!state.isFullScreen;
+                if (state.bounds) this._currentWindowBounds = state.bounds;
             } catch (e) {
-                const message = "從主進程獲取失敗。";
+                const message = "從運行時獲取失敗。";
                 console.error(`%cBWB%cError%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET, e);
             }
         }
@@ -485,7 +938,7 @@ class BlurredWindowBackground {
         this._updateBackgroundPosition();
         if (this._moveUpdateTimeoutId) clearTimeout(this._moveUpdateTimeoutId);
         this._moveUpdateTimeoutId = setTimeout(async () => {
-            if (this.lastAppliedImagePath && fs.existsSync(this.lastAppliedImagePath)) {
+            if (this.lastAppliedImagePath && this.files.exists(this.lastAppliedImagePath)) {
                 await this._updateOverlayBasedOnCurrentPosition();
             }
         }, 150);
@@ -525,6 +978,11 @@ class BlurredWindowBackground {
     async updateAndApplyBlurredWallpaper(isInitialLoad = false, forceRegenerate = false) {
         const generalUpdateIntent = "更新桌布"; // Update Wallpaper
         if (this._wallpaperCheckTimeoutId) clearTimeout(this._wallpaperCheckTimeoutId);
+        if (this.isPaused()) {
+            // 恢復時會補檢查一次，需要強制重新生成的請求留到那時處理
+            this._forceRegenerateOnResume = this._forceRegenerateOnResume || forceRegenerate;
+            return;
+        }
         if (!this.tempDir) {
             const message = "無法更新，沒有臨時目錄。";
             console.error(`%cBWB%cError%c\n    %c${generalUpdateIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET);
@@ -535,13 +993,17 @@ class BlurredWindowBackground {
         const localFlowId = this._activeWallpaperFlowId;
 
         try {
-            const newOriginalPath = await getWallpaper();
+            const wallpaperInfo = await this._getSourceInfo();
+            // 桌面只有純色/漸變、幻燈片正在過渡或來源直接提供圖片數據時，以來源描述或數據代替圖片路徑，並用它的序列化結果作為比較用的"路徑"
+            const wallpaperSource = wallpaperInfo ? (wallpaperInfo.source || wallpaperInfo.path || wallpaperInfo.buffer || null) : null;
+            const newOriginalPath = this._getSourceKey(wallpaperSource);
+            // 幻燈片桌布在下一個切換時間點需要重新生成
+            this._slideshowNextChangeAt = wallpaperInfo && wallpaperInfo.slideshow ? wallpaperInfo.slideshow.nextChangeAt : null;
             if (!newOriginalPath) {
-                const getIntent = "獲取桌布路徑"; // Get Wallpaper Path
-                const message = `[Flow ${localFlowId}] 無法獲取。`;
-                console.warn(`%cBWB%cWarning%c\n    %c${getIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+                this._reportSourceProblem('source-unavailable', "桌布來源沒有返回可用的桌布（路徑、圖片數據或純色），將繼續重試。");
                 this._scheduleNextWallpaperCheck(this.options.checkIntervalError); return;
             }
+            this._reportedSourceProblem = null;
 
             if (localFlowId !== this._activeWallpaperFlowId && !isInitialLoad) {
                 return;
@@ -563,22 +1025,50 @@ class BlurredWindowBackground {
 
             const wallpaperChanged = newOriginalPath !== this.currentOriginalWallpaperPath;
 
+            // 同一路徑的圖片被覆蓋時，路徑不變但需要重新生成
+            const newSourceFileStamp = this._getSourceFileStamp(wallpaperSource);
+            if (!wallpaperChanged && this._sourceFileStamp && newSourceFileStamp && newSourceFileStamp !== this._sourceFileStamp) {
+                forceRegenerate = true;
+            }
+            if (newSourceFileStamp !== this._sourceFileStamp) {
+                this._sourceFileStamp = newSourceFileStamp;
+                if (!wallpaperChanged && !forceRegenerate) await this._saveMetadata();
+            }
+
+            // 桌面的填充方式、背景色或螢幕排列變化時，需要重新生成圖片
+            const newResolvedFit = this._resolveFit(wallpaperInfo);
+            if (JSON.stringify(newResolvedFit) !== JSON.stringify(this._resolvedFit)) {
+                this._resolvedFit = newResolvedFit;
+                forceRegenerate = true;
+            }
+
             if (wallpaperChanged || forceRegenerate) {
                 if (!isInitialLoad || wallpaperChanged) {
+                    this._abortImageJobs();
                     this._activeWallpaperFlowId++;
                 }
+                const previousKey = this.currentOriginalWallpaperPath;
                 this.currentOriginalWallpaperPath = newOriginalPath;
                 await this._saveMetadata();
+                if (wallpaperChanged) {
+                    this.emit('wallpaper-changed', { key: newOriginalPath, previousKey, info: wallpaperInfo });
+                }
             }
             const currentActiveFlowId = this._activeWallpaperFlowId;
-
-            const previewExists = this.blurredImagePreviewPath ? fs.existsSync(this.blurredImagePreviewPath) : false;
-            const finalExists = this.blurredImageFinalPath ? fs.existsSync(this.blurredImageFinalPath) : false;
-
-            if (!forceRegenerate && !wallpaperChanged && finalExists && !isInitialLoad) {
-                const finalCssUrl = this.blurredImageFinalPath ? this._pathToCssUrl(this.blurredImageFinalPath) : 'none';
-                if (this.currentAppliedCssUrl !== finalCssUrl && this.blurredImageFinalPath) {
-                    await this._applyBackgroundImage(this.blurredImageFinalPath, currentActiveFlowId);
+            const imageJobSignal = this._getImageJobSignal(currentActiveFlowId);
+
+            // 緩存項以桌布、圖片檔案的修改時間和大小、螢幕尺寸及所有影響圖片的選項命名：
+            // 存在即為有效，切換回之前用過的桌布或螢幕時不需要重新生成
+            this._selectCacheEntries(newOriginalPath, newSourceFileStamp, [screenWidth, screenHeight]);
+            const finalExists = this.blurredImageFinalPath ? this.files.exists(this.blurredImageFinalPath) : false;
+
+            if (finalExists) {
+                const finalCssUrl = this._pathToCssUrl(this.blurredImageFinalPath);
+                if (this.currentAppliedCssUrl !== finalCssUrl) {
+                    this._restoreCachedPalette(this.blurredImageFinalPath);
+                    this._touchCacheEntry(this.blurredImageFinalPath, 'final');
+                    await this._saveMetadata();
+                    await this._applyBackgroundImage(this.blurredImageFinalPath, currentActiveFlowId, isInitialLoad);
                 } else {
                     if (currentActiveFlowId === this._activeWallpaperFlowId) await this._updateOverlayBasedOnCurrentPosition();
                 }
@@ -586,58 +1076,54 @@ class BlurredWindowBackground {
                 return;
             }
 
-            const needsProcessing = forceRegenerate || wallpaperChanged || !previewExists || !finalExists;
+            let previewAppliedInThisFlow = false;
 
-            if (needsProcessing) {
-                const trulyForceImageGen = forceRegenerate || wallpaperChanged;
-                let previewAppliedInThisFlow = false;
+            const previewTargetSize = [screenWidth, screenHeight];
+            const previewGenerated = this.blurredImagePreviewPath ? await this._generateBlurredImage(
+                wallpaperSource, this.blurredImagePreviewPath, this.options.previewBlurRadius,
+                this.options.previewQualityFactor, previewTargetSize, true,
+                false, imageJobSignal
+            ) : false;
 
-                const previewTargetSize = [screenWidth, screenHeight];
-                const previewGenerated = this.blurredImagePreviewPath ? await this._generateBlurredImage(
-                    newOriginalPath, this.blurredImagePreviewPath, this.options.previewBlurRadius,
-                    this.options.previewQualityFactor, previewTargetSize, true,
-                    trulyForceImageGen || !previewExists
-                ) : false;
+            if (currentActiveFlowId !== this._activeWallpaperFlowId) return;
 
-                if (currentActiveFlowId !== this._activeWallpaperFlowId) return;
-
-                if (previewGenerated && this.blurredImagePreviewPath && fs.existsSync(this.blurredImagePreviewPath)) {
-                    await this._applyBackgroundImage(this.blurredImagePreviewPath, currentActiveFlowId);
-                    previewAppliedInThisFlow = true;
-                } else {
-                    const genPreviewIntent = "生成預覽圖"; // Generate Preview Image
-                    const message = `[Flow ${currentActiveFlowId}] 生成失敗或文件不存在。`;
-                    console.warn(`%cBWB%cWarning%c\n    %c${genPreviewIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+            if (previewGenerated && this.blurredImagePreviewPath && this.files.exists(this.blurredImagePreviewPath)) {
+                await this._applyBackgroundImage(this.blurredImagePreviewPath, currentActiveFlowId);
+                previewAppliedInThisFlow = true;
+            } else {
+                const genPreviewIntent = "生成預覽圖"; // Generate Preview Image
+                const message = `[Flow ${currentActiveFlowId}] 生成失敗或文件不存在。`;
+                console.warn(`%cBWB%cWarning%c\n    %c${genPreviewIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+                if (this.blurredImagePreviewPath && !(imageJobSignal && imageJobSignal.aborted)) {
+                    this._emitError('generation-failed', '預覽圖生成失敗。', { stage: 'preview', error: this._lastGenerationError });
                 }
+            }
 
-                if (currentActiveFlowId !== this._activeWallpaperFlowId) return;
+            if (currentActiveFlowId !== this._activeWallpaperFlowId) return;
 
-                const finalTargetSize = [screenWidth, screenHeight];
-                const finalGenerated = this.blurredImageFinalPath ? await this._generateBlurredImage(
-                    newOriginalPath, this.blurredImageFinalPath, this.options.blurRadius,
-                    this.options.imageProcessingZipRate, finalTargetSize, false,
-                    trulyForceImageGen || !finalExists
-                ) : false;
+            const finalTargetSize = [screenWidth, screenHeight];
+            const finalGenerated = this.blurredImageFinalPath ? await this._generateBlurredImage(
+                wallpaperSource, this.blurredImageFinalPath, this.options.blurRadius,
+                this.options.imageProcessingZipRate, finalTargetSize, false,
+                false, imageJobSignal
+            ) : false;
 
-                if (currentActiveFlowId !== this._activeWallpaperFlowId) return;
+            if (currentActiveFlowId !== this._activeWallpaperFlowId) return;
 
-                if (finalGenerated && this.blurredImageFinalPath && fs.existsSync(this.blurredImageFinalPath)) {
-                    await this._applyBackgroundImage(this.blurredImageFinalPath, currentActiveFlowId);
-                    await this._saveMetadata();
-                } else {
-                    const genFinalIntent = "生成正式圖"; // Generate Final Image
-                    const message = `[Flow ${currentActiveFlowId}] 生成失敗或文件不存在。`;
-                    console.warn(`%cBWB%cWarning%c\n    %c${genFinalIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
-                    if (!previewAppliedInThisFlow && this.backgroundContainer) {
-                        this.backgroundContainer.style.backgroundImage = 'none';
-                        this.currentAppliedCssUrl = 'none';
-                    }
+            if (finalGenerated && this.blurredImageFinalPath && this.files.exists(this.blurredImageFinalPath)) {
+                await this._applyBackgroundImage(this.blurredImageFinalPath, currentActiveFlowId);
+                await this._saveMetadata();
+                await this._evictCacheEntries();
+            } else {
+                const genFinalIntent = "生成正式圖"; // Generate Final Image
+                const message = `[Flow ${currentActiveFlowId}] 生成失敗或文件不存在。`;
+                console.warn(`%cBWB%cWarning%c\n    %c${genFinalIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+                if (this.blurredImageFinalPath && !(imageJobSignal && imageJobSignal.aborted)) {
+                    this._emitError('generation-failed', '正式圖生成失敗。', { stage: 'final', error: this._lastGenerationError });
                 }
-            } else if (isInitialLoad) {
-                if (this.blurredImageFinalPath && fs.existsSync(this.blurredImageFinalPath)) {
-                    await this._applyBackgroundImage(this.blurredImageFinalPath, currentActiveFlowId, true);
-                } else if (this.blurredImagePreviewPath && fs.existsSync(this.blurredImagePreviewPath)) {
-                    await this._applyBackgroundImage(this.blurredImagePreviewPath, currentActiveFlowId, true);
+                if (!previewAppliedInThisFlow && this.backgroundContainer) {
+                    this.backgroundContainer.style.backgroundImage = 'none';
+                    this.currentAppliedCssUrl = 'none';
                 }
             }
 
@@ -647,15 +1133,24 @@ class BlurredWindowBackground {
             }
 
         } catch (error) {
+            if (error && error.name === 'WallpaperPathError') {
+                // 桌布設定本身有問題，重試不會有不同結果：報告一次，等設定變化（或下一次常規檢查）時再讀取
+                this._reportSourceProblem('source-invalid', `桌布無法使用 (${error.code})：${error.message}`, { code: error.code, path: error.path, error });
+                if (localFlowId === this._activeWallpaperFlowId) {
+                    this._scheduleNextWallpaperCheck(this.options.checkIntervalSuccess);
+                }
+                return;
+            }
             const message = `[Flow ${localFlowId}] 操作時出錯 (${this.runtimeEnv}):`;
             console.error(`%cBWB%cError%c\n    %c${generalUpdateIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET, error);
+            this._emitError('update-failed', error && error.message ? error.message : String(error), { error });
             if (localFlowId === this._activeWallpaperFlowId) {
                 this._scheduleNextWallpaperCheck(this.options.checkIntervalError);
             }
         }
     }
 
-    async _generateBlurredImage(sourcePath, outputPath, blurRadius, qualityOrZipRate, targetSize, isPreview, forceGenerateThisImage = false) {
+    async _generateBlurredImage(source, outputPath, blurRadius, qualityOrZipRate, targetSize, isPreview, forceGenerateThisImage = false, signal = null) {
         const generalProcessIntent = "圖片處理"; // Image Processing
         if (!ImageBlurProcessor) {
             const message = "ImageBlurProcessor 未加載。";
@@ -668,23 +1163,81 @@ class BlurredWindowBackground {
             console.error(`%cBWB%cError%c\n    %c${setupIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET);
             return false;
         }
-        if (!sourcePath || !fs.existsSync(sourcePath)) {
+        this._lastGenerationError = null;
+        const isBlend = ImageBlurProcessor.isBlendSource(source);
+        const missingPath = typeof source === 'string' ? (this.files.exists(source) ? null : source) :
+            isBlend ? [source.from, source.to].find(p => !this.files.exists(p)) || null : null;
+        if (!source || missingPath) {
             const validateSourceIntent = "驗證來源圖片"; // Validate Source Image
-            const message = `路徑不存在: ${sourcePath}`;
+            const message = `路徑不存在: ${missingPath || source}`;
             console.error(`%cBWB%cError%c\n    %c${validateSourceIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+            this._lastGenerationError = new Error(message);
             return false;
         }
 
-        if (!forceGenerateThisImage && fs.existsSync(outputPath)) {
+        if (!forceGenerateThisImage && this.files.exists(outputPath)) {
             return true;
         }
 
+        // 其他窗口或應用實例可能正在生成同一個緩存項：等待對方完成並直接使用其結果
+        const release = await this._acquireCacheLock(outputPath, CACHE_ENTRY_LOCK_TIMEOUT, {
+            signal,
+            isDone: forceGenerateThisImage ? null : () => this.files.exists(outputPath)
+        });
+        try {
+            if (signal && signal.aborted) return false;
+            if (!forceGenerateThisImage && this.files.exists(outputPath)) {
+                await this._adoptCacheEntry(outputPath, isPreview);
+                return true;
+            }
+            const generated = this._usesBlurService() ?
+                await this._generateWithBlurService(source, outputPath, blurRadius, qualityOrZipRate, targetSize, isPreview, signal) :
+                await this._renderBlurredImage(source, outputPath, blurRadius, qualityOrZipRate, targetSize, isPreview, signal);
+            if (generated && !(signal && signal.aborted)) {
+                // 釋放鎖之前記錄緩存項，等待中的窗口可以從元數據取得正式圖的調色板
+                this._touchCacheEntry(outputPath, isPreview ? 'preview' : 'final', isPreview ? undefined : (this._needsPalette() ? this._palette : null));
+                await this._saveMetadata();
+            }
+            return generated;
+        } finally {
+            if (release) await release();
+        }
+    }
+
+    /**
+     * 在頁面中生成圖片並寫入緩存
+     */
+    async _renderBlurredImage(source, outputPath, blurRadius, qualityOrZipRate, targetSize, isPreview, signal) {
+        const generalProcessIntent = "圖片處理"; // Image Processing
+        const isLocalPath = typeof source === 'string' || ImageBlurProcessor.isBlendSource(source);
         try {
-            const processor = new ImageBlurProcessor(sourcePath, targetSize, qualityOrZipRate, true);
-            const blurredBlobInstance = await processor.blurImage(blurRadius, 'image/webp');
+            let input = source;
+            if (typeof source === 'string' && this.files.readBytes) {
+                // 頁面不能直接讀取本地檔案時，經由橋接讀取並以圖片數據傳入
+                input = await this.files.readBytes(source);
+            }
+            const processor = new ImageBlurProcessor(input, targetSize, qualityOrZipRate, isLocalPath && input === source, {
+                worker: this.options.useWorker,
+                algorithm: this.options.blurAlgorithm,
+                filters: this.options.materialFilters,
+                fitMode: this._resolvedFit.fitMode,
+                backgroundColor: this._resolvedFit.backgroundColor,
+                span: this._resolvedFit.span,
+                edgeMode: this.options.edgeMode,
+                linearLight: this.options.linearLight,
+                dither: this.options.dither,
+                extractPalette: this._needsPalette()
+            });
+            const blurredBlobInstance = await processor.blurImage(blurRadius, 'image/webp', { signal, quality: this.options.imageQuality });
+
+            if (signal && signal.aborted) return false;
 
             if (blurredBlobInstance && blurredBlobInstance.blob) {
-                await blurredBlobInstance.toFile(outputPath);
+                await this.files.writeImage(outputPath, blurredBlobInstance);
+                if (blurredBlobInstance.palette && !(signal && signal.aborted)) {
+                    this._palette = blurredBlobInstance.palette;
+                    this._updateRealModeAndColor();
+                }
                 return true;
             } else {
                 const message = `未能為 ${isPreview ? '預覽' : '最終'} 返回 blob。`;
@@ -692,21 +1245,359 @@ class BlurredWindowBackground {
                 return false;
             }
         } catch (err) {
+            if (err && err.name === 'AbortError') return false; // 流程已過期，任務被取消
             const message = `生成 ${isPreview ? '預覽' : '最終'} 模糊圖像時出錯 (${outputPath}):`;
             console.error(`%cBWB%cError%c\n    %c${generalProcessIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET, err);
+            this._lastGenerationError = err;
             return false;
         }
     }
 
-    _pathToCssUrl(filePath) {
-        if (!filePath) return 'none';
-        let mtime = Date.now();
+    /**
+     * 由宿主的模糊服務（bwb-electron-ipc-setup.js 的 blurService）生成圖片並寫入緩存，頁面不解碼也不寫入檔案
+     */
+    async _generateWithBlurService(source, outputPath, blurRadius, zipRate, targetSize, isPreview, signal) {
+        const generalProcessIntent = "模糊服務"; // Blur Service
         try {
-            if (fs.existsSync(filePath)) {
-                mtime = fs.statSync(filePath).mtime.getTime();
+            // Blob 無法經過 IPC，先轉為圖片數據
+            const requestSource = typeof Blob !== 'undefined' && source instanceof Blob ? new Uint8Array(await source.arrayBuffer()) : source;
+            const result = await this.runtime.generateBackground({
+                kind: isPreview ? 'preview' : 'final',
+                fileName: baseName(outputPath),
+                source: requestSource,
+                targetSize,
+                zipRate,
+                blurRadius,
+                quality: this.options.imageQuality,
+                options: {
+                    algorithm: this.options.blurAlgorithm,
+                    filters: this.options.materialFilters,
+                    fitMode: this._resolvedFit.fitMode,
+                    backgroundColor: this._resolvedFit.backgroundColor,
+                    span: this._resolvedFit.span,
+                    edgeMode: this.options.edgeMode,
+                    linearLight: this.options.linearLight,
+                    dither: this.options.dither,
+                    extractPalette: this._needsPalette()
+                }
+            });
+            if (signal && signal.aborted) return false;
+            if (result && result.palette) {
+                this._palette = result.palette;
+                this._updateRealModeAndColor();
+            }
+            return !!result;
+        } catch (err) {
+            if (err && /No handler registered/.test(err.message)) {
+                // 主進程沒有以 blurService 調用 setupBlurredWindowBackgroundIPC：之後都在頁面中生成
+                const message = "主進程沒有啟用模糊服務，改為在頁面中生成。";
+                console.warn(`%cBWB%cWarning%c\n    %c${generalProcessIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+                this._blurServiceUnavailable = true;
+                return this._renderBlurredImage(source, outputPath, blurRadius, zipRate, targetSize, isPreview, signal);
+            }
+            const message = `生成 ${isPreview ? '預覽' : '最終'} 模糊圖像時出錯:`;
+            console.error(`%cBWB%cError%c\n    %c${generalProcessIntent}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET, err);
+            this._lastGenerationError = err;
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Boolean} 是否由宿主的模糊服務生成圖片，並以 bwb:// 地址顯示
+     */
+    _usesBlurService() {
+        return !!this.options.blurService && !this._blurServiceUnavailable &&
+            !!this.runtime && typeof this.runtime.generateBackground === 'function';
+    }
+
+    /**
+     * 模糊服務提供的緩存圖片地址。版本由檔案的修改時間和大小組成：內容變化時地址隨之變化，因此同一地址可以長期緩存
+     * @param {String} fileName 緩存目錄中的檔案名稱，見 CACHE_ENTRY_PATTERN
+     * @param {{mtimeMs: Number, size: Number} | null} stats
+     * @returns {String} 例如 bwb://cache/bwb_final_0123456789abcdef.webp?v=lq3x1a2b-1f4c
+     */
+    static getServiceImageUrl(fileName, stats) {
+        const version = stats ? `${Math.floor(stats.mtimeMs).toString(36)}-${stats.size.toString(36)}` : Date.now().toString(36);
+        return `bwb://cache/${encodeURIComponent(fileName)}?v=${version}`;
+    }
+
+    /**
+     * 緩存目錄的名稱，位於系統暫存目錄（Electron 為 app.getPath('temp')）下，每個應用各自一個
+     * @param {String} appName 應用名稱
+     * @returns {String}
+     */
+    static getCacheDirName(appName) {
+        const sanitizedAppName = (appName || 'DefaultApp').replace(/[^a-zA-Z0-9_.-]/g, '_') || 'DefaultSanitizedApp';
+        return `bwb_temp_${sanitizedAppName}_rewrite`;
+    }
+
+    /**
+     * 緩存項的檔案名稱格式，見 _getCacheEntryName
+     * @returns {RegExp}
+     */
+    static get CACHE_ENTRY_PATTERN() {
+        return /^bwb_(preview|final)_[0-9a-f]{16}\.webp$/;
+    }
+
+    /**
+     * 所有選項的默認值，每次讀取返回新的對象。bwb-cli.js 的 render 命令也以這些值作為默認參數
+     * @returns {Object}
+     */
+    static get DEFAULT_OPTIONS() {
+        return {
+            borderRadius: 15,
+            blurRadius: 60,
+            previewBlurRadius: 90,
+            previewQualityFactor: 0.1,
+            titleBarHeight: 0,
+            checkIntervalSuccess: 1000,
+            checkIntervalError: 5000,
+            sourceProvider: 'system',
+            runtimeAdapter: null,
+            bridge: null,
+            watchWallpaper: true,
+            checkIntervalWatched: 60000,
+            autoPause: true,
+            imageProcessingZipRate: 0.25,
+            elementZIndex: '-1',
+            backgroundTransitionDuration: 500,
+            useWorker: false,
+            blurService: false,
+            blurAlgorithm: 'exact',
+            materialFilters: [],
+            fitMode: 'auto',
+            letterboxColorRGB: null,
+            edgeMode: 'clamp',
+            linearLight: false,
+            dither: 'none',
+            imageQuality: undefined,
+            cacheMaxEntries: 8,
+            cacheMaxBytes: 64 * 1024 * 1024,
+            cacheMaxAge: 30 * 24 * 60 * 60 * 1000,
+            themeVariables: false,
+            dynamicOverlay: {
+                enable: true,
+                baseColorRGB: [252, 252, 252],
+                lightColorRGB: [252, 252, 252],
+                darkColorRGB: [30, 30, 30],
+                minAlpha: 0.5,
+                maxAlpha: 0.75,
+                brightnessThresholdLow: 70,
+                brightnessThresholdHigh: 180,
+                lightMode: 'system',
+                tintFromPalette: false,
+            },
+        };
+    }
+
+    /**
+     * 緩存目錄中的檔案名稱。preview 和 final 是舊版本使用的固定名稱，現在的圖片見 CACHE_ENTRY_PATTERN，這兩個檔案會在清理緩存時被刪除
+     * @returns {{preview: String, final: String, metadata: String}}
+     */
+    static get CACHE_FILE_NAMES() {
+        return {
+            preview: 'blurred_wallpaper_preview.webp',
+            final: 'blurred_wallpaper_final.webp',
+            metadata: 'bwb_metadata.json'
+        };
+    }
+
+    /**
+     * 註冊一個桌布來源，之後可以用名稱作為 options.sourceProvider。
+     * 來源需要實現 getSource()，返回（或以 Promise 返回）圖片路徑、編碼後的圖片數據（Buffer/Uint8Array/ArrayBuffer），
+     * 或與 wallpaper.js 的 getWallpaperInfo() 相同結構的對象（path、buffer、source、placement、backgroundColor 等）；
+     * 可選實現 watch(onChange)，在來源變化時調用 onChange({ reason })（reason 為 'setting'、'file' 或 'fallback'），
+     * 並返回帶有 close() 和 eventDriven 的對象。內建的 "system" 來源即為 wallpaper.js。
+     * @param {String} name 來源名稱
+     * @param {{getSource: Function, watch?: Function}} provider 來源
+     */
+    static registerSourceProvider(name, provider) {
+        if (!provider || typeof provider.getSource !== 'function') {
+            throw new TypeError(`桌布來源 "${name}" 必須實現 getSource()`);
+        }
+        sourceProviders.set(name, provider);
+    }
+
+    /**
+     * @param {String} name 來源名稱
+     * @returns {Boolean} 是否存在並已移除
+     */
+    static unregisterSourceProvider(name) {
+        return sourceProviders.delete(name);
+    }
+
+    _resolveSourceProvider(provider) {
+        if (provider && typeof provider === 'object') {
+            if (typeof provider.getSource === 'function') return provider;
+        } else if ((provider || 'system') === 'system' && this._bridge) {
+            // 桌布由 bwb-preload.js 在 preload 中讀取
+            if (!this._bridgeSourceProvider) this._bridgeSourceProvider = createBridgeSourceProvider(this._bridge.source);
+            return this._bridgeSourceProvider;
+        } else if (sourceProviders.has(provider || 'system')) {
+            return sourceProviders.get(provider || 'system');
+        }
+        const intentName = "選擇桌布來源"; // Select Source Provider
+        const message = `未知或無效的桌布來源: ${typeof provider === 'string' ? provider : JSON.stringify(provider)}`;
+        console.error(`%cBWB%cError%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+        return null;
+    }
+
+    /**
+     * 從桌布來源取得當前的桌布資訊，並把路徑或圖片數據的返回值統一為對象。
+     * 路徑會經過 bwb-path.js 正規化（解碼 file:// URI、展開 ~、解析符號鏈接、識別圖片格式），
+     * 無法使用時拋出 WallpaperPathError。
+     * @returns {Promise<Object | null>}
+     */
+    async _getSourceInfo() {
+        let info = await this.sourceProvider.getSource();
+        if (!info) return null;
+        if (typeof info === 'string') info = { path: info };
+        if (ImageBlurProcessor.isEncodedSource(info)) return { buffer: info };
+        info = { ...info };
+        // 經過 bwb-preload.js 橋接的桌布已在 preload 中正規化
+        if (info.path && bwbPath) {
+            const { path: resolvedPath, type } = await bwbPath.normalizeImagePath(info.path);
+            info.path = resolvedPath;
+            info.type = type;
+        }
+        if (ImageBlurProcessor.isBlendSource(info.source) && bwbPath) {
+            info.source = {
+                ...info.source,
+                from: (await bwbPath.normalizeImagePath(info.source.from)).path,
+                to: (await bwbPath.normalizeImagePath(info.source.to)).path
+            };
+        }
+        return info;
+    }
+
+    _reportSourceProblem(reason, message, details = {}) {
+        if (this._reportedSourceProblem === message) return;
+        this._reportedSourceProblem = message;
+        const intentName = "讀取桌布來源"; // Read Wallpaper Source
+        console.error(`%cBWB%cError%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_ERROR_STYLE_ERROR, BWB_LOG_STYLE_RESET, BWB_ERROR_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+        this._emitError(reason, message, details);
+    }
+
+    /**
+     * 桌布來源的比較鍵：圖片為其路徑，圖片數據為 "buffer:" 加上內容的雜湊，純色/漸變和幻燈片的過渡混合為 "類型:" 加上來源描述的 JSON
+     * @param {String | Object | null} source
+     * @returns {String | null}
+     */
+    _getSourceKey(source) {
+        if (!source) return null;
+        if (typeof source === 'string') return source;
+        if (ImageBlurProcessor.isEncodedSource(source)) {
+            const bytes = source instanceof ArrayBuffer ? new Uint8Array(source) : new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+            return `buffer:${hashBytes(bytes)}`;
+        }
+        return `${source.type}:${JSON.stringify(source)}`;
+    }
+
+    /**
+     * 比較鍵對應的來源是否仍然可用：圖片需要存在，純色和圖片數據總是可用
+     * @param {String} key
+     * @returns {Boolean}
+     */
+    _sourceKeyAvailable(key) {
+        // 圖片數據只能在下一次檢查時從來源重新取得，先沿用緩存
+        if (key.startsWith('color:') || key.startsWith('buffer:')) return true;
+        if (key.startsWith('blend:')) {
+            try {
+                const source = JSON.parse(key.slice('blend:'.length));
+                return this.files.exists(source.from) && this.files.exists(source.to);
+            } catch (e) {
+                return false;
             }
-        } catch (e) { /* 忽略 */ }
-        return `url('${filePath.replace(/\\/g, '/')}?t=${mtime}')`;
+        }
+        return this.files.exists(key);
+    }
+
+    /**
+     * 訂閱 wallpaper.js 的桌布變化通知，輪詢只在監聽器不可用時作為回落
+     */
+    _startWallpaperWatcher() {
+        if (!this.options.watchWallpaper || !this.sourceProvider || typeof this.sourceProvider.watch !== 'function') return;
+        const intentName = "監聽桌布變化"; // Watch Wallpaper
+        try {
+            this._wallpaperWatcher = this.sourceProvider.watch(({ reason } = {}) => {
+                if (reason === 'fallback') {
+                    const message = "桌布設定監聽已中斷，改為輪詢檢查。";
+                    console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+                    this._scheduleNextWallpaperCheck(this.options.checkIntervalSuccess);
+                    return;
+                }
+                this.updateAndApplyBlurredWallpaper(false, reason === 'file');
+            });
+        } catch (error) {
+            const message = "無法監聽，使用輪詢檢查:";
+            console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, error);
+            this._wallpaperWatcher = null;
+        }
+    }
+
+    _stopWallpaperWatcher() {
+        if (this._wallpaperWatcher) {
+            this._wallpaperWatcher.close();
+            this._wallpaperWatcher = null;
+        }
+    }
+
+    /**
+     * 來源圖片的修改時間和大小，無法讀取（或不是圖片）時返回 null
+     * @param {String | Object | null} source
+     * @returns {String | null}
+     */
+    _getSourceFileStamp(source) {
+        const files = typeof source === 'string' ? [source] :
+            (source && source.type === 'blend') ? [source.from, source.to] : [];
+        if (files.length === 0) return null;
+        try {
+            return files.map(file => {
+                const stats = this.files.stat(file);
+                if (!stats) throw new Error(`無法讀取: ${file}`);
+                return `${stats.mtimeMs}:${stats.size}`;
+            }).join('|');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _needsPalette() {
+        return !!(this.options.themeVariables || this.options.dynamicOverlay.tintFromPalette);
+    }
+
+    _getImageJobSignal(flowId) {
+        if (typeof AbortController === 'undefined') return null;
+        if (!this._imageJobAbortController || this._imageJobAbortFlowId !== flowId) {
+            this._abortImageJobs();
+            this._imageJobAbortController = new AbortController();
+            this._imageJobAbortFlowId = flowId;
+        }
+        return this._imageJobAbortController.signal;
+    }
+
+    _abortImageJobs() {
+        if (this._imageJobAbortController) {
+            this._imageJobAbortController.abort();
+            this._imageJobAbortController = null;
+            this._imageJobAbortFlowId = null;
+        }
+    }
+
+    _pathToCssUrl(filePath) {
+        if (!filePath) return 'none';
+        return `url("${this._imageUrlForPath(filePath)}")`;
+    }
+
+    /**
+     * 緩存圖片的地址：使用模糊服務時為 bwb:// 地址，否則為帶修改時間的 file:// 地址
+     */
+    _imageUrlForPath(filePath) {
+        const stats = this.files.stat(filePath);
+        if (this._usesBlurService()) {
+            return BlurredWindowBackground.getServiceImageUrl(baseName(filePath), stats);
+        }
+        return this.files.toFileUrl(filePath, stats ? Math.floor(stats.mtimeMs) : Date.now());
     }
 
     _applyBackgroundImage(newImagePath, flowId, isRestoringFromCache = false) {
@@ -721,7 +1612,7 @@ class BlurredWindowBackground {
                 this._pendingImageForTransition = newImagePath;
                 resolve(false); return;
             }
-            if (!newImagePath || !fs.existsSync(newImagePath)) {
+            if (!newImagePath || !this.files.exists(newImagePath)) {
                 if (this.currentAppliedCssUrl && this.currentAppliedCssUrl.includes(newImagePath.replace(/\\/g, '/'))) {
                     this.currentAppliedCssUrl = null;
                 }
@@ -752,6 +1643,7 @@ class BlurredWindowBackground {
                 }
                 this.currentAppliedCssUrl = newCssUrl;
                 this._isTransitioningBackground = false;
+                this._emitImageApplied(newImagePath, isRestoringFromCache);
                 if (this._pendingImageForTransition) {
                     const pathForNext = this._pendingImageForTransition; this._pendingImageForTransition = null;
                     setTimeout(() => this._applyBackgroundImage(pathForNext, this._activeWallpaperFlowId), 0);
@@ -767,6 +1659,7 @@ class BlurredWindowBackground {
                     this.backgroundContainer.removeEventListener('transitionend', transitionEndHandler);
                     this.currentAppliedCssUrl = newCssUrl;
                     this._isTransitioningBackground = false;
+                    this._emitImageApplied(newImagePath, isRestoringFromCache);
                     if (this._pendingImageForTransition) {
                         const pathForNext = this._pendingImageForTransition;
                         this._pendingImageForTransition = null;
@@ -784,19 +1677,25 @@ class BlurredWindowBackground {
         });
     }
 
+    _emitImageApplied(imagePath, fromCache) {
+        const eventName = imagePath === this.blurredImageFinalPath ? 'final-applied' : 'preview-applied';
+        this.emit(eventName, { path: imagePath, fromCache: !!fromCache });
+    }
+
     async _updateOverlayBasedOnCurrentPosition() {
         const intentName = "計算遮罩亮度"; // Calculate Overlay Brightness
+        if (this.isPaused()) return; // 恢復時的補檢查會重新計算
         const { enable, minAlpha, maxAlpha, brightnessThresholdLow, brightnessThresholdHigh, baseColorRGB } = this.options.dynamicOverlay;
         const currentRealColorRGBToUse = this._realColorRGB || baseColorRGB;
 
         if (!enable || !this.overlayElement) {
             if (enable && this.overlayElement) {
-                this._applyOverlayColor(`rgba(${currentRealColorRGBToUse.join(',')}, ${this._realMode ? maxAlpha : minAlpha})`);
+                this._applyOverlayColor(currentRealColorRGBToUse, this._realMode ? maxAlpha : minAlpha);
             }
             return;
         }
-        if (!this.lastAppliedImagePath || !fs.existsSync(this.lastAppliedImagePath)) {
-            this._applyOverlayColor(`rgba(${currentRealColorRGBToUse.join(',')}, ${this._realMode ? maxAlpha : minAlpha})`);
+        if (!this.lastAppliedImagePath || !this.files.exists(this.lastAppliedImagePath)) {
+            this._applyOverlayColor(currentRealColorRGBToUse, this._realMode ? maxAlpha : minAlpha);
             return;
         }
         const winBounds = this._currentWindowBounds;
@@ -819,19 +1718,30 @@ class BlurredWindowBackground {
                     alpha = this._realMode ? maxAlpha - (maxAlpha - minAlpha) * ratio : minAlpha + (maxAlpha - minAlpha) * ratio;
                 }
                 alpha = Math.max(minAlpha, Math.min(maxAlpha, alpha));
-                this._applyOverlayColor(`rgba(${currentRealColorRGBToUse.join(',')}, ${alpha.toFixed(3)})`);
+                this._applyOverlayColor(currentRealColorRGBToUse, Number(alpha.toFixed(3)), extremeBrightness);
             }
         } catch (brightnessError) {
             const message = "操作時出錯:";
             console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, brightnessError);
-            this._applyOverlayColor(`rgba(${currentRealColorRGBToUse.join(',')}, ${this._realMode ? maxAlpha : minAlpha})`);
+            this._applyOverlayColor(currentRealColorRGBToUse, this._realMode ? maxAlpha : minAlpha);
         }
     }
 
-    _applyOverlayColor(cssColor) {
+    /**
+     * 設定遮罩層的顏色，與上一次不同時發出 overlay-updated 事件
+     * @param {Array<Int>} colorRGB 遮罩顏色
+     * @param {Number} alpha 遮罩透明度
+     * @param {Number | null} [brightness=null] 窗口區域的極端亮度（0-255），沒有取樣時為 null
+     */
+    _applyOverlayColor(colorRGB, alpha, brightness = null) {
+        const cssColor = `rgba(${colorRGB.join(',')}, ${alpha})`;
         if (this.overlayElement && this.overlayElement.style.backgroundColor !== cssColor) {
             this.overlayElement.style.backgroundColor = cssColor;
         }
+        if (cssColor !== this._lastOverlayState) {
+            this._lastOverlayState = cssColor;
+            this.emit('overlay-updated', { alpha, color: colorRGB, brightness, mode: this._realMode ? 'light' : 'dark' });
+        }
     }
 
     async _getExtremeBrightnessFromWindowRegion(imagePathOrBlob, windowBounds, screenBoundsOfWindow, currentPadding, titleBarHeightOption, lightModeForSampling, zipRate) {
@@ -895,8 +1805,9 @@ class BlurredWindowBackground {
                 reject(new Error(`${intentName}: ${message}`));
             };
             if (typeof imagePathOrBlob === 'string') {
-                let mtime = Date.now(); try { if (fs.existsSync(imagePathOrBlob)) mtime = fs.statSync(imagePathOrBlob).mtime.getTime(); } catch (err) { /* 忽略 */ }
-                img.src = `${imagePathOrBlob.replace(/\\/g, '/')}?t=${mtime}`;
+                // bwb:// 與頁面不同源，需要以 CORS 載入，畫布才能讀取像素
+                if (this._usesBlurService()) img.crossOrigin = 'anonymous';
+                img.src = this._imageUrlForPath(imagePathOrBlob);
             } else if (imagePathOrBlob instanceof Blob) {
                 img.src = URL.createObjectURL(imagePathOrBlob);
             } else {
@@ -908,38 +1819,32 @@ class BlurredWindowBackground {
 
     _scheduleNextWallpaperCheck(delay) {
         if (this._wallpaperCheckTimeoutId) clearTimeout(this._wallpaperCheckTimeoutId);
+        if (this.isPaused()) {
+            this._wallpaperCheckTimeoutId = null;
+            return;
+        }
+        // 監聽器能即時通知桌布變化時，常規檢查只作為保底
+        if (delay === this.options.checkIntervalSuccess && this._wallpaperWatcher && this._wallpaperWatcher.eventDriven) {
+            delay = Math.max(delay, this.options.checkIntervalWatched);
+        }
+        // 幻燈片的下一個切換時間點比常規檢查更早時，在切換時間點檢查
+        if (this._slideshowNextChangeAt) {
+            delay = Math.min(delay, Math.max(0, this._slideshowNextChangeAt - Date.now()) + 50);
+        }
         this._wallpaperCheckTimeoutId = setTimeout(() => this.updateAndApplyBlurredWallpaper(), delay);
     }
 
     _getCurrentScreenForWindow(windowBounds) {
         if (!windowBounds || typeof windowBounds.x !== 'number' || typeof windowBounds.y !== 'number') {
-            if (this.runtimeEnv === 'nwjs' && this.nwWin) {
-                windowBounds = { x: this.nwWin.x, y: this.nwWin.y, width: this.nwWin.width, height: this.nwWin.height };
-            } else if (this.runtimeEnv === 'electron' && this.electron && this.electron.ipcRenderer) {
-                try { windowBounds = this.electron.ipcRenderer.sendSync('bwb:get-window-bounds-sync'); } catch (e) { /* 忽略 */ }
-            }
+            if (this.runtime) windowBounds = this.runtime.getWindowBoundsSync();
             if (!windowBounds || windowBounds.width <= 0) return this._getDefaultScreenInfo();
         }
-        const winCX = windowBounds.x + windowBounds.width / 2;
-        const winCY = windowBounds.y + windowBounds.height / 2;
-        if (this.runtimeEnv === 'nwjs' && this.nwScreen && this.nwScreen.screens) {
-            if (this.nwScreen.screens.length === 0) return this._getDefaultScreenInfo();
-            for (const s of this.nwScreen.screens) {
-                if (s.bounds && s.bounds.width > 0 && s.bounds.height > 0 &&
-                    winCX >= s.bounds.x && winCX < (s.bounds.x + s.bounds.width) &&
-                    winCY >= s.bounds.y && winCY < (s.bounds.y + s.bounds.height)) return s;
-            }
-            return this.nwScreen.screens.find(s => s.isBuiltIn && s.bounds && s.bounds.width > 0) ||
-                this.nwScreen.screens.find(s => s.bounds && s.bounds.width > 0) ||
-                (this.nwScreen.screens.length > 0 ? this.nwScreen.screens[0] : this._getDefaultScreenInfo());
-        } else if (this.runtimeEnv === 'electron' && this.electron && this.electron.screen) {
-            let activeScreen = this.electron.screen.getDisplayNearestPoint({ x: Math.round(winCX), y: Math.round(winCY) });
-            if (!activeScreen || !activeScreen.bounds || activeScreen.bounds.width <= 0 || activeScreen.bounds.height <= 0) {
-                activeScreen = this.electron.screen.getPrimaryDisplay();
-            }
-            return activeScreen || this._getDefaultScreenInfo();
-        }
-        return this._getDefaultScreenInfo();
+        if (!this.runtime) return this._getDefaultScreenInfo();
+        const screen = this.runtime.getScreenForPoint({
+            x: windowBounds.x + windowBounds.width / 2,
+            y: windowBounds.y + windowBounds.height / 2
+        });
+        return screen && screen.bounds ? screen : this._getDefaultScreenInfo();
     }
 
     _getDefaultScreenInfo() {
@@ -952,8 +1857,8 @@ class BlurredWindowBackground {
         const intentName = "讀取元數據"; // Read Metadata
         if (!this.metadataFilePath) return;
         try {
-            if (fs.existsSync(this.metadataFilePath)) {
-                const data = await fs.promises.readFile(this.metadataFilePath, 'utf8');
+            if (this.files.exists(this.metadataFilePath)) {
+                const data = await this.files.readText(this.metadataFilePath);
                 const metadata = JSON.parse(data);
                 if (metadata.currentOriginalWallpaperPath && typeof metadata.currentOriginalWallpaperPath === 'string') {
                     this.currentOriginalWallpaperPath = metadata.currentOriginalWallpaperPath;
@@ -961,30 +1866,356 @@ class BlurredWindowBackground {
                 if (metadata.lastKnownScreenDimensions && typeof metadata.lastKnownScreenDimensions.width === 'number') {
                     this._lastKnownScreenDimensions = metadata.lastKnownScreenDimensions;
                 }
+                if (metadata.cacheEntries && typeof metadata.cacheEntries === 'object' && !Array.isArray(metadata.cacheEntries)) {
+                    this._cacheEntries = metadata.cacheEntries;
+                }
+                if (metadata.resolvedFit && typeof metadata.resolvedFit.fitMode === 'string') {
+                    this._resolvedFit = metadata.resolvedFit;
+                }
+                if (metadata.palette && Array.isArray(metadata.palette.dominant)) {
+                    this._palette = metadata.palette;
+                }
+                if (typeof metadata.sourceFileStamp === 'string') {
+                    this._sourceFileStamp = metadata.sourceFileStamp;
+                }
             }
         } catch (error) {
             const message = "操作失敗:";
             console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, error);
             this.currentOriginalWallpaperPath = null;
             this._lastKnownScreenDimensions = { width: 0, height: 0 };
+            this._cacheEntries = {};
         }
     }
 
     async _saveMetadata() {
         const intentName = "寫入元數據"; // Write Metadata
         if (!this.metadataFilePath) return;
+        const release = await this._acquireCacheLock(this.metadataFilePath, METADATA_LOCK_TIMEOUT);
         try {
+            // 其他窗口和應用實例也會寫入元數據：先合併它們記錄的緩存項，只保留檔案仍然存在的
+            await this._mergeCacheEntriesFromDisk();
+            for (const name of Object.keys(this._cacheEntries)) {
+                if (!this.files.exists(this._getCacheFilePath(name))) delete this._cacheEntries[name];
+            }
             const metadata = {
                 currentOriginalWallpaperPath: this.currentOriginalWallpaperPath,
-                lastKnownScreenDimensions: this._lastKnownScreenDimensions
+                lastKnownScreenDimensions: this._lastKnownScreenDimensions,
+                resolvedFit: this._resolvedFit,
+                palette: this._palette,
+                sourceFileStamp: this._sourceFileStamp,
+                cacheEntries: this._cacheEntries
             };
-            await fs.promises.writeFile(this.metadataFilePath, JSON.stringify(metadata, null, 2), 'utf8');
+            await this.files.writeText(this.metadataFilePath, JSON.stringify(metadata, null, 2));
         } catch (error) {
             const message = "操作失敗:";
             console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, error);
+        } finally {
+            if (release) await release();
+        }
+    }
+
+    /**
+     * 合併元數據檔案中其他窗口或應用實例記錄的緩存項：同一緩存項保留最近使用時間較新的記錄
+     */
+    async _mergeCacheEntriesFromDisk() {
+        if (!this.metadataFilePath || !this.files.exists(this.metadataFilePath)) return;
+        let cacheEntries;
+        try {
+            ({ cacheEntries } = JSON.parse(await this.files.readText(this.metadataFilePath)));
+        } catch (error) {
+            return; // 無法讀取時以本窗口的記錄為準
+        }
+        if (!cacheEntries || typeof cacheEntries !== 'object' || Array.isArray(cacheEntries)) return;
+        for (const [name, record] of Object.entries(cacheEntries)) {
+            if (!record || typeof record.lastUsedAt !== 'number') continue;
+            const own = this._cacheEntries[name];
+            if (!own || record.lastUsedAt > own.lastUsedAt) {
+                this._cacheEntries[name] = Object.assign({}, record, { palette: record.palette || (own ? own.palette : null) });
+            }
         }
     }
 
+    /**
+     * 取得緩存目錄中一個檔案的跨進程鎖（見 bwb-cache-lock.js）。鎖由其他窗口或進程持有時每隔 CACHE_LOCK_POLL_MS 重試，
+     * 直到 isDone() 返回 true（例如對方已經寫好了結果）、signal 被取消或超過 timeoutMs。
+     * @param {String} filePath
+     * @param {Number} timeoutMs
+     * @param {{signal?: AbortSignal, isDone?: Function}} [options]
+     * @returns {Promise<Function | null>} 釋放鎖的函數。沒有取得鎖（或檔案宿主不支援鎖）時為 null，
+     * 調用方照常繼續：寫入都是原子的，最壞結果只是重複計算
+     */
+    async _acquireCacheLock(filePath, timeoutMs, { signal = null, isDone = null } = {}) {
+        if (typeof this.files.tryLock !== 'function') return null;
+        const deadline = Date.now() + timeoutMs;
+        for (;;) {
+            let release;
+            try {
+                release = await this.files.tryLock(filePath);
+            } catch (error) {
+                return null; // 無法創建鎖檔案，例如目錄不可寫
+            }
+            if (release) return release;
+            if ((signal && signal.aborted) || (isDone && isDone())) return null;
+            if (Date.now() >= deadline) {
+                const intentName = "緩存鎖"; // Cache Lock
+                const message = `等待其他窗口或進程釋放 ${baseName(filePath)} 超時，不再等待。`;
+                console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET);
+                return null;
+            }
+            await new Promise(resolve => setTimeout(resolve, CACHE_LOCK_POLL_MS));
+        }
+    }
+
+    /**
+     * 使用其他窗口或進程剛生成的緩存項：從共用的元數據讀取它的記錄，正式圖同時恢復調色板
+     */
+    async _adoptCacheEntry(filePath, isPreview) {
+        await this._mergeCacheEntriesFromDisk();
+        if (!isPreview) this._restoreCachedPalette(filePath);
+        this._touchCacheEntry(filePath, isPreview ? 'preview' : 'final');
+    }
+
+    /**
+     * 影響一類圖片（預覽圖/正式圖）生成結果的所有選項，緩存項的名稱和 setOptions 判斷是否需要重新生成都以此為準
+     * @param {'preview' | 'final'} kind
+     * @returns {Object}
+     */
+    _getProcessingOptions(kind) {
+        const isPreview = kind === 'preview';
+        let filters;
+        try {
+            filters = ImageBlurProcessor ? ImageBlurProcessor.serializeFilters(this.options.materialFilters) : '[]';
+        } catch (e) {
+            filters = 'invalid';
+        }
+        return {
+            blurRadius: isPreview ? this.options.previewBlurRadius : this.options.blurRadius,
+            zipRate: isPreview ? this.options.previewQualityFactor : this.options.imageProcessingZipRate,
+            algorithm: this.options.blurAlgorithm,
+            filters,
+            edgeMode: this.options.edgeMode,
+            linearLight: this.options.linearLight,
+            dither: this.options.dither,
+            quality: this.options.imageQuality,
+            extractPalette: this._needsPalette(),
+            encoder: this._usesBlurService() ? 'service' : 'page',
+            fit: this._resolvedFit
+        };
+    }
+
+    /**
+     * 一個緩存項的檔案名稱：由桌布的比較鍵、圖片檔案的修改時間和大小、目標尺寸，以及該類圖片的 _getProcessingOptions 計算。
+     * 任何一項變化都會得到不同的名稱，因此存在的緩存項總是有效的。
+     * @param {'preview' | 'final'} kind
+     * @param {String} sourceKey 見 _getSourceKey
+     * @param {String | null} sourceStamp 見 _getSourceFileStamp
+     * @param {Array<Number>} targetSize [width, height]
+     * @returns {String} 例如 bwb_final_0123456789abcdef.webp
+     */
+    _getCacheEntryName(kind, sourceKey, sourceStamp, targetSize) {
+        const descriptor = JSON.stringify(Object.assign({
+            version: CACHE_FORMAT_VERSION,
+            kind,
+            source: sourceKey,
+            stamp: sourceStamp,
+            size: targetSize
+        }, this._getProcessingOptions(kind)));
+        return `bwb_${kind}_${hashCacheKey(descriptor)}.webp`;
+    }
+
+    /**
+     * 按當前的桌布、螢幕尺寸和選項設定 blurredImagePreviewPath 和 blurredImageFinalPath
+     */
+    _selectCacheEntries(sourceKey, sourceStamp, targetSize) {
+        this.blurredImagePreviewPath = this._getCacheFilePath(this._getCacheEntryName('preview', sourceKey, sourceStamp, targetSize));
+        this.blurredImageFinalPath = this._getCacheFilePath(this._getCacheEntryName('final', sourceKey, sourceStamp, targetSize));
+    }
+
+    /**
+     * 從比較鍵還原出需要檢查修改時間的來源：圖片路徑或混合來源，其他類型返回 null
+     */
+    _sourceFromKey(key) {
+        if (key.startsWith('blend:')) {
+            try {
+                return JSON.parse(key.slice('blend:'.length));
+            } catch (e) {
+                return null;
+            }
+        }
+        return /^(color|buffer):/.test(key) ? null : key;
+    }
+
+    /**
+     * 記錄緩存項被使用（或剛生成），淘汰時最久未使用的緩存項最先被刪除
+     * @param {String} filePath
+     * @param {'preview' | 'final'} kind
+     * @param {Object | null} [palette] 正式圖的調色板，未提供時保留原有記錄
+     */
+    _touchCacheEntry(filePath, kind, palette) {
+        const name = baseName(filePath);
+        const previous = this._cacheEntries[name];
+        const stats = this.files.stat(filePath);
+        const now = Date.now();
+        this._cacheEntries[name] = {
+            kind,
+            source: this.currentOriginalWallpaperPath,
+            size: stats ? stats.size : 0,
+            createdAt: previous ? previous.createdAt : now,
+            lastUsedAt: now,
+            palette: palette !== undefined ? palette : (previous ? previous.palette : null)
+        };
+    }
+
+    /**
+     * 使用緩存的正式圖時，同時恢復生成它時提取的調色板
+     */
+    _restoreCachedPalette(filePath) {
+        const entry = this._cacheEntries[baseName(filePath)];
+        if (entry && entry.palette && this._needsPalette() && JSON.stringify(entry.palette) !== JSON.stringify(this._palette)) {
+            this._palette = entry.palette;
+            this._updateRealModeAndColor();
+        }
+    }
+
+    /**
+     * 刪除過期或超出數量/大小限制的緩存項：超過 cacheMaxAge 未使用的緩存項總是被刪除，
+     * 其餘按最近使用時間從舊到新刪除，直到數量不超過 cacheMaxEntries 且總大小不超過 cacheMaxBytes。
+     * 正在使用的緩存項不會被刪除。其他窗口和應用實例的記錄先從元數據中合併，沒有記錄的緩存項以檔案的修改時間作為最近使用時間。
+     * 舊版本使用的固定檔案名稱的圖片也會被刪除。
+     */
+    async _evictCacheEntries() {
+        const intentName = "清理緩存"; // Evict Cache
+        if (!this.tempDir) return;
+        let names;
+        try {
+            names = await this.files.list(this.tempDir);
+        } catch (error) {
+            const message = "無法列出緩存目錄:";
+            console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, error);
+            return;
+        }
+        await this._mergeCacheEntriesFromDisk();
+        const { cacheMaxEntries, cacheMaxBytes, cacheMaxAge } = this.options;
+        const legacyNames = [BlurredWindowBackground.CACHE_FILE_NAMES.preview, BlurredWindowBackground.CACHE_FILE_NAMES.final];
+        const inUse = new Set([this.blurredImagePreviewPath, this.blurredImageFinalPath, this.lastAppliedImagePath].filter(Boolean).map(baseName));
+        const now = Date.now();
+        let changed = false;
+
+        const entries = [];
+        for (const name of names) {
+            if (legacyNames.includes(name)) {
+                await this.files.remove(this._getCacheFilePath(name)).catch(() => { });
+                continue;
+            }
+            if (!BlurredWindowBackground.CACHE_ENTRY_PATTERN.test(name)) continue;
+            const stats = this.files.stat(this._getCacheFilePath(name));
+            if (!stats) continue;
+            const record = this._cacheEntries[name];
+            entries.push({ name, size: stats.size, lastUsedAt: record ? record.lastUsedAt : stats.mtimeMs });
+        }
+        for (const name of Object.keys(this._cacheEntries)) {
+            if (!entries.some(entry => entry.name === name)) {
+                delete this._cacheEntries[name];
+                changed = true;
+            }
+        }
+
+        entries.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+        let count = entries.length;
+        let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        for (const entry of entries) {
+            const expired = cacheMaxAge > 0 && now - entry.lastUsedAt > cacheMaxAge;
+            if (!expired && count <= cacheMaxEntries && totalBytes <= cacheMaxBytes) break;
+            if (inUse.has(entry.name)) continue;
+            try {
+                await this.files.remove(this._getCacheFilePath(entry.name));
+            } catch (error) {
+                continue; // 已被其他窗口刪除或暫時無法刪除，下次再試
+            }
+            count--;
+            totalBytes -= entry.size;
+            delete this._cacheEntries[entry.name];
+            changed = true;
+        }
+        if (changed) await this._saveMetadata();
+    }
+
+    /**
+     * 刪除緩存目錄中所有的模糊圖片（包括其他窗口生成的）及其記錄。已初始化時會立即為當前桌布重新生成背景。
+     * @returns {Promise<Number>} 刪除的檔案數量
+     */
+    async clearCache() {
+        const intentName = "清除緩存"; // Clear Cache
+        if (!this.tempDir) return 0;
+        let names;
+        try {
+            names = await this.files.list(this.tempDir);
+        } catch (error) {
+            const message = "無法列出緩存目錄:";
+            console.warn(`%cBWB%cWarning%c\n    %c${intentName}%c ${message}`, BWB_LOG_STYLE_BWB, BWB_WARN_STYLE_WARNING, BWB_LOG_STYLE_RESET, BWB_WARN_STYLE_FUNC, BWB_LOG_STYLE_RESET, error);
+            return 0;
+        }
+        const legacyNames = [BlurredWindowBackground.CACHE_FILE_NAMES.preview, BlurredWindowBackground.CACHE_FILE_NAMES.final];
+        let removed = 0;
+        for (const name of names) {
+            if (!BlurredWindowBackground.CACHE_ENTRY_PATTERN.test(name) && !legacyNames.includes(name)) continue;
+            try {
+                await this.files.remove(this._getCacheFilePath(name));
+                removed++;
+            } catch (error) {
+                // 已被其他窗口刪除
+            }
+        }
+        this._cacheEntries = {};
+        await this._saveMetadata();
+        if (this.viewportElement) {
+            await this.updateAndApplyBlurredWallpaper(false, true);
+        }
+        return removed;
+    }
+
+    /**
+     * 根據選項和桌面設定決定圖片的填充方式
+     * @param {Object} wallpaperInfo getWallpaperInfo 的返回值
+     * @returns {{fitMode: String, backgroundColor: Array<Int>, span: Object | null}}
+     */
+    _resolveFit(wallpaperInfo) {
+        let fitMode = this.options.fitMode;
+        if (!fitMode || fitMode === 'auto') {
+            fitMode = (wallpaperInfo && wallpaperInfo.placement) || 'zoom';
+        }
+        let backgroundColor = this.options.letterboxColorRGB;
+        if (!Array.isArray(backgroundColor) || backgroundColor.length !== 3) {
+            backgroundColor = (wallpaperInfo && wallpaperInfo.backgroundColor) || [0, 0, 0];
+        }
+        return {
+            fitMode,
+            backgroundColor,
+            span: fitMode === 'spanned' ? this._getSpanRect() : null
+        };
+    }
+
+    /**
+     * 計算所有螢幕組成的虛擬桌面相對於當前螢幕左上角的區域，無法取得螢幕列表時返回null
+     * @returns {{x: Number, y: Number, width: Number, height: Number} | null}
+     */
+    _getSpanRect() {
+        const screens = this.runtime ? this.runtime.getScreens() : [];
+        const bounds = screens.map(s => s.bounds).filter(b => b && b.width > 0 && b.height > 0);
+        if (bounds.length === 0 || !this._currentScreenBounds) return null;
+        const left = Math.min(...bounds.map(b => b.x));
+        const top = Math.min(...bounds.map(b => b.y));
+        const right = Math.max(...bounds.map(b => b.x + b.width));
+        const bottom = Math.max(...bounds.map(b => b.y + b.height));
+        return {
+            x: left - this._currentScreenBounds.x,
+            y: top - this._currentScreenBounds.y,
+            width: right - left,
+            height: bottom - top
+        };
+    }
+
     _updateLastKnownScreenDimensions() {
         if (this._currentScreenBounds && this._currentScreenBounds.width > 0 && this._currentScreenBounds.height > 0) {
             this._lastKnownScreenDimensions = {
@@ -995,40 +2226,29 @@ class BlurredWindowBackground {
     }
 
     destroy() {
+        this._stopWallpaperWatcher();
+        this._teardownAutoPause();
+        this._abortImageJobs();
         this._activeWallpaperFlowId++;
         if (this._rAFId) cancelAnimationFrame(this._rAFId);
         if (this._wallpaperCheckTimeoutId) clearTimeout(this._wallpaperCheckTimeoutId);
         if (this._moveUpdateTimeoutId) clearTimeout(this._moveUpdateTimeoutId);
 
-        if (this.runtimeEnv === 'nwjs' && this._darkModeMatcher && this._handleSystemThemeChangeForNWJS) {
-            this._darkModeMatcher.removeEventListener('change', this._handleSystemThemeChangeForNWJS);
-        } else if (this.runtimeEnv === 'electron' && this.electron && this.electron.ipcRenderer && this._handleSystemThemeChangeForElectron) {
-            this.electron.ipcRenderer.removeListener('bwb:system-theme-changed', this._handleSystemThemeChangeForElectron);
-        }
-
-        if (this.runtimeEnv === 'nwjs' && this.nwWin) {
-            this.nwWin.removeAllListeners('maximize'); this.nwWin.removeAllListeners('unmaximize');
-            this.nwWin.removeAllListeners('restore'); this.nwWin.removeAllListeners('enter-fullscreen');
-            this.nwWin.removeAllListeners('leave-fullscreen'); this.nwWin.removeAllListeners('move');
-            this.nwWin.removeAllListeners('resize');
-            if (this.nwScreen) {
-                this.nwScreen.removeAllListeners('displayBoundsChanged');
-                this.nwScreen.removeAllListeners('displayAdded'); this.nwScreen.removeAllListeners('displayRemoved');
-            }
-        } else if (this.runtimeEnv === 'electron' && this.electron && this.electron.ipcRenderer) {
-            this.electron.ipcRenderer.removeAllListeners('bwb:window-maximized');
-            this.electron.ipcRenderer.removeAllListeners('bwb:window-unmaximized');
-            this.electron.ipcRenderer.removeAllListeners('bwb:window-fullscreen-changed');
-            this.electron.ipcRenderer.removeAllListeners('bwb:window-bounds-updated');
-            this.electron.ipcRenderer.removeAllListeners('bwb:display-metrics-changed');
+        if (this.runtime) {
+            if (this._handleSystemThemeChange) this.runtime.off('theme-changed', this._handleSystemThemeChange);
+            this.runtime.off('state-changed', this._handleWindowStateChangeBound);
+            this.runtime.off('bounds-changed', this._handleRuntimeBoundsChange);
+            this.runtime.off('display-changed', this._onDisplayMetricsChangeBound);
         }
-        window.removeEventListener('resize', this._onWindowBoundsChange.bind(this));
+        window.removeEventListener('resize', this._onWindowBoundsChangeBound);
 
         if (this.viewportElement) this.viewportElement.remove();
         this.viewportElement = null; this.backgroundContainer = null; this.overlayElement = null;
         this.currentOriginalWallpaperPath = null; this.lastAppliedImagePath = null; this.currentAppliedCssUrl = null;
         const styleElement = document.getElementById(this.styleElementId);
         if (styleElement) styleElement.remove();
+        this._removeThemeVariables();
+        this._eventListeners.clear();
         // console.log("BlurredWindowBackground: 實例已銷毀。"); // 保留此條
     }
 }
@@ -13,100 +13,1381 @@
 class ImageBlurProcessor {
     /**
      * 圖片模糊處理
-     * @param {String} inputPath 原始圖片路徑
+     * @param {String | {type: "color", shading: String, primaryColor: Array<Int>, secondaryColor: Array<Int> | null} | {type: "blend", from: String, to: String, progress: Float} | {data: Uint8ClampedArray, width: Int, height: Int}} inputPath 原始圖片路徑；也可以是純色/漸變的來源描述（見ImageBlurProcessor.createColorPixels）、兩張圖片的混合（from和to為圖片路徑，progress為0-1的混合進度，用於幻燈片桌布的過渡）、已解碼的RGBA像素數據，或編碼後的圖片數據（Buffer、Uint8Array、ArrayBuffer或Blob）
      * @param {Array<Int>} targetSize 目標尺寸：你需要給出一個固定的分辨率，以[width, height]來表示
      * @param {Float} [zipRate=1] 壓縮比例：模糊的圖片本身不需要太過高清，因此你可以在這裡設定一個壓縮比例來降低分辨率，範圍是0.01-1，0的話圖片會消失，因此要大於0；1為不壓縮，超過1是強行放大，但無意義。例如設定為0.25則是生成的圖片是目標尺存的1/4。
      * @param {Boolean} [isLocalPath=false] 是否為本地圖片：在nwjs或electron這類框架中，你可能會用到相對本機的絕對路徑，例如D:\pictrues\img0.jpg (Windows)或/home/xxx/Pictures/img0.jpg (Linux)等，通過將此參數設定為true，可以讀取本地文件而不是相對應用根目錄的路徑（在純js中可能無效）。或者也可以在inputPath直接加上"file://"前綴，這兩種方式僅可選擇其一。
+     * @param {Object} [options={}] 進階選項
+     * @param {Boolean | ImageBlurWorkerPool} [options.worker=false] 是否在 Worker 中處理：true 使用共享的 Worker 池，也可以傳入自己創建的 ImageBlurWorkerPool。當前環境不支援 Worker、OffscreenCanvas 或 createImageBitmap，或 Worker 無法創建（例如 CSP 沒有允許 worker-src blob:）時會自動回落到主線程處理。
+     * @param {String} [options.algorithm="exact"] 模糊算法："exact"為逐像素卷積完整高斯核的精確模式，耗時隨模糊半徑線性增長；"box"為三次迭代的盒狀模糊，以滑動累加實現，每個像素的耗時與半徑無關，結果在視覺上與相同半徑的高斯模糊一致。
+     * @param {Array<Object>} [options.filters=[]] 模糊後依次套用的材質濾鏡，每一項是{type, ...參數}的普通對象，可用的type及參數見ImageBlurProcessor.FILTER_DEFAULTS。濾鏡鏈可以通過ImageBlurProcessor.serializeFilters序列化，用於判斷緩存是否失效。
+     * @param {String} [options.fitMode="zoom"] 圖片填充方式，與桌面的桌布設定對應："zoom"（縮放並裁減以填滿）、"scaled"（完整顯示，空白處填充背景色）、"centered"（原尺寸居中）、"stretched"（拉伸）、"tiled"（原尺寸從左上角平鋪）、"spanned"（跨越所有螢幕，需配合options.span）、"none"（只有背景色）
+     * @param {Array<Int>} [options.backgroundColor=[0, 0, 0]] 圖片未覆蓋區域的背景色[r, g, b]
+     * @param {{x: Float, y: Float, width: Float, height: Float} | null} [options.span=null] fitMode為"spanned"時，所有螢幕組成的虛擬桌面相對於當前螢幕左上角的區域（與targetSize同樣為未壓縮的像素單位）；未提供時等同"zoom"
+     * @param {String} [options.edgeMode="clamp"] 模糊時圖片邊界外的取樣方式："clamp"（取邊緣像素）、"mirror"（鏡像）、"wrap"（繞回另一側）、"transparent"（視為透明），見ImageBlurProcessor.EDGE_MODES
+     * @param {Boolean} [options.linearLight=false] 是否在線性光空間中縮放和模糊：sRGB空間中混合會讓明暗交界處偏暗，線性光空間的結果更接近真實的光學模糊
+     * @param {String} [options.dither="none"] 最後量化回8位時的抖動方式："none"（四捨五入）、"ordered"（8x8 Bayer矩陣）、"blue-noise"（交錯梯度噪聲，近似藍噪聲，顆粒感更不明顯）。低壓縮比例的結果被放大到全螢幕時，抖動可以消除天空等平滑漸變上的色帶
+     * @param {Boolean} [options.extractPalette=false] 是否從處理結果中提取調色板，結果見ImageBlurProcessor.extractPalette，會附在processPixels的返回值及bluredBlob的palette屬性上
      */
-    constructor(inputPath, targetSize, zipRate = 1, isLocalPath = false) {
+    constructor(inputPath, targetSize, zipRate = 1, isLocalPath = false, options = {}) {
         this.inputPath = inputPath;
         this.targetSize = targetSize;
         this.zipRate = zipRate;
         this.isLocalPath = isLocalPath;
+        this.options = {
+            worker: false,
+            algorithm: 'exact',
+            filters: [],
+            fitMode: 'zoom',
+            backgroundColor: [0, 0, 0],
+            span: null,
+            edgeMode: 'clamp',
+            linearLight: false,
+            dither: 'none',
+            extractPalette: false,
+            ...options
+        };
     }
     /**
      * 模糊圖片
      * @param {Int | Float} blurRadius 模糊半徑，不是有些圖形處理使用的sigma，是和CSS一致的像素單位模糊半徑。
      * @param {string} [blobType="image/webp"] 返回的blob的MIME類型，默認為"image/webp"，這同時決定了你之後要保存、下載獲取DataURL時的檔案格式
+     * @param {Object} [runOptions={}] 本次處理的選項
+     * @param {AbortSignal} [runOptions.signal] 用於取消本次處理的信號：取消後Promise會以AbortError拒絕，使用Worker時正在執行的任務會被立即中止。
+     * @param {Float} [runOptions.quality] 有損格式（image/webp、image/jpeg）的編碼質量，範圍0-1，不指定時使用瀏覽器默認值
      * @returns {bluredBlob} 返回一個包含blob的類，用於後續轉換
      */
-    async blurImage(blurRadius, blobType = "image/webp") {
+    async blurImage(blurRadius, blobType = "image/webp", runOptions = {}) {
         // 模糊過程中固定傳入的參數，以防止中途改變的干擾
         const inputPath = this.inputPath;
         const targetSize = this.targetSize;
         const zipRate = this.zipRate;
         const isLocalPath = this.isLocalPath;
-        return new Promise((resolve, reject) => {
-            // 創建一個圖像對象
-            const img = new Image();
-            // 當圖片成功載入後開始處理
-            img.onload = () => {
-                // 創建畫布並取得參數
-                const canvas = document.createElement('canvas');
-                const imgW = img.width;
-                const imgH = img.height;
-                const imgRatio = imgW / imgH;
-                const targetW = targetSize[0] * zipRate;
-                const targetH = targetSize[1] * zipRate;
-                const targetRatio = targetW / targetH;
-
-                //畫布設定為目標尺存
-                canvas.width = targetW;
-                canvas.height = targetH;
-
-                // 偏移計算變量
-                let offsetX = 0, offsetY = 0;
-                let stW = imgW;
-                let stH = imgH;
-
-                if (imgRatio > targetRatio) { // 當圖片更寬時
-                    stW = imgH * targetRatio; // 計算放大到目標高度時圖片的實際寬度
-                    offsetX = (imgW - stW) / 2; // 計算寬度裁減的起點偏移量
-                } else if (imgRatio < targetRatio) { // 當圖片更高時
-                    stH = imgW / targetRatio; // 計算放大到目標寬度時圖片的實際高度
-                    offsetY = (imgH - stH) / 2; // 計算高度裁減的起點偏移量
+        const signal = runOptions.signal || null;
+        const quality = typeof runOptions.quality === 'number' ? Math.min(1, Math.max(0, runOptions.quality)) : undefined;
+
+        if (signal && signal.aborted) {
+            throw ImageBlurProcessor.createAbortError(signal);
+        }
+
+        const pool = this._resolveWorkerPool();
+        if (pool) {
+            try {
+                return await this._blurImageInWorker(pool, inputPath, targetSize, zipRate, isLocalPath, blurRadius, blobType, quality, signal);
+            } catch (error) {
+                // Worker無法創建（例如CSP沒有允許worker-src blob:）時回落到主線程處理，其他錯誤照常拋出
+                if (!pool.creationError || error !== pool.creationError) throw error;
+            }
+        }
+
+        let img;
+        if (typeof inputPath === 'string') {
+            img = await this._loadImageElement(inputPath, isLocalPath, signal);
+        } else if (ImageBlurProcessor.isEncodedSource(inputPath)) {
+            const url = URL.createObjectURL(ImageBlurProcessor.toSourceBlob(inputPath));
+            try {
+                img = await this._loadImageElement(url, false, signal);
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        } else if (ImageBlurProcessor.isBlendSource(inputPath)) {
+            img = {
+                from: await this._loadImageElement(inputPath.from, isLocalPath, signal),
+                to: await this._loadImageElement(inputPath.to, isLocalPath, signal),
+                progress: inputPath.progress
+            };
+        } else {
+            // 純色/漸變和像素數據不需要解碼
+            img = ImageBlurProcessor.resolvePixelSource(inputPath, targetSize, zipRate);
+        }
+        const processor = ImageBlurProcessor.isColorSource(inputPath) ?
+            new ImageBlurProcessor(null, targetSize, zipRate, false, ImageBlurProcessor.optionsForSource(inputPath, this.options)) : this;
+        const canvas = document.createElement('canvas');
+        const result = processor.renderBlurredCanvas(canvas, img, img.width, img.height, targetSize, zipRate, blurRadius);
+
+        if (signal && signal.aborted) {
+            throw ImageBlurProcessor.createAbortError(signal);
+        }
+
+        // 獲取最終圖像的blob數據
+        return new Promise((resolve) => {
+            canvas.toBlob((blob) => {
+                resolve(new bluredBlob(blob, this.getFilename(inputPath), blobType, result.palette || null));
+            }, blobType, quality);
+        });
+    }
+
+    /**
+     * 將圖片裁減到目標尺寸並模糊，結果繪製到傳入的畫布上。這是processPixels的DOM適配：畫布只用於解碼後取出像素和放回結果。
+     * @param {HTMLCanvasElement | OffscreenCanvas} canvas 用於繪製的畫布，尺寸會被設定為目標尺寸
+     * @param {CanvasImageSource | {data: Uint8ClampedArray, width: Int, height: Int} | {from: CanvasImageSource, to: CanvasImageSource, progress: Float}} image 已解碼的圖片（Image 或 ImageBitmap）、RGBA像素數據，或兩張要混合的圖片
+     * @param {Int} imgW 圖片寬度
+     * @param {Int} imgH 圖片高度
+     * @param {Array<Int>} targetSize 目標尺寸[width, height]
+     * @param {Float} zipRate 壓縮比例
+     * @param {Int | Float} blurRadius 模糊半徑
+     * @returns {{data: Uint8ClampedArray, width: Int, height: Int, palette?: Object}} processPixels的結果
+     */
+    renderBlurredCanvas(canvas, image, imgW, imgH, targetSize, zipRate, blurRadius) {
+        const ctx = canvas.getContext('2d');
+        const targetW = Math.max(1, Math.floor(targetSize[0] * zipRate));
+        const targetH = Math.max(1, Math.floor(targetSize[1] * zipRate));
+        const readPixels = (source, width, height) => {
+            if (source.data) return source;
+            // 只按圖片在畫面上的最大縮放比例繪製並取出像素，4K/8K的桌布不需要先以原尺寸展開再縮小
+            let scale = 0;
+            for (const placement of this.computeFitPlacements(width, height, targetW, targetH, zipRate)) {
+                scale = Math.max(scale, placement.scaleX, placement.scaleY);
+            }
+            scale = Math.min(1, scale);
+            const drawW = Math.max(1, Math.ceil(width * scale));
+            const drawH = Math.max(1, Math.ceil(height * scale));
+            canvas.width = drawW;
+            canvas.height = drawH;
+            ctx.drawImage(source, 0, 0, drawW, drawH);
+            const { data } = ctx.getImageData(0, 0, drawW, drawH);
+            return { data, width: drawW, height: drawH, naturalWidth: width, naturalHeight: height };
+        };
+        const sourceData = image.from && image.to ? {
+            from: readPixels(image.from, image.from.width, image.from.height),
+            to: readPixels(image.to, image.to.width, image.to.height),
+            progress: image.progress
+        } : readPixels(image, imgW, imgH);
+
+        const result = this.processPixels(sourceData, blurRadius, targetSize, zipRate);
+
+        //畫布設定為目標尺存，並放回處理後的像素
+        canvas.width = result.width;
+        canvas.height = result.height;
+        ctx.putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+        return result;
+    }
+
+    /**
+     * 處理RGBA像素數據：裁減縮放到目標尺寸後模糊。此方法不依賴DOM，可以在Node、Electron主進程或Worker中直接使用。
+     * @param {{data: Uint8ClampedArray | Uint8Array | Buffer, width: Int, height: Int, naturalWidth?: Int, naturalHeight?: Int} | {from: Object, to: Object, progress: Float}} image 原始圖片的RGBA像素數據，例如ImageData；或兩張圖片的像素數據及混合進度（0為from，1為to），兩張圖片各自按fitMode填充後再混合。像素數據已從原圖縮小時，naturalWidth和naturalHeight為原圖尺寸，原尺寸顯示的模式（centered、tiled）據此擺放
+     * @param {Int | Float} blurRadius 模糊半徑
+     * @param {Array<Int>} [targetSize=this.targetSize] 目標尺寸[width, height]
+     * @param {Float} [zipRate=this.zipRate] 壓縮比例
+     * @returns {{data: Uint8ClampedArray, width: Int, height: Int, palette?: Object}} 處理後的RGBA像素數據，options.extractPalette為true時附帶調色板
+     */
+    processPixels(image, blurRadius, targetSize = this.targetSize, zipRate = this.zipRate) {
+        // 與畫布的行為一致，目標尺寸取整數且至少為1
+        const targetW = Math.max(1, Math.floor(targetSize[0] * zipRate));
+        const targetH = Math.max(1, Math.floor(targetSize[1] * zipRate));
+
+        // 從這裡到量化之前都使用浮點數據，線性光模式下的數值為線性光強度（同樣以0-255表示）
+        const linearLight = !!this.options.linearLight;
+        let pixels;
+        if (image.from && image.to) {
+            pixels = this._composeImage(image.from, targetW, targetH, zipRate, linearLight);
+            const toPixels = this._composeImage(image.to, targetW, targetH, zipRate, linearLight);
+            const progress = Math.min(1, Math.max(0, Number(image.progress) || 0));
+            for (let i = 0; i < pixels.length; i++) {
+                pixels[i] += (toPixels[i] - pixels[i]) * progress;
+            }
+        } else {
+            pixels = this._composeImage(image, targetW, targetH, zipRate, linearLight);
+        }
+
+        const blurredPixels = this.blurPixels(pixels, targetW, targetH, blurRadius, this.options.algorithm, this.options.edgeMode);
+        if (linearLight) {
+            this.linearToSrgb(blurredPixels);
+        }
+        this.applyFilters(blurredPixels, targetW, targetH, this.options.filters);
+
+        const result = {
+            data: this.quantizePixels(blurredPixels, targetW, targetH, this.options.dither),
+            width: targetW,
+            height: targetH
+        };
+        if (this.options.extractPalette) {
+            result.palette = ImageBlurProcessor.extractPalette(result.data, targetW, targetH);
+        }
+        return result;
+    }
+
+    /**
+     * 驗證一張圖片的像素數據並按fitMode填充到目標尺寸
+     * @returns {Float32Array}
+     */
+    _composeImage(image, targetW, targetH, zipRate, linearLight) {
+        const { width: imgW, height: imgH } = image;
+        if (!(imgW > 0) || !(imgH > 0)) {
+            throw new Error(`無效的圖片尺寸: ${imgW}x${imgH}`);
+        }
+        const data = image.data instanceof Uint8ClampedArray ? image.data :
+            new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+        if (data.length < imgW * imgH * 4) {
+            throw new Error(`像素數據長度不足: 需要 ${imgW * imgH * 4}，實際 ${data.length}`);
+        }
+        const naturalSize = image.naturalWidth > 0 && image.naturalHeight > 0 ? [image.naturalWidth, image.naturalHeight] : null;
+        return this.composePixels(data, imgW, imgH, targetW, targetH, zipRate, linearLight, naturalSize);
+    }
+
+    /**
+     * 將sRGB的0-255數值轉為線性光強度（同樣以0-255表示）的查找表
+     * @returns {Float32Array}
+     */
+    static get SRGB_TO_LINEAR() {
+        if (!ImageBlurProcessor._srgbToLinear) {
+            const table = new Float32Array(256);
+            for (let i = 0; i < 256; i++) {
+                const c = i / 255;
+                table[i] = 255 * (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+            }
+            ImageBlurProcessor._srgbToLinear = table;
+        }
+        return ImageBlurProcessor._srgbToLinear;
+    }
+
+    /**
+     * 將線性光的浮點像素數據轉回sRGB（直接修改傳入的數據，Alpha不變）
+     * @param {Float32Array} pixels RGBA浮點像素數據
+     * @returns {Float32Array} 傳入的像素數據
+     */
+    linearToSrgb(pixels) {
+        for (let i = 0; i < pixels.length; i++) {
+            if ((i & 3) === 3) continue;
+            const c = Math.min(1, Math.max(0, pixels[i] / 255));
+            pixels[i] = 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+        }
+        return pixels;
+    }
+
+    /**
+     * 將浮點像素數據量化為8位
+     * @param {Float32Array} pixels RGBA浮點像素數據（0-255）
+     * @param {Int} width 寬度
+     * @param {Int} height 高度
+     * @param {String} [dither="none"] 抖動方式："none"、"ordered"或"blue-noise"
+     * @returns {Uint8ClampedArray}
+     */
+    quantizePixels(pixels, width, height, dither = 'none') {
+        if (dither !== 'none' && dither !== 'ordered' && dither !== 'blue-noise') {
+            throw new Error(`未知的抖動方式: ${dither}`);
+        }
+        // 8x8 Bayer矩陣
+        const bayer = [
+            0, 32, 8, 40, 2, 34, 10, 42,
+            48, 16, 56, 24, 50, 18, 58, 26,
+            12, 44, 4, 36, 14, 46, 6, 38,
+            60, 28, 52, 20, 62, 30, 54, 22,
+            3, 35, 11, 43, 1, 33, 9, 41,
+            51, 19, 59, 27, 49, 17, 57, 25,
+            15, 47, 7, 39, 13, 45, 5, 37,
+            63, 31, 55, 23, 61, 29, 53, 21
+        ];
+        const result = new Uint8ClampedArray(pixels.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // 閾值在0-1之間，無抖動時為0.5即四捨五入
+                let threshold = 0.5;
+                if (dither === 'ordered') {
+                    threshold = (bayer[(y & 7) * 8 + (x & 7)] + 0.5) / 64;
+                } else if (dither === 'blue-noise') {
+                    const t = 0.06711056 * x + 0.00583715 * y;
+                    const n = 52.9829189 * (t - Math.floor(t));
+                    threshold = n - Math.floor(n);
+                }
+                const offset = (y * width + x) * 4;
+                result[offset] = Math.floor(pixels[offset] + threshold);
+                result[offset + 1] = Math.floor(pixels[offset + 1] + threshold);
+                result[offset + 2] = Math.floor(pixels[offset + 2] + threshold);
+                result[offset + 3] = Math.round(pixels[offset + 3]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 各材質濾鏡的類型及其參數默認值，顏色均為[r, g, b]（0-255），不透明度和強度為0-1
+     * - saturation: 飽和度，amount為倍數，1為不變
+     * - luminosity: 亮度混合，以color的亮度替換像素的亮度（保留色相和飽和度），再按opacity混合
+     * - tint: 顏色疊加，以opacity將color疊加到像素上
+     * - exposure: 曝光，stops為曝光檔位，每+1檔亮度加倍
+     * - noise: 單色噪點顆粒，amount為強度，seed為隨機種子，相同種子總是生成相同的顆粒
+     * @returns {Object<String, Object>}
+     */
+    static get FILTER_DEFAULTS() {
+        return {
+            saturation: { amount: 1.25 },
+            luminosity: { color: [128, 128, 128], opacity: 0.5 },
+            tint: { color: [255, 255, 255], opacity: 0.1 },
+            exposure: { stops: 0 },
+            noise: { amount: 0.02, seed: 1 }
+        };
+    }
+
+    /**
+     * 驗證濾鏡鏈並補全默認參數，參數按固定順序排列
+     * @param {Array<Object>} filters 濾鏡鏈
+     * @returns {Array<Object>} 補全後的濾鏡鏈
+     */
+    static normalizeFilters(filters) {
+        if (!filters) return [];
+        if (!Array.isArray(filters)) {
+            throw new Error('濾鏡鏈必須是數組');
+        }
+        const defaults = ImageBlurProcessor.FILTER_DEFAULTS;
+        return filters.map((filter) => {
+            if (!filter || !defaults.hasOwnProperty(filter.type)) {
+                throw new Error(`未知的濾鏡類型: ${filter ? filter.type : filter}`);
+            }
+            const normalized = { type: filter.type };
+            for (const key of Object.keys(defaults[filter.type])) {
+                normalized[key] = filter[key] !== undefined ? filter[key] : defaults[filter.type][key];
+            }
+            return normalized;
+        });
+    }
+
+    /**
+     * 將濾鏡鏈序列化為穩定的字符串，參數相同的濾鏡鏈總是得到相同的結果
+     * @param {Array<Object>} filters 濾鏡鏈
+     * @returns {String}
+     */
+    static serializeFilters(filters) {
+        return JSON.stringify(ImageBlurProcessor.normalizeFilters(filters));
+    }
+
+    /**
+     * 按順序在像素數據上套用濾鏡鏈（直接修改傳入的數據）
+     * @param {Uint8ClampedArray | Float32Array} pixels RGBA像素數據
+     * @param {Int} width 寬度
+     * @param {Int} height 高度
+     * @param {Array<Object>} filters 濾鏡鏈
+     * @returns {Uint8ClampedArray | Float32Array} 傳入的像素數據
+     */
+    applyFilters(pixels, width, height, filters) {
+        for (const filter of ImageBlurProcessor.normalizeFilters(filters)) {
+            switch (filter.type) {
+                case 'saturation':
+                    this._applySaturation(pixels, filter.amount);
+                    break;
+                case 'luminosity':
+                    this._applyLuminosity(pixels, filter.color, filter.opacity);
+                    break;
+                case 'tint':
+                    this._applyTint(pixels, filter.color, filter.opacity);
+                    break;
+                case 'exposure':
+                    this._applyExposure(pixels, filter.stops);
+                    break;
+                case 'noise':
+                    this._applyNoise(pixels, filter.amount, filter.seed);
+                    break;
+            }
+            // 浮點數據不會像Uint8ClampedArray那樣自動截斷，每個濾鏡後截斷到0-255以保持相同的行為
+            if (!(pixels instanceof Uint8ClampedArray)) {
+                for (let i = 0; i < pixels.length; i++) {
+                    pixels[i] = Math.min(255, Math.max(0, pixels[i]));
+                }
+            }
+        }
+        return pixels;
+    }
+
+    _applySaturation(pixels, amount) {
+        for (let i = 0; i < pixels.length; i += 4) {
+            const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+            const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            pixels[i] = luma + (r - luma) * amount;
+            pixels[i + 1] = luma + (g - luma) * amount;
+            pixels[i + 2] = luma + (b - luma) * amount;
+        }
+    }
+
+    _applyLuminosity(pixels, color, opacity) {
+        // 與CSS的luminosity混合模式一致：SetLum(背景, Lum(混合色))
+        const lum = (r, g, b) => 0.3 * r + 0.59 * g + 0.11 * b;
+        const targetLum = lum(color[0], color[1], color[2]);
+        for (let i = 0; i < pixels.length; i += 4) {
+            const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+            const d = targetLum - lum(r, g, b);
+            let nr = r + d, ng = g + d, nb = b + d;
+            // ClipColor：保持亮度的同時把顏色夾回0-255
+            const l = lum(nr, ng, nb);
+            const n = Math.min(nr, ng, nb);
+            const x = Math.max(nr, ng, nb);
+            if (n < 0) {
+                nr = l + (nr - l) * l / (l - n);
+                ng = l + (ng - l) * l / (l - n);
+                nb = l + (nb - l) * l / (l - n);
+            }
+            if (x > 255) {
+                nr = l + (nr - l) * (255 - l) / (x - l);
+                ng = l + (ng - l) * (255 - l) / (x - l);
+                nb = l + (nb - l) * (255 - l) / (x - l);
+            }
+            pixels[i] = r + (nr - r) * opacity;
+            pixels[i + 1] = g + (ng - g) * opacity;
+            pixels[i + 2] = b + (nb - b) * opacity;
+        }
+    }
+
+    _applyTint(pixels, color, opacity) {
+        for (let i = 0; i < pixels.length; i += 4) {
+            pixels[i] += (color[0] - pixels[i]) * opacity;
+            pixels[i + 1] += (color[1] - pixels[i + 1]) * opacity;
+            pixels[i + 2] += (color[2] - pixels[i + 2]) * opacity;
+        }
+    }
+
+    _applyExposure(pixels, stops) {
+        const factor = Math.pow(2, stops);
+        for (let i = 0; i < pixels.length; i += 4) {
+            pixels[i] *= factor;
+            pixels[i + 1] *= factor;
+            pixels[i + 2] *= factor;
+        }
+    }
+
+    _applyNoise(pixels, amount, seed) {
+        // mulberry32：簡單且可重現的偽隨機數生成器
+        let state = (seed >>> 0) || 1;
+        const random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        const strength = amount * 255;
+        for (let i = 0; i < pixels.length; i += 4) {
+            const grain = (random() - 0.5) * 2 * strength;
+            pixels[i] += grain;
+            pixels[i + 1] += grain;
+            pixels[i + 2] += grain;
+        }
+    }
+
+    /**
+     * @param {*} value
+     * @returns {Boolean} 是否為純色/漸變的來源描述
+     */
+    static isColorSource(value) {
+        return !!value && typeof value === 'object' && value.type === 'color';
+    }
+
+    /**
+     * 把本地路徑轉為file:// URL，逐段百分號編碼，路徑中的空格、#、%和中文等字元不會被當作URL語法
+     * @param {String} filePath 本地絕對路徑，例如/home/xxx/My Pictures/img0.jpg或D:\pictrues\img0.jpg
+     * @returns {String}
+     */
+    static toFileUrl(filePath) {
+        let normalized = String(filePath).replace(/\\/g, '/');
+        if (!normalized.startsWith('/')) normalized = '/' + normalized;
+        return 'file://' + normalized.split('/')
+            .map((segment, index) => index === 1 && /^[a-zA-Z]:$/.test(segment) ? segment : encodeURIComponent(segment))
+            .join('/');
+    }
+
+    /**
+     * @param {*} value
+     * @returns {Boolean} 是否為編碼後的圖片數據（Buffer、Uint8Array、ArrayBuffer或Blob）
+     */
+    static isEncodedSource(value) {
+        return value instanceof ArrayBuffer || ArrayBuffer.isView(value) ||
+            (typeof Blob !== 'undefined' && value instanceof Blob);
+    }
+
+    /**
+     * @param {ArrayBuffer | ArrayBufferView | Blob} value 編碼後的圖片數據
+     * @returns {Blob}
+     */
+    static toSourceBlob(value) {
+        return (typeof Blob !== 'undefined' && value instanceof Blob) ? value : new Blob([value]);
+    }
+
+    /**
+     * @param {*} value
+     * @returns {Boolean} 是否為兩張圖片混合的來源描述
+     */
+    static isBlendSource(value) {
+        return !!value && typeof value === 'object' && value.type === 'blend';
+    }
+
+    /**
+     * 生成純色或漸變的RGBA像素數據，用於桌面只設定了顏色而沒有圖片的情況
+     * @param {{shading?: String, primaryColor: Array<Int>, secondaryColor?: Array<Int> | null}} source shading為"solid"、"horizontal"（從左側的primaryColor漸變到右側的secondaryColor）或"vertical"（從上到下）
+     * @param {Int} width 寬度
+     * @param {Int} height 高度
+     * @returns {{data: Uint8ClampedArray, width: Int, height: Int}}
+     */
+    static createColorPixels(source, width, height) {
+        const primary = source.primaryColor || [0, 0, 0];
+        const secondary = source.secondaryColor || primary;
+        const shading = source.secondaryColor ? source.shading : 'solid';
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let t = 0;
+                if (shading === 'horizontal') t = width > 1 ? x / (width - 1) : 0;
+                else if (shading === 'vertical') t = height > 1 ? y / (height - 1) : 0;
+                const offset = (y * width + x) * 4;
+                data[offset] = primary[0] + (secondary[0] - primary[0]) * t;
+                data[offset + 1] = primary[1] + (secondary[1] - primary[1]) * t;
+                data[offset + 2] = primary[2] + (secondary[2] - primary[2]) * t;
+                data[offset + 3] = 255;
+            }
+        }
+        return { data, width, height };
+    }
+
+    /**
+     * 將非路徑的來源轉為像素數據：純色/漸變按壓縮後的目標尺寸生成，像素數據原樣返回
+     * @returns {{data: Uint8ClampedArray, width: Int, height: Int}}
+     */
+    static resolvePixelSource(source, targetSize, zipRate) {
+        if (ImageBlurProcessor.isColorSource(source)) {
+            const width = Math.max(1, Math.floor(targetSize[0] * zipRate));
+            const height = Math.max(1, Math.floor(targetSize[1] * zipRate));
+            return ImageBlurProcessor.createColorPixels(source, width, height);
+        }
+        if (source && source.data && source.width > 0 && source.height > 0) {
+            return source;
+        }
+        throw new Error('無效的圖片來源');
+    }
+
+    /**
+     * 純色/漸變總是鋪滿整個畫面，與填充方式的設定無關
+     * @returns {Object} 處理該來源時使用的選項
+     */
+    static optionsForSource(source, options) {
+        return ImageBlurProcessor.isColorSource(source) ? { ...options, fitMode: 'stretched' } : options;
+    }
+
+    /**
+     * 調色板中每個顏色的目標：飽和度和亮度的範圍及理想值（0-1）
+     * @returns {Object<String, {minS: Float, targetS: Float, maxS: Float, minL: Float, targetL: Float, maxL: Float}>}
+     */
+    static get PALETTE_TARGETS() {
+        return {
+            vibrant: { minS: 0.35, targetS: 1, maxS: 1, minL: 0.3, targetL: 0.5, maxL: 0.7 },
+            lightVibrant: { minS: 0.35, targetS: 1, maxS: 1, minL: 0.55, targetL: 0.74, maxL: 1 },
+            darkVibrant: { minS: 0.35, targetS: 1, maxS: 1, minL: 0, targetL: 0.26, maxL: 0.45 },
+            muted: { minS: 0, targetS: 0.3, maxS: 0.4, minL: 0.3, targetL: 0.5, maxL: 0.7 },
+            lightMuted: { minS: 0, targetS: 0.3, maxS: 0.4, minL: 0.55, targetL: 0.74, maxL: 1 },
+            darkMuted: { minS: 0, targetS: 0.3, maxS: 0.4, minL: 0, targetL: 0.26, maxL: 0.45 }
+        };
+    }
+
+    /**
+     * 從RGBA像素數據中提取調色板：顏色按每通道4位分桶統計，取像素最多的桶為主色，其餘顏色從各桶的平均色中按飽和度、亮度與目標的接近程度和像素數量評分選出。
+     * 沒有符合範圍的顏色時（例如灰階圖片沒有鮮豔色），以主色的色相按目標的飽和度和亮度合成，因此每個顏色都一定有值。
+     * 半透明度低於50%的像素不參與統計。
+     * @param {Uint8ClampedArray | Uint8Array} pixels RGBA像素數據
+     * @param {Int} width 寬度
+     * @param {Int} height 高度
+     * @param {Int} [maxSamples=16384] 最多取樣的像素數，超過時按固定間隔取樣
+     * @returns {{dominant: Array<Int>, vibrant: Array<Int>, lightVibrant: Array<Int>, darkVibrant: Array<Int>, muted: Array<Int>, lightMuted: Array<Int>, darkMuted: Array<Int>} | null} 每個顏色為[r, g, b]；沒有可統計的像素時返回null
+     */
+    static extractPalette(pixels, width, height, maxSamples = 16384) {
+        const step = Math.max(1, Math.floor(Math.sqrt(width * height / maxSamples)));
+        const counts = new Uint32Array(4096);
+        const sums = new Float64Array(4096 * 3);
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const offset = (y * width + x) * 4;
+                if (pixels[offset + 3] < 128) continue;
+                const r = pixels[offset], g = pixels[offset + 1], b = pixels[offset + 2];
+                const bin = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+                counts[bin]++;
+                sums[bin * 3] += r;
+                sums[bin * 3 + 1] += g;
+                sums[bin * 3 + 2] += b;
+            }
+        }
+
+        const swatches = [];
+        let dominant = null;
+        for (let bin = 0; bin < 4096; bin++) {
+            const count = counts[bin];
+            if (count === 0) continue;
+            const rgb = [
+                Math.round(sums[bin * 3] / count),
+                Math.round(sums[bin * 3 + 1] / count),
+                Math.round(sums[bin * 3 + 2] / count)
+            ];
+            const swatch = { rgb, hsl: ImageBlurProcessor.rgbToHsl(rgb), population: count };
+            swatches.push(swatch);
+            if (!dominant || count > dominant.population) dominant = swatch;
+        }
+        if (!dominant) return null;
+
+        const palette = { dominant: dominant.rgb };
+        const used = new Set();
+        const targets = ImageBlurProcessor.PALETTE_TARGETS;
+        for (const name of Object.keys(targets)) {
+            const target = targets[name];
+            let best = null, bestScore = -Infinity;
+            for (const swatch of swatches) {
+                const [, sat, light] = swatch.hsl;
+                if (used.has(swatch) || sat < target.minS || sat > target.maxS || light < target.minL || light > target.maxL) continue;
+                const score = (1 - Math.abs(sat - target.targetS)) * 3 +
+                    (1 - Math.abs(light - target.targetL)) * 6.5 +
+                    (swatch.population / dominant.population) * 0.5;
+                if (score > bestScore) {
+                    best = swatch;
+                    bestScore = score;
                 }
-                // 比例相同時無須偏移
+            }
+            if (best) {
+                used.add(best);
+                palette[name] = best.rgb;
+            } else {
+                // 主色接近灰色時色相沒有意義，合成的顏色也保持灰色
+                const sat = dominant.hsl[1] < 0.05 ? 0 : Math.min(target.maxS, Math.max(target.minS, dominant.hsl[1]));
+                palette[name] = ImageBlurProcessor.hslToRgb([dominant.hsl[0], sat, target.targetL]);
+            }
+        }
+        return palette;
+    }
+
+    /**
+     * @param {Array<Int>} rgb [r, g, b]（0-255）
+     * @returns {Array<Float>} [h, s, l]（0-1）
+     */
+    static rgbToHsl([r, g, b]) {
+        r /= 255; g /= 255; b /= 255;
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        if (max === min) return [0, 0, l];
+        const d = max - min;
+        const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        let h;
+        if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        return [h / 6, s, l];
+    }
+
+    /**
+     * @param {Array<Float>} hsl [h, s, l]（0-1）
+     * @returns {Array<Int>} [r, g, b]（0-255）
+     */
+    static hslToRgb([h, s, l]) {
+        if (s === 0) {
+            const v = Math.round(l * 255);
+            return [v, v, v];
+        }
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        const channel = (t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+        return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)].map(c => Math.round(c * 255));
+    }
+
+    /**
+     * 按fitMode將原圖繪製到目標尺寸的畫面上，未被圖片覆蓋的區域填充背景色
+     * @param {Uint8ClampedArray} data 原圖RGBA像素數據
+     * @param {Int} imgW 原圖寬度
+     * @param {Int} imgH 原圖高度
+     * @param {Int} targetW 目標寬度
+     * @param {Int} targetH 目標高度
+     * @param {Float} zipRate 壓縮比例，原尺寸顯示的模式（centered、tiled）按此比例縮放
+     * @param {Boolean} [linearLight=false] 是否輸出線性光的數值
+     * @param {Array<Int>} [naturalSize=null] 原圖已被縮小時的原始尺寸[width, height]，見computeFitPlacements
+     * @returns {Float32Array} 目標尺寸的RGBA浮點像素數據
+     */
+    composePixels(data, imgW, imgH, targetW, targetH, zipRate, linearLight = false, naturalSize = null) {
+        const table = linearLight ? ImageBlurProcessor.SRGB_TO_LINEAR : null;
+        const placements = this.computeFitPlacements(imgW, imgH, targetW, targetH, zipRate, naturalSize);
+        if (placements.length === 1 && placements[0].repeat) {
+            return this._tilePixels(data, imgW, imgH, placements[0], targetW, targetH, table);
+        }
+        const regions = [];
+        for (const placement of placements) {
+            const region = this._clipPlacement(placement, imgW, imgH, targetW, targetH);
+            if (region) regions.push(region);
+        }
 
-                const ctx = canvas.getContext('2d');
+        // 單個區域剛好覆蓋整個畫面時（例如zoom、stretched），無需背景
+        if (regions.length === 1 && regions[0].dx === 0 && regions[0].dy === 0 && regions[0].dw === targetW && regions[0].dh === targetH) {
+            return this.resamplePixels(data, imgW, imgH, regions[0], targetW, targetH, table);
+        }
+
+        const pixels = new Float32Array(targetW * targetH * 4);
+        let [bgR, bgG, bgB] = this.options.backgroundColor || [0, 0, 0];
+        if (table) {
+            [bgR, bgG, bgB] = [bgR, bgG, bgB].map(c => table[Math.round(Math.min(255, Math.max(0, c)))]);
+        }
+        for (let i = 0; i < pixels.length; i += 4) {
+            pixels[i] = bgR;
+            pixels[i + 1] = bgG;
+            pixels[i + 2] = bgB;
+            pixels[i + 3] = 255;
+        }
+        for (const region of regions) {
+            const regionPixels = this.resamplePixels(data, imgW, imgH, region, region.dw, region.dh, table);
+            for (let y = 0; y < region.dh; y++) {
+                const from = y * region.dw * 4;
+                pixels.set(regionPixels.subarray(from, from + region.dw * 4), ((region.dy + y) * targetW + region.dx) * 4);
+            }
+        }
+        return pixels;
+    }
 
-                // 將圖片裁減並繪製到畫布
-                ctx.drawImage(img, offsetX, offsetY, stW, stH, 0, 0, targetW, targetH);
+    /**
+     * 平鋪：原圖只縮放一次到單塊的整數像素尺寸，再按座標取模重複填滿畫面。單塊小於一個像素時縮放為1x1，即整張圖的平均色
+     * @param {{scaleX: Float, scaleY: Float}} placement 平鋪的擺放，見computeFitPlacements
+     * @returns {Float32Array} 目標尺寸的RGBA浮點像素數據
+     */
+    _tilePixels(data, imgW, imgH, placement, targetW, targetH, table) {
+        const tileW = Math.max(1, Math.round(imgW * placement.scaleX));
+        const tileH = Math.max(1, Math.round(imgH * placement.scaleY));
+        const tile = this.resamplePixels(data, imgW, imgH, { sx: 0, sy: 0, sw: imgW, sh: imgH }, tileW, tileH, table);
+        const pixels = new Float32Array(targetW * targetH * 4);
+        for (let y = 0; y < targetH; y++) {
+            const tileRow = (y % tileH) * tileW;
+            let offset = y * targetW * 4;
+            for (let x = 0; x < targetW; x++) {
+                const from = (tileRow + x % tileW) * 4;
+                pixels[offset++] = tile[from];
+                pixels[offset++] = tile[from + 1];
+                pixels[offset++] = tile[from + 2];
+                pixels[offset++] = tile[from + 3];
+            }
+        }
+        return pixels;
+    }
 
-                // 獲取圖像數據
-                let imageData = ctx.getImageData(0, 0, targetW, targetH);
-                // 獲取像素數據
-                let pixels = imageData.data;
+    /**
+     * 計算原圖在目標畫面上的擺放方式：原圖像素u對應畫面座標offsetX + u * scaleX（y方向同理）。
+     * 平鋪時只返回從左上角開始的第一塊，並標記repeat為true，由使用方重複填充，擺放數量不隨平鋪的塊數增長。
+     * @param {Array<Int>} [naturalSize=null] 圖片已被縮小時的原始尺寸[width, height]：centered和tiled按原始尺寸乘以zipRate顯示，其他模式只與寬高比有關
+     * @returns {Array<{scaleX: Float, scaleY: Float, offsetX: Float, offsetY: Float, repeat?: Boolean}>}
+     */
+    computeFitPlacements(imgW, imgH, targetW, targetH, zipRate, naturalSize = null) {
+        // 原尺寸顯示時，每個像素在畫面上的大小
+        const nativeScaleX = naturalSize ? naturalSize[0] * zipRate / imgW : zipRate;
+        const nativeScaleY = naturalSize ? naturalSize[1] * zipRate / imgH : zipRate;
+        const centered = (scaleX, scaleY) => ({
+            scaleX, scaleY,
+            offsetX: (targetW - imgW * scaleX) / 2,
+            offsetY: (targetH - imgH * scaleY) / 2
+        });
+        const fitMode = this.options.fitMode || 'zoom';
+        switch (fitMode) {
+            case 'none':
+                return [];
+            case 'scaled': {
+                const scale = Math.min(targetW / imgW, targetH / imgH);
+                return [centered(scale, scale)];
+            }
+            case 'stretched':
+                return [{ scaleX: targetW / imgW, scaleY: targetH / imgH, offsetX: 0, offsetY: 0 }];
+            case 'centered':
+                return [centered(nativeScaleX, nativeScaleY)];
+            case 'tiled':
+                return [{ scaleX: nativeScaleX, scaleY: nativeScaleY, offsetX: 0, offsetY: 0, repeat: true }];
+            case 'spanned': {
+                const span = this.options.span;
+                if (span && span.width > 0 && span.height > 0) {
+                    // 圖片填滿整個虛擬桌面，當前螢幕只顯示其中屬於自己的部分
+                    const spanW = span.width * zipRate;
+                    const spanH = span.height * zipRate;
+                    const scale = Math.max(spanW / imgW, spanH / imgH);
+                    return [{
+                        scaleX: scale, scaleY: scale,
+                        offsetX: span.x * zipRate + (spanW - imgW * scale) / 2,
+                        offsetY: span.y * zipRate + (spanH - imgH * scale) / 2
+                    }];
+                }
+                const scale = Math.max(targetW / imgW, targetH / imgH);
+                return [centered(scale, scale)];
+            }
+            case 'zoom': {
+                const scale = Math.max(targetW / imgW, targetH / imgH);
+                return [centered(scale, scale)];
+            }
+            default:
+                throw new Error(`未知的填充方式: ${fitMode}`);
+        }
+    }
 
-                // 生成高斯核
-                let kernel = this.generateGaussianKernel(blurRadius);
+    /**
+     * 將擺放裁減到畫面內：畫面上的區域取整數像素，並反算出原圖中對應的區域
+     * @returns {{sx: Float, sy: Float, sw: Float, sh: Float, dx: Int, dy: Int, dw: Int, dh: Int} | null} 完全不可見時返回null
+     */
+    _clipPlacement(placement, imgW, imgH, targetW, targetH) {
+        const { scaleX, scaleY, offsetX, offsetY } = placement;
+        const dx0 = Math.max(0, Math.round(offsetX));
+        const dy0 = Math.max(0, Math.round(offsetY));
+        const dx1 = Math.min(targetW, Math.round(offsetX + imgW * scaleX));
+        const dy1 = Math.min(targetH, Math.round(offsetY + imgH * scaleY));
+        if (dx1 <= dx0 || dy1 <= dy0) return null;
+        return {
+            sx: (dx0 - offsetX) / scaleX,
+            sy: (dy0 - offsetY) / scaleY,
+            sw: (dx1 - dx0) / scaleX,
+            sh: (dy1 - dy0) / scaleY,
+            dx: dx0, dy: dy0, dw: dx1 - dx0, dh: dy1 - dy0
+        };
+    }
 
-                // 水平方向模糊
-                let horizontalPixels = this.applyHorizontalBlur(pixels, targetW, targetH, kernel);
+    /**
+     * 將原圖的指定區域縮放到目標尺寸：縮小時按面積平均，放大時雙線性插值，水平和垂直分開計算。
+     * @param {Uint8ClampedArray} data 原圖RGBA像素數據
+     * @param {Int} imgW 原圖寬度
+     * @param {Int} imgH 原圖高度
+     * @param {{sx: Float, sy: Float, sw: Float, sh: Float}} crop 原圖中的區域
+     * @param {Int} targetW 目標寬度
+     * @param {Int} targetH 目標高度
+     * @param {Float32Array} [table=null] RGB數值的轉換查找表，例如轉為線性光；Alpha不轉換
+     * @returns {Float32Array} 目標尺寸的RGBA浮點像素數據
+     */
+    resamplePixels(data, imgW, imgH, crop, targetW, targetH, table = null) {
+        const columns = this._buildResampleWeights(crop.sx, crop.sw, imgW, targetW);
+        const rows = this._buildResampleWeights(crop.sy, crop.sh, imgH, targetH);
 
-                // 垂直方向模糊
-                let verticalPixels = this.applyVerticalBlur(horizontalPixels, targetW, targetH, kernel);
+        // 只有被垂直方向引用到的原圖行才需要做水平縮放
+        const firstRow = rows.minIndex;
+        const rowCount = rows.maxIndex - firstRow + 1;
+        const horizontal = new Float32Array(rowCount * targetW * 4);
+        for (let y = 0; y < rowCount; y++) {
+            const sourceRow = (firstRow + y) * imgW;
+            for (let x = 0; x < targetW; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let i = columns.starts[x]; i < columns.starts[x + 1]; i++) {
+                    const offset = (sourceRow + columns.indices[i]) * 4;
+                    const weight = columns.weights[i];
+                    if (table) {
+                        r += table[data[offset]] * weight;
+                        g += table[data[offset + 1]] * weight;
+                        b += table[data[offset + 2]] * weight;
+                    } else {
+                        r += data[offset] * weight;
+                        g += data[offset + 1] * weight;
+                        b += data[offset + 2] * weight;
+                    }
+                    a += data[offset + 3] * weight;
+                }
+                const offset = (y * targetW + x) * 4;
+                horizontal[offset] = r;
+                horizontal[offset + 1] = g;
+                horizontal[offset + 2] = b;
+                horizontal[offset + 3] = a;
+            }
+        }
 
-                // 將模糊後的像素放回 imageData
-                imageData.data.set(verticalPixels);
-                ctx.putImageData(imageData, 0, 0);
+        const newPixels = new Float32Array(targetW * targetH * 4);
+        for (let y = 0; y < targetH; y++) {
+            for (let x = 0; x < targetW; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let i = rows.starts[y]; i < rows.starts[y + 1]; i++) {
+                    const offset = ((rows.indices[i] - firstRow) * targetW + x) * 4;
+                    const weight = rows.weights[i];
+                    r += horizontal[offset] * weight;
+                    g += horizontal[offset + 1] * weight;
+                    b += horizontal[offset + 2] * weight;
+                    a += horizontal[offset + 3] * weight;
+                }
+                const offset = (y * targetW + x) * 4;
+                newPixels[offset] = r;
+                newPixels[offset + 1] = g;
+                newPixels[offset + 2] = b;
+                newPixels[offset + 3] = a;
+            }
+        }
+        return newPixels;
+    }
 
-                // 獲取最終圖像的blob數據
-                canvas.toBlob((blob) => {
-                    resolve(new bluredBlob(blob, this.getFilename(inputPath), blobType));
-                }, blobType);
+    /**
+     * 計算一個方向上每個目標像素對應的原圖像素及權重
+     * @param {Float} start 原圖區域的起點
+     * @param {Float} length 原圖區域的長度
+     * @param {Int} limit 原圖在此方向的像素數，超出的索引會被夾到邊緣
+     * @param {Int} count 目標像素數
+     * @returns {{starts: Int32Array, indices: Int32Array, weights: Float32Array, minIndex: Int, maxIndex: Int}}
+     */
+    _buildResampleWeights(start, length, limit, count) {
+        const scale = length / count;
+        const starts = new Int32Array(count + 1);
+        const indices = [];
+        const weights = [];
+        let minIndex = limit - 1;
+        let maxIndex = 0;
+        const push = (index, weight) => {
+            const clamped = Math.min(limit - 1, Math.max(0, index));
+            indices.push(clamped);
+            weights.push(weight);
+            if (clamped < minIndex) minIndex = clamped;
+            if (clamped > maxIndex) maxIndex = clamped;
+        };
+        for (let i = 0; i < count; i++) {
+            starts[i] = indices.length;
+            if (scale >= 1) {
+                // 縮小：按覆蓋面積平均
+                const from = start + i * scale;
+                const to = from + scale;
+                for (let j = Math.floor(from); j < Math.ceil(to); j++) {
+                    const coverage = Math.min(to, j + 1) - Math.max(from, j);
+                    if (coverage > 0) push(j, coverage / scale);
+                }
+            } else {
+                // 放大：雙線性插值
+                const center = start + (i + 0.5) * scale - 0.5;
+                const j = Math.floor(center);
+                const t = center - j;
+                push(j, 1 - t);
+                push(j + 1, t);
+            }
+        }
+        starts[count] = indices.length;
+        return { starts, indices: Int32Array.from(indices), weights: Float32Array.from(weights), minIndex, maxIndex };
+    }
+
+    /**
+     * 模糊RGBA像素數據：先轉為預乘Alpha再模糊，最後還原，避免透明像素的顏色滲入而在透明圖片的邊緣產生暗邊。整個過程保持浮點精度，不會在兩次模糊之間取整。
+     * @param {Uint8ClampedArray | Float32Array} pixels RGBA像素數據
+     * @param {Int} width 寬度
+     * @param {Int} height 高度
+     * @param {Int | Float} blurRadius 模糊半徑，"exact"模式下四捨五入為整數；不大於0時不模糊
+     * @param {String} [algorithm="exact"] 模糊算法，"exact"或"box"
+     * @param {String} [edgeMode="clamp"] 邊緣處理方式，見options.edgeMode
+     * @returns {Float32Array} 模糊後的RGBA浮點像素數據（0-255），可用quantizePixels轉為8位
+     */
+    blurPixels(pixels, width, height, blurRadius, algorithm = 'exact', edgeMode = 'clamp') {
+        if (algorithm !== 'box' && algorithm !== 'exact') {
+            throw new Error(`未知的模糊算法: ${algorithm}`);
+        }
+        if (!ImageBlurProcessor.EDGE_MODES.includes(edgeMode)) {
+            throw new Error(`未知的邊緣處理方式: ${edgeMode}`);
+        }
+        if (!(blurRadius > 0)) {
+            return pixels instanceof Float32Array ? pixels : Float32Array.from(pixels);
+        }
+        const premultiplied = this.premultiplyAlpha(pixels);
+        let blurred;
+        if (algorithm === 'box') {
+            blurred = this.applyBoxBlur(premultiplied, width, height, blurRadius, edgeMode);
+        } else {
+            // 生成高斯核
+            let kernel = this.generateGaussianKernel(blurRadius);
+
+            // 水平方向模糊
+            let horizontalPixels = this.applyHorizontalBlur(premultiplied, width, height, kernel, edgeMode);
+
+            // 垂直方向模糊
+            blurred = this.applyVerticalBlur(horizontalPixels, width, height, kernel, edgeMode);
+        }
+        return this.unpremultiplyAlpha(blurred);
+    }
+
+    /**
+     * 可用的邊緣處理方式：
+     * - clamp: 超出邊界時取最邊緣的像素
+     * - mirror: 以邊界為軸鏡像取樣，大半徑時不會把邊緣像素拉成條紋
+     * - wrap: 從另一側繞回取樣，適合平鋪的圖片
+     * - transparent: 邊界外視為透明，邊緣會逐漸變透明
+     * @returns {Array<String>}
+     */
+    static get EDGE_MODES() {
+        return ['clamp', 'mirror', 'wrap', 'transparent'];
+    }
+
+    /**
+     * 計算一個方向上帶邊距的取樣索引表：表中第p項對應座標p - padding，值為實際取樣的像素索引，-1表示透明。
+     * @param {Int} length 此方向的像素數
+     * @param {Int} padding 兩側需要額外取樣的像素數
+     * @param {String} edgeMode 邊緣處理方式
+     * @returns {Int32Array}
+     */
+    buildEdgeIndexMap(length, padding, edgeMode) {
+        const map = new Int32Array(length + padding * 2);
+        const period = length * 2;
+        for (let p = 0; p < map.length; p++) {
+            const i = p - padding;
+            if (i >= 0 && i < length) {
+                map[p] = i;
+                continue;
+            }
+            switch (edgeMode) {
+                case 'mirror': {
+                    const m = ((i % period) + period) % period;
+                    map[p] = m < length ? m : period - 1 - m;
+                    break;
+                }
+                case 'wrap':
+                    map[p] = ((i % length) + length) % length;
+                    break;
+                case 'transparent':
+                    map[p] = -1;
+                    break;
+                default:
+                    map[p] = i < 0 ? 0 : length - 1;
+            }
+        }
+        return map;
+    }
+
+    /**
+     * 轉為預乘Alpha的浮點像素數據
+     * @param {Uint8ClampedArray | Float32Array} pixels RGBA像素數據
+     * @returns {Float32Array}
+     */
+    premultiplyAlpha(pixels) {
+        const result = new Float32Array(pixels.length);
+        for (let i = 0; i < pixels.length; i += 4) {
+            const alpha = pixels[i + 3] / 255;
+            result[i] = pixels[i] * alpha;
+            result[i + 1] = pixels[i + 1] * alpha;
+            result[i + 2] = pixels[i + 2] * alpha;
+            result[i + 3] = pixels[i + 3];
+        }
+        return result;
+    }
+
+    /**
+     * 將預乘Alpha的像素數據還原
+     * @param {Float32Array} pixels 預乘Alpha的RGBA浮點像素數據
+     * @returns {Float32Array}
+     */
+    unpremultiplyAlpha(pixels) {
+        const result = new Float32Array(pixels.length);
+        for (let i = 0; i < pixels.length; i += 4) {
+            const alpha = pixels[i + 3];
+            if (alpha > 1e-6) {
+                const scale = 255 / alpha;
+                result[i] = pixels[i] * scale;
+                result[i + 1] = pixels[i + 1] * scale;
+                result[i + 2] = pixels[i + 2] * scale;
+            }
+            result[i + 3] = alpha;
+        }
+        return result;
+    }
+
+    /**
+     * 在主線程中載入圖片
+     * @param {String} inputPath 圖片路徑
+     * @param {Boolean} isLocalPath 是否為本地圖片
+     * @param {AbortSignal} [signal] 取消信號
+     * @returns {Promise<HTMLImageElement>}
+     */
+    _loadImageElement(inputPath, isLocalPath, signal) {
+        return new Promise((resolve, reject) => {
+            // 創建一個圖像對象
+            const img = new Image();
+            const onAbort = () => {
+                img.onload = null;
+                img.onerror = null;
+                img.src = '';
+                reject(ImageBlurProcessor.createAbortError(signal));
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            // 當圖片成功載入後開始處理
+            img.onload = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve(img);
             };
-            img.onerror = reject;
-            // 根據isLocalPath決定是否添加「file://」
+            img.onerror = (e) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                reject(e);
+            };
+            // 根據isLocalPath決定是否轉為「file://」URL
             if (isLocalPath) {
-                img.src = "file://" + inputPath;
+                img.src = ImageBlurProcessor.toFileUrl(inputPath);
             } else {
                 img.src = inputPath;
             }
         });
     }
 
+    /**
+     * 根據options.worker取得要使用的Worker池，不可用時返回null
+     * @returns {ImageBlurWorkerPool | null}
+     */
+    _resolveWorkerPool() {
+        const worker = this.options.worker;
+        if (!worker || !ImageBlurWorkerPool.isSupported()) {
+            return null;
+        }
+        const pool = worker instanceof ImageBlurWorkerPool ? worker : ImageBlurProcessor.getSharedWorkerPool();
+        return pool.creationError ? null : pool;
+    }
+
+    /**
+     * 在Worker中模糊圖片：圖片以Blob傳入Worker，由createImageBitmap解碼並在OffscreenCanvas上處理，編碼後的數據以可轉移的ArrayBuffer傳回。
+     */
+    async _blurImageInWorker(pool, inputPath, targetSize, zipRate, isLocalPath, blurRadius, blobType, quality, signal) {
+        const transfer = [];
+        let source;
+        try {
+            if (typeof inputPath === 'string') {
+                source = await this._readWorkerImage(inputPath, isLocalPath, signal, transfer);
+            } else if (ImageBlurProcessor.isEncodedSource(inputPath)) {
+                source = ImageBlurProcessor.toSourceBlob(inputPath);
+            } else if (ImageBlurProcessor.isBlendSource(inputPath)) {
+                source = {
+                    type: 'blend',
+                    from: await this._readWorkerImage(inputPath.from, isLocalPath, signal, transfer),
+                    to: await this._readWorkerImage(inputPath.to, isLocalPath, signal, transfer),
+                    progress: inputPath.progress
+                };
+            } else {
+                // 純色/漸變的描述和像素數據都可以直接傳給Worker
+                source = inputPath;
+            }
+            if (signal && signal.aborted) {
+                throw ImageBlurProcessor.createAbortError(signal);
+            }
+        } catch (error) {
+            transfer.forEach(bitmap => bitmap.close());
+            throw error;
+        }
+        const options = { ...ImageBlurProcessor.optionsForSource(inputPath, this.options), worker: false };
+        const result = await pool.run({ source, targetSize, zipRate, blurRadius, blobType, quality, options }, transfer, signal);
+        const blob = new Blob([result.buffer], { type: blobType });
+        return new bluredBlob(blob, this.getFilename(inputPath), blobType, result.palette || null);
+    }
+
+    /**
+     * 讀取要傳給Worker的圖片：優先讀取為Blob由Worker解碼；無法直接讀取檔案時在主線程解碼為ImageBitmap（加入transfer），但模糊依然在Worker中進行
+     * @returns {Promise<Blob | ImageBitmap>}
+     */
+    async _readWorkerImage(inputPath, isLocalPath, signal, transfer) {
+        const blob = await this._readSourceBlob(inputPath, isLocalPath);
+        if (blob) {
+            return blob;
+        }
+        const img = await this._loadImageElement(inputPath, isLocalPath, signal);
+        const bitmap = await createImageBitmap(img);
+        transfer.push(bitmap);
+        return bitmap;
+    }
+
+    /**
+     * 讀取原始圖片為Blob，失敗時返回null
+     * @returns {Promise<Blob | null>}
+     */
+    async _readSourceBlob(inputPath, isLocalPath) {
+        try {
+            if (isLocalPath && typeof require === 'function') {
+                const fs = require('fs');
+                const buffer = await fs.promises.readFile(inputPath);
+                return new Blob([buffer]);
+            }
+            if (typeof fetch === 'function' && !isLocalPath) {
+                const response = await fetch(inputPath);
+                if (response.ok) {
+                    return await response.blob();
+                }
+            }
+        } catch (e) {
+            // 交由主線程解碼處理
+        }
+        return null;
+    }
+
+    /**
+     * 取得共享的Worker池，首次調用時創建
+     * @returns {ImageBlurWorkerPool}
+     */
+    static getSharedWorkerPool() {
+        if (!ImageBlurProcessor._sharedWorkerPool) {
+            const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) ? navigator.hardwareConcurrency : 2;
+            ImageBlurProcessor._sharedWorkerPool = new ImageBlurWorkerPool(Math.max(1, Math.min(2, cores - 1)));
+        }
+        return ImageBlurProcessor._sharedWorkerPool;
+    }
+
+    /**
+     * 創建取消時使用的錯誤對象
+     * @param {AbortSignal} [signal] 取消信號，有reason時直接使用
+     * @returns {Error}
+     */
+    static createAbortError(signal) {
+        if (signal && signal.reason !== undefined) {
+            return signal.reason;
+        }
+        if (typeof DOMException !== 'undefined') {
+            return new DOMException('圖片模糊處理已取消', 'AbortError');
+        }
+        const error = new Error('圖片模糊處理已取消');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Worker的入口：此方法會連同整個類的源碼一起被序列化到Worker中執行，因此不能引用類外部的任何變量。
+     * @param {DedicatedWorkerGlobalScope} scope Worker的全局對象
+     */
+    static _workerMain(scope) {
+        scope.onmessage = async (event) => {
+            const { id, source, targetSize, zipRate, blurRadius, blobType, quality, options } = event.data;
+            try {
+                const decode = (image) => image instanceof ImageBitmap ? image : createImageBitmap(image);
+                let image;
+                if (ImageBlurProcessor.isBlendSource(source)) {
+                    image = { from: await decode(source.from), to: await decode(source.to), progress: source.progress };
+                } else if (source instanceof ImageBitmap || (typeof Blob !== 'undefined' && source instanceof Blob)) {
+                    image = await decode(source);
+                } else {
+                    image = ImageBlurProcessor.resolvePixelSource(source, targetSize, zipRate);
+                }
+                const canvas = new OffscreenCanvas(1, 1);
+                const processor = new ImageBlurProcessor(null, targetSize, zipRate, false, options);
+                const result = processor.renderBlurredCanvas(canvas, image, image.width, image.height, targetSize, zipRate, blurRadius);
+                for (const bitmap of [image, image.from, image.to]) {
+                    if (bitmap && typeof bitmap.close === 'function') bitmap.close();
+                }
+                const blob = await canvas.convertToBlob({ type: blobType, quality });
+                const buffer = await blob.arrayBuffer();
+                scope.postMessage({ id, buffer, palette: result.palette || null }, [buffer]);
+            } catch (error) {
+                scope.postMessage({ id, error: (error && error.message) ? error.message : String(error) });
+            }
+        };
+    }
+
+    /**
+     * 以三次盒狀模糊逼近高斯模糊：sigma與高斯核一致取radius/3，每一次水平和垂直的盒狀模糊都以滑動累加完成。
+     * 多次模糊若每次都在邊界截斷，邊緣處理的結果會與單次卷積不同，因此先按邊緣處理方式向外擴展所有盒狀模糊半徑之和，模糊後再裁回原尺寸。
+     * @param {Float32Array} pixels 預乘Alpha的RGBA像素數據
+     * @param {Int} width 寬度
+     * @param {Int} height 高度
+     * @param {Int | Float} radius 模糊半徑
+     * @param {String} [edgeMode="clamp"] 邊緣處理方式
+     * @returns {Float32Array} 模糊後的預乘Alpha浮點像素數據
+     */
+    applyBoxBlur(pixels, width, height, radius, edgeMode = 'clamp') {
+        const boxRadii = this.boxesForGaussian(radius / 3, 3).map(size => (size - 1) / 2).filter(r => r > 0);
+        const padding = boxRadii.reduce((sum, r) => sum + r, 0);
+        const paddedW = width + padding * 2;
+        const paddedH = height + padding * 2;
+
+        let source = new Float32Array(paddedW * paddedH * 4);
+        let target = new Float32Array(source.length);
+        const columnMap = this.buildEdgeIndexMap(width, padding, edgeMode);
+        const rowMap = this.buildEdgeIndexMap(height, padding, edgeMode);
+        for (let y = 0; y < paddedH; y++) {
+            const sourceY = rowMap[y];
+            if (sourceY < 0) continue;
+            for (let x = 0; x < paddedW; x++) {
+                const sourceX = columnMap[x];
+                if (sourceX < 0) continue;
+                const from = (sourceY * width + sourceX) * 4;
+                const to = (y * paddedW + x) * 4;
+                source[to] = pixels[from];
+                source[to + 1] = pixels[from + 1];
+                source[to + 2] = pixels[from + 2];
+                source[to + 3] = pixels[from + 3];
+            }
+        }
+
+        for (const boxRadius of boxRadii) {
+            this.applyHorizontalBoxBlur(source, target, paddedW, paddedH, boxRadius);
+            this.applyVerticalBoxBlur(target, source, paddedW, paddedH, boxRadius);
+        }
+
+        const newPixels = new Float32Array(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            const from = ((y + padding) * paddedW + padding) * 4;
+            newPixels.set(source.subarray(from, from + width * 4), y * width * 4);
+        }
+        return newPixels;
+    }
+
+    /**
+     * 計算逼近指定sigma高斯模糊的各次盒狀模糊尺寸（均為奇數）
+     * @param {Float} sigma 高斯模糊的標準差
+     * @param {Int} count 盒狀模糊的次數
+     * @returns {Array<Int>} 每次盒狀模糊的寬度
+     */
+    boxesForGaussian(sigma, count) {
+        if (!(sigma > 0)) {
+            return new Array(count).fill(1);
+        }
+        const idealWidth = Math.sqrt((12 * sigma * sigma / count) + 1);
+        let lowerWidth = Math.floor(idealWidth);
+        if (lowerWidth % 2 === 0) lowerWidth--;
+        const upperWidth = lowerWidth + 2;
+        const idealCount = (12 * sigma * sigma - count * lowerWidth * lowerWidth - 4 * count * lowerWidth - 3 * count) / (-4 * lowerWidth - 4);
+        const lowerCount = Math.round(idealCount);
+        const sizes = [];
+        for (let i = 0; i < count; i++) {
+            sizes.push(i < lowerCount ? lowerWidth : upperWidth);
+        }
+        return sizes;
+    }
+
+    applyHorizontalBoxBlur(source, target, width, height, radius) {
+        const scale = 1 / (radius + radius + 1);
+        const last = width - 1;
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            let r = 0, g = 0, b = 0, a = 0;
+            // 初始化第一個像素的窗口，超出邊界的部分取邊緣像素
+            for (let i = -radius; i <= radius; i++) {
+                const offset = (row + Math.min(last, Math.max(0, i))) * 4;
+                r += source[offset];
+                g += source[offset + 1];
+                b += source[offset + 2];
+                a += source[offset + 3];
+            }
+            for (let x = 0; x < width; x++) {
+                const offset = (row + x) * 4;
+                target[offset] = r * scale;
+                target[offset + 1] = g * scale;
+                target[offset + 2] = b * scale;
+                target[offset + 3] = a * scale;
+                // 窗口右移一格：加入右側新像素，移除左側舊像素
+                const addOffset = (row + Math.min(last, x + radius + 1)) * 4;
+                const removeOffset = (row + Math.max(0, x - radius)) * 4;
+                r += source[addOffset] - source[removeOffset];
+                g += source[addOffset + 1] - source[removeOffset + 1];
+                b += source[addOffset + 2] - source[removeOffset + 2];
+                a += source[addOffset + 3] - source[removeOffset + 3];
+            }
+        }
+    }
+
+    applyVerticalBoxBlur(source, target, width, height, radius) {
+        const scale = 1 / (radius + radius + 1);
+        const last = height - 1;
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let i = -radius; i <= radius; i++) {
+                const offset = (Math.min(last, Math.max(0, i)) * width + x) * 4;
+                r += source[offset];
+                g += source[offset + 1];
+                b += source[offset + 2];
+                a += source[offset + 3];
+            }
+            for (let y = 0; y < height; y++) {
+                const offset = (y * width + x) * 4;
+                target[offset] = r * scale;
+                target[offset + 1] = g * scale;
+                target[offset + 2] = b * scale;
+                target[offset + 3] = a * scale;
+                const addOffset = (Math.min(last, y + radius + 1) * width + x) * 4;
+                const removeOffset = (Math.max(0, y - radius) * width + x) * 4;
+                r += source[addOffset] - source[removeOffset];
+                g += source[addOffset + 1] - source[removeOffset + 1];
+                b += source[addOffset + 2] - source[removeOffset + 2];
+                a += source[addOffset + 3] - source[removeOffset + 3];
+            }
+        }
+    }
+
+    /**
+     * 生成歸一化的一維高斯核，長度為2 * radius + 1
+     * @param {Int | Float} radius 半徑，四捨五入為整數：取樣位置必須是整數像素，小數半徑會讓核為空而得到全透明的結果
+     * @returns {Array<Float>}
+     */
     generateGaussianKernel(radius) {
+        radius = Math.max(0, Math.round(radius));
+        if (radius === 0) return [1];
         let kernel = [];
         let sigma = radius / 3;
         let sum = 0;
@@ -121,20 +1402,18 @@ class ImageBlurProcessor {
         return kernel;
     }
 
-    applyHorizontalBlur(pixels, width, height, kernel) {
+    applyHorizontalBlur(pixels, width, height, kernel, edgeMode = 'clamp') {
         let radius = Math.floor(kernel.length / 2);
         let newPixels = new Float32Array(pixels.length);
+        // 索引表中第x + radius項對應座標x
+        let map = this.buildEdgeIndexMap(width, radius, edgeMode);
 
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
                 let r = 0, g = 0, b = 0, a = 0;
                 for (let i = -radius; i <= radius; i++) {
-                    let x1 = x + i;
-                    if (x1 < 0) {
-                        x1 = 0;
-                    } else if (x1 >= width) {
-                        x1 = width - 1;
-                    }
+                    let x1 = map[x + i + radius];
+                    if (x1 < 0) continue; // 透明的邊界外像素
                     let offset = (y * width + x1) * 4;
                     r += pixels[offset] * kernel[i + radius];
                     g += pixels[offset + 1] * kernel[i + radius];
@@ -151,20 +1430,17 @@ class ImageBlurProcessor {
         return newPixels;
     }
 
-    applyVerticalBlur(pixels, width, height, kernel) {
+    applyVerticalBlur(pixels, width, height, kernel, edgeMode = 'clamp') {
         let radius = Math.floor(kernel.length / 2);
-        let newPixels = new Uint8ClampedArray(pixels.length); // 使用Uint8ClampedArray
+        let newPixels = new Float32Array(pixels.length); // 保持浮點精度，量化留到最後一步
+        let map = this.buildEdgeIndexMap(height, radius, edgeMode);
 
         for (let x = 0; x < width; x++) {
             for (let y = 0; y < height; y++) {
                 let r = 0, g = 0, b = 0, a = 0;
                 for (let i = -radius; i <= radius; i++) {
-                    let y1 = y + i;
-                    if (y1 < 0) {
-                        y1 = 0;
-                    } else if (y1 >= height) {
-                        y1 = height - 1;
-                    }
+                    let y1 = map[y + i + radius];
+                    if (y1 < 0) continue; // 透明的邊界外像素
                     let offset = (y1 * width + x) * 4;
                     r += pixels[offset] * kernel[i + radius];
                     g += pixels[offset + 1] * kernel[i + radius];
@@ -172,10 +1448,10 @@ class ImageBlurProcessor {
                     a += pixels[offset + 3] * kernel[i + radius];
                 }
                 let offset = (y * width + x) * 4;
-                newPixels[offset] = Math.round(r);
-                newPixels[offset + 1] = Math.round(g);
-                newPixels[offset + 2] = Math.round(b);
-                newPixels[offset + 3] = Math.round(a);
+                newPixels[offset] = r;
+                newPixels[offset + 1] = g;
+                newPixels[offset + 2] = b;
+                newPixels[offset + 3] = a;
             }
         }
         return newPixels;
@@ -187,6 +1463,15 @@ class ImageBlurProcessor {
      * @returns {String} 返回檔案名：不包括副檔名，因為在此類中，原副檔名沒有意義。
      */
     getFilename(filePath) {
+        if (typeof filePath !== 'string') {
+            if (ImageBlurProcessor.isBlendSource(filePath)) {
+                return this.getFilename(filePath.progress < 0.5 ? filePath.from : filePath.to);
+            }
+            if (ImageBlurProcessor.isEncodedSource(filePath)) {
+                return 'buffer';
+            }
+            return ImageBlurProcessor.isColorSource(filePath) ? 'color' : 'pixels';
+        }
         // 檢查路徑中是否有 '/' 或 '\' 分隔符
         const lastSlashIndex = Math.max(filePath.lastIndexOf('/'), filePath.lastIndexOf('\\'));
 
@@ -206,6 +1491,179 @@ class ImageBlurProcessor {
     }
 }
 
+/**
+ * 執行圖片模糊的Worker池
+ */
+class ImageBlurWorkerPool {
+    /**
+     * 創建Worker池，Worker會在首次使用時才創建
+     * @param {Int} [size=1] 同時處理的Worker數量
+     */
+    constructor(size = 1) {
+        this.size = Math.max(1, Math.floor(size) || 1);
+        this._slots = [];
+        this._queue = [];
+        this._nextTaskId = 1;
+        this._scriptUrl = null;
+        this._terminated = false;
+        /**
+         * Worker無法創建時的錯誤（例如CSP沒有允許worker-src blob:），之後提交的任務都會以它拒絕
+         * @type {Error | null}
+         */
+        this.creationError = null;
+    }
+
+    /**
+     * 當前環境是否支援Worker模式
+     * @returns {Boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined';
+    }
+
+    /**
+     * 提交一個任務
+     * @param {Object} message 傳給Worker的數據
+     * @param {Array<Transferable>} [transfer=[]] 需要轉移的對象
+     * @param {AbortSignal} [signal] 取消信號：排隊中的任務會直接移除，執行中的任務會終止其Worker並重新創建
+     * @returns {Promise<Object>} Worker返回的數據
+     */
+    run(message, transfer = [], signal = null) {
+        return new Promise((resolve, reject) => {
+            if (this._terminated) {
+                reject(new Error('ImageBlurWorkerPool 已終止'));
+                return;
+            }
+            if (this.creationError) {
+                reject(this.creationError);
+                return;
+            }
+            if (signal && signal.aborted) {
+                reject(ImageBlurProcessor.createAbortError(signal));
+                return;
+            }
+            const task = { id: this._nextTaskId++, message, transfer, resolve, reject, signal, onAbort: null };
+            if (signal) {
+                task.onAbort = () => this._abortTask(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+            this._queue.push(task);
+            this._dispatch();
+        });
+    }
+
+    /**
+     * 終止所有Worker並拒絕尚未完成的任務
+     */
+    terminate() {
+        this._terminated = true;
+        const error = new Error('ImageBlurWorkerPool 已終止');
+        for (const task of this._queue.splice(0)) {
+            this._settle(task, null, error);
+        }
+        for (const slot of this._slots) {
+            if (slot.task) this._settle(slot.task, null, error);
+            slot.worker.terminate();
+        }
+        this._slots = [];
+        if (this._scriptUrl) {
+            URL.revokeObjectURL(this._scriptUrl);
+            this._scriptUrl = null;
+        }
+    }
+
+    _getScriptUrl() {
+        if (!this._scriptUrl) {
+            const source = `const ImageBlurProcessor = (${ImageBlurProcessor.toString()});\nImageBlurProcessor._workerMain(self);\n`;
+            this._scriptUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        }
+        return this._scriptUrl;
+    }
+
+    _createSlot() {
+        const slot = { worker: new Worker(this._getScriptUrl()), task: null };
+        slot.worker.onmessage = (event) => {
+            const task = slot.task;
+            if (!task || event.data.id !== task.id) return;
+            slot.task = null;
+            if (event.data.error) {
+                this._settle(task, null, new Error(event.data.error));
+            } else {
+                this._settle(task, event.data, null);
+            }
+            this._dispatch();
+        };
+        slot.worker.onerror = (event) => {
+            const task = slot.task;
+            this._replaceSlot(slot);
+            if (task) this._settle(task, null, new Error(event.message || 'Worker 執行出錯'));
+            this._dispatch();
+        };
+        return slot;
+    }
+
+    _replaceSlot(slot) {
+        slot.worker.terminate();
+        const index = this._slots.indexOf(slot);
+        if (index >= 0) {
+            this._slots.splice(index, 1);
+        }
+    }
+
+    _dispatch() {
+        while (this._queue.length > 0 && !this._terminated) {
+            let slot = this._slots.find(s => !s.task);
+            if (!slot) {
+                if (this._slots.length >= this.size) return;
+                try {
+                    slot = this._createSlot();
+                } catch (error) {
+                    // 創建Worker會同步拋出SecurityError等錯誤：排隊中的任務全部以它拒絕，調用方據此回落到主線程
+                    this.creationError = error;
+                    for (const task of this._queue.splice(0)) {
+                        task.transfer.forEach(item => typeof item.close === 'function' && item.close());
+                        this._settle(task, null, error);
+                    }
+                    return;
+                }
+                this._slots.push(slot);
+            }
+            const task = this._queue.shift();
+            slot.task = task;
+            slot.worker.postMessage({ id: task.id, ...task.message }, task.transfer);
+        }
+    }
+
+    _abortTask(task) {
+        const error = ImageBlurProcessor.createAbortError(task.signal);
+        const queueIndex = this._queue.indexOf(task);
+        if (queueIndex >= 0) {
+            this._queue.splice(queueIndex, 1);
+            this._settle(task, null, error);
+            return;
+        }
+        const slot = this._slots.find(s => s.task === task);
+        if (slot) {
+            // Worker無法中斷同步的計算，因此直接終止它，下一個任務會使用新的Worker
+            this._replaceSlot(slot);
+            this._settle(task, null, error);
+            this._dispatch();
+        }
+    }
+
+    _settle(task, result, error) {
+        if (task.signal && task.onAbort) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+        if (error) {
+            task.reject(error);
+        } else {
+            task.resolve(result);
+        }
+    }
+}
+
 /**
  * 接收模糊的類返回結果的類
  */
@@ -215,39 +1673,82 @@ class bluredBlob {
      * @param {Blob} blob 圖片的二進制數據
      * @param {String} filename 原檔案名
      * @param {String} blobType 圖片Blob的MIME類型
+     * @param {Object | null} [palette=null] 調色板，見ImageBlurProcessor.extractPalette
      */
-    constructor(blob, filename, blobType) {
+    constructor(blob, filename, blobType, palette = null) {
         this.filename = filename;
         this.blob = blob;
         this.blobType = blobType
+        this.palette = palette;
+        this._objectUrl = null;
     }
     /**
-     * 保存到檔案
+     * 保存到檔案：先寫入同目錄下的臨時檔案並fsync，再重命名為目標路徑。重命名是原子的，寫入中途崩潰或斷電不會留下被截斷的目標檔案，讀取方只會看到舊檔案或完整的新檔案，見bwb-cache-lock.js的writeFileAtomic。
      * @param {String} filePath 保存圖片本地路徑：注意由ImageBlurProcessor返回的blob默認是webp格式的！路徑不是相對腳本或應用的，是本地絕對路徑。不在nwjs或electron這類環境時，請使用download下載，因為純js本身不支援對本地檔案進行操作。
      */
     async toFile(filePath) {
-        return new Promise((resolve, reject) => {
+        let writeFileAtomic;
+        try {
+            ({ writeFileAtomic } = require('./bwb-cache-lock.js'));
+        } catch (error) {
+            throw new Error("The 'fs' module failed to load, or the current script is not in a NW.js environment; the saveBlobToFile function is unavailable.");
+        }
+        await writeFileAtomic(filePath, await this.toBuffer());
+    }
 
+    /**
+     * 獲取Node的Buffer
+     * @returns {Promise<Buffer>}
+     */
+    async toBuffer() {
+        return Buffer.from(await this.toArrayBuffer());
+    }
+
+    /**
+     * 獲取ArrayBuffer
+     * @returns {Promise<ArrayBuffer>}
+     */
+    toArrayBuffer() {
+        if (typeof this.blob.arrayBuffer === 'function') {
+            return this.blob.arrayBuffer();
+        }
+        return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = () => {
-                const buffer = Buffer.from(reader.result);
-                try {
-                    const fs = require('fs');
-                    fs.writeFile(filePath, buffer, (err) => {
-                        if (err) {
-                            reject(err);
-                        } else {
-                            resolve();
-                        }
-                    });
-                } catch (error) {
-                    reject("The 'fs' module failed to load, or the current script is not in a NW.js environment; the saveBlobToFile function is unavailable.");
-                }
-            };
-            reader.onerror = reject;
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('blobToArrayBuffer error'));
             reader.readAsArrayBuffer(this.blob);
         });
     }
+
+    /**
+     * 解碼為ImageBitmap，可直接繪製到canvas或傳給Worker，不需要經過Image和URL
+     * @returns {Promise<ImageBitmap>}
+     */
+    toImageBitmap() {
+        return createImageBitmap(this.blob);
+    }
+
+    /**
+     * 獲取Object URL：同一實例多次調用返回同一個URL，用完後請調用revoke釋放，否則blob會一直留在記憶體中
+     * @returns {String}
+     */
+    toObjectURL() {
+        if (!this._objectUrl) {
+            this._objectUrl = URL.createObjectURL(this.blob);
+        }
+        return this._objectUrl;
+    }
+
+    /**
+     * 釋放toObjectURL創建的URL，之後再調用toObjectURL會創建新的URL
+     */
+    revoke() {
+        if (this._objectUrl) {
+            URL.revokeObjectURL(this._objectUrl);
+            this._objectUrl = null;
+        }
+    }
+
     /**
      * 獲取Base64格式的Data URL
      * @returns {Promise<String>} 異步返回，reslove返回值為字符串類型的Data URL
@@ -318,4 +1819,10 @@ class bluredBlob {
     }
 }
 
-module.exports = ImageBlurProcessor;
\ No newline at end of file
+ImageBlurProcessor.WorkerPool = ImageBlurWorkerPool;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageBlurProcessor;
+} else if (typeof window !== 'undefined') {
+    window.ImageBlurProcessor = ImageBlurProcessor;
+}
\ No newline at end of file
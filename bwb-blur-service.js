@@ -0,0 +1,355 @@
+// bwb-blur-service.js
+// 在 Electron 主進程（或 utility 進程）中生成模糊背景，並通過 bwb:// 協議把結果提供給渲染器。
+// 由 setupBlurredWindowBackgroundIPC(ipcMain, win, { blurService: 'main' | 'utility' }) 創建，
+// 配合 BlurredWindowBackground 的 blurService 選項，渲染器不再解碼圖片或寫入緩存，只設定 background-image: url(bwb://...)。
+
+const fs = require('fs');
+const path = require('path');
+const ImageBlurProcessor = require('./ImageBlurProcessor.js');
+const bwbPath = require('./bwb-path.js');
+const BlurredWindowBackground = require('./BlurredWindowBackground.js');
+const { writeFileAtomic } = require('./bwb-cache-lock.js');
+
+/**
+ * bwb:// 協議的註冊資訊。必須在 app 的 ready 事件之前傳給 protocol.registerSchemesAsPrivileged：
+ * standard 讓 bwb://cache/<name> 按標準 URL 解析，corsEnabled 讓頁面可以從畫布讀取圖片像素（遮罩亮度取樣需要）。
+ */
+const BWB_PROTOCOL_SCHEME = {
+    scheme: 'bwb',
+    privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true }
+};
+
+// 目標尺寸每邊的上限，沒有 screen 模塊可以查詢螢幕時也不會超過
+const MAX_TARGET_SIDE = 16384;
+
+// 可以從渲染器傳入的處理選項，見 ImageBlurProcessor 的 options
+const PROCESSING_OPTION_KEYS = ['algorithm', 'filters', 'fitMode', 'backgroundColor', 'span', 'edgeMode', 'linearLight', 'dither', 'extractPalette'];
+
+/**
+ * 以 sharp 解碼和編碼，支援所有常見格式並與瀏覽器一致按 EXIF 方向旋轉，結果為 WebP。bwb-cli.js 的 render 命令也使用它解碼
+ * @param {Function} sharp require('sharp')
+ */
+function createSharpCodec(sharp) {
+    return {
+        name: 'sharp',
+        decode: async (input) => {
+            const { data, info } = await sharp(typeof input === 'string' ? input : Buffer.from(input))
+                .rotate().ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+            return { data, width: info.width, height: info.height };
+        },
+        encode: async ({ data, width, height }, quality) => sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+            raw: { width, height, channels: 4 }
+        }).webp({ quality: Math.round(quality * 100) }).toBuffer()
+    };
+}
+
+/**
+ * 以 Electron 的 nativeImage 解碼和編碼，不需要額外依賴。只支援 PNG 和 JPEG（部分平台上更多），
+ * 不處理 EXIF 方向，結果為 JPEG。nativeImage 的位圖為 BGRA，這裡與 RGBA 互相轉換。
+ * @param {Object} nativeImage require('electron').nativeImage
+ */
+function createNativeImageCodec(nativeImage) {
+    const swapRedBlue = (bytes) => {
+        for (let i = 0; i < bytes.length; i += 4) {
+            const red = bytes[i];
+            bytes[i] = bytes[i + 2];
+            bytes[i + 2] = red;
+        }
+        return bytes;
+    };
+    return {
+        name: 'nativeImage',
+        decode: async (input) => {
+            const image = typeof input === 'string' ? nativeImage.createFromPath(input) : nativeImage.createFromBuffer(Buffer.from(input));
+            if (image.isEmpty()) {
+                throw new Error(`nativeImage 無法解碼圖片${typeof input === 'string' ? `: ${input}` : ''}，可以安裝 sharp 以支援更多格式`);
+            }
+            const { width, height } = image.getSize();
+            return { data: swapRedBlue(Buffer.from(image.toBitmap())), width, height };
+        },
+        encode: async ({ data, width, height }, quality) => {
+            const bgra = swapRedBlue(Buffer.from(data));
+            return nativeImage.createFromBitmap(bgra, { width, height }).toJPEG(Math.round(quality * 100));
+        }
+    };
+}
+
+/**
+ * 默認的編碼器：已安裝 sharp 時使用 sharp，否則使用 nativeImage
+ */
+function createDefaultCodec(nativeImage) {
+    try {
+        return createSharpCodec(require('sharp'));
+    } catch (error) {
+        if (!nativeImage) throw new Error('沒有可用的圖片編碼器：需要安裝 sharp 或提供 Electron 的 nativeImage');
+        return createNativeImageCodec(nativeImage);
+    }
+}
+
+/**
+ * 把桌布來源解碼為 ImageBlurProcessor.processPixels 接受的像素數據
+ * @param {{decode: Function}} codec 見 createSharpCodec、createNativeImageCodec
+ * @param {*} source 圖片路徑、編碼後的圖片數據、純色/漸變或混合來源
+ * @param {Array<Number>} targetSize
+ * @param {Number} zipRate
+ */
+async function readSourcePixels(codec, source, targetSize, zipRate) {
+    if (typeof source === 'string' || ImageBlurProcessor.isEncodedSource(source)) {
+        return codec.decode(source);
+    }
+    if (ImageBlurProcessor.isBlendSource(source)) {
+        return {
+            from: await codec.decode(source.from),
+            to: await codec.decode(source.to),
+            progress: source.progress
+        };
+    }
+    return ImageBlurProcessor.resolvePixelSource(source, targetSize, zipRate);
+}
+
+/**
+ * 在 utility 進程中執行 processPixels（見 bwb-blur-worker.js）。進程在第一次使用時創建，意外退出後下次使用時重新創建。
+ */
+class UtilityBlurWorker {
+    /**
+     * @param {Object} utilityProcess require('electron').utilityProcess
+     */
+    constructor(utilityProcess) {
+        this.utilityProcess = utilityProcess;
+        this._child = null;
+        this._pending = new Map(); // id -> { resolve, reject }
+        this._nextId = 1;
+    }
+
+    run(task) {
+        const child = this._ensureChild();
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            this._pending.set(id, { resolve, reject });
+            child.postMessage({ id, ...task });
+        });
+    }
+
+    _ensureChild() {
+        if (this._child) return this._child;
+        const child = this.utilityProcess.fork(path.join(__dirname, 'bwb-blur-worker.js'), [], { serviceName: 'BWB Blur Service' });
+        child.on('message', ({ id, result, error }) => {
+            const pending = this._pending.get(id);
+            if (!pending) return;
+            this._pending.delete(id);
+            if (error) pending.reject(new Error(error));
+            else pending.resolve(result);
+        });
+        child.on('exit', (code) => {
+            if (this._child === child) this._child = null;
+            for (const pending of this._pending.values()) pending.reject(new Error(`模糊處理進程已退出 (code ${code})`));
+            this._pending.clear();
+        });
+        this._child = child;
+        return child;
+    }
+
+    destroy() {
+        if (this._child) {
+            const child = this._child;
+            this._child = null;
+            child.kill();
+        }
+    }
+}
+
+/**
+ * 生成模糊背景並提供 bwb://cache/<檔案名稱> 的內容。所有窗口共用一個服務和一個緩存目錄，
+ * 同一個緩存項的生成按請求順序依次進行。緩存項的記錄和淘汰由渲染器中的 BlurredWindowBackground 負責，
+ * 它在請求前取得緩存項的跨進程鎖（見 bwb-cache-lock.js），因此其他應用實例不會同時生成同一個緩存項。
+ */
+class BlurService {
+    /**
+     * @param {Object} options
+     * @param {String} options.cacheDir 緩存目錄，與渲染器中 BlurredWindowBackground 使用的目錄相同
+     * @param {'main' | 'utility'} [options.mode='main'] 在主進程中處理，或在 utility 進程中處理（解碼和編碼仍在主進程）
+     * @param {{decode: Function, encode: Function}} [options.codec] 圖片編碼器，默認見 createDefaultCodec
+     * @param {Object} [options.nativeImage] Electron 的 nativeImage，沒有 sharp 時用於編碼
+     * @param {Object} [options.utilityProcess] Electron 的 utilityProcess，mode 為 'utility' 時需要
+     * @param {Object} [options.screen] Electron 的 screen，渲染器請求的目標尺寸會被限制在最大的螢幕以內
+     */
+    constructor(options) {
+        this.cacheDir = options.cacheDir;
+        this.mode = options.mode === 'utility' && options.utilityProcess ? 'utility' : 'main';
+        this.codec = options.codec || createDefaultCodec(options.nativeImage);
+        this.screen = options.screen || null;
+        this._worker = this.mode === 'utility' ? new UtilityBlurWorker(options.utilityProcess) : null;
+        this._queues = new Map(); // 檔案名稱 -> 最近一個生成任務
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+    }
+
+    /**
+     * 生成一張模糊背景並寫入緩存
+     * @param {Object} request 由渲染器的 BlurredWindowBackground 發出
+     * @param {'preview' | 'final'} request.kind
+     * @param {String} request.fileName 緩存項的檔案名稱，必須符合 BlurredWindowBackground.CACHE_ENTRY_PATTERN 並與 kind 一致
+     * @param {*} request.source 圖片路徑、編碼後的圖片數據、純色/漸變或混合來源
+     * @param {Array<Number>} request.targetSize
+     * @param {Number} request.zipRate
+     * @param {Number} request.blurRadius
+     * @param {Number} [request.quality=0.9]
+     * @param {Object} [request.options] 處理選項，只接受 PROCESSING_OPTION_KEYS 中的項目
+     * @returns {Promise<{kind: String, url: String, width: Number, height: Number, palette: Object | null}>}
+     */
+    async generate(request) {
+        const name = this._validateFileName(request);
+        const previous = this._queues.get(name) || Promise.resolve();
+        const job = previous.catch(() => { }).then(() => this._render(name, request));
+        this._queues.set(name, job);
+        job.catch(() => { }).then(() => {
+            if (this._queues.get(name) === job) this._queues.delete(name);
+        });
+        return job;
+    }
+
+    async _render(name, request) {
+        const source = await this._validateSource(request.source);
+        if (!Array.isArray(request.targetSize) || !(Number(request.targetSize[0]) > 0) || !(Number(request.targetSize[1]) > 0)) {
+            throw new Error(`無效的目標尺寸: ${JSON.stringify(request.targetSize)}`);
+        }
+        const targetSize = this._clampTargetSize(request.targetSize.map(Number));
+        const zipRate = Math.min(1, Math.max(0.01, Number(request.zipRate) || 0.25));
+        const blurRadius = Math.max(0, Number(request.blurRadius) || 0);
+        const quality = Math.min(1, Math.max(0, request.quality === undefined ? 0.9 : Number(request.quality)));
+
+        const requestOptions = request.options || {};
+        const options = {};
+        for (const key of PROCESSING_OPTION_KEYS) {
+            if (requestOptions[key] !== undefined) options[key] = requestOptions[key];
+        }
+        const resolvedOptions = ImageBlurProcessor.optionsForSource(source, options);
+
+        const pixels = await readSourcePixels(this.codec, source, targetSize, zipRate);
+        const result = this._worker ?
+            await this._worker.run({ pixels, blurRadius, targetSize, zipRate, options: resolvedOptions }) :
+            new ImageBlurProcessor(source, targetSize, zipRate, false, resolvedOptions).processPixels(pixels, blurRadius);
+
+        const filePath = path.join(this.cacheDir, name);
+        await writeFileAtomic(filePath, await this.codec.encode(result, quality));
+        const stats = await fs.promises.stat(filePath);
+        return {
+            kind: request.kind,
+            url: BlurredWindowBackground.getServiceImageUrl(name, stats),
+            width: result.width,
+            height: result.height,
+            palette: result.palette || null
+        };
+    }
+
+    /**
+     * 目標尺寸由渲染器決定，這裡限制在最大的螢幕（按物理像素）以內，出錯或惡意的請求不能讓主進程分配過大的緩衝區
+     * @param {Array<Number>} targetSize
+     * @returns {Array<Number>}
+     */
+    _clampTargetSize(targetSize) {
+        let maxW = MAX_TARGET_SIDE;
+        let maxH = MAX_TARGET_SIDE;
+        const displays = this.screen ? this.screen.getAllDisplays().filter(display => display && display.bounds) : [];
+        if (displays.length > 0) {
+            maxW = maxH = 1;
+            for (const display of displays) {
+                const scale = Math.max(1, display.scaleFactor || 1);
+                maxW = Math.max(maxW, Math.ceil(display.bounds.width * scale));
+                maxH = Math.max(maxH, Math.ceil(display.bounds.height * scale));
+            }
+        }
+        return [Math.min(targetSize[0], maxW, MAX_TARGET_SIDE), Math.min(targetSize[1], maxH, MAX_TARGET_SIDE)];
+    }
+
+    /**
+     * 渲染器只能指定圖片檔案：路徑必須能通過 normalizeImagePath 的檢查，不能借此讀取其他檔案
+     */
+    async _validateSource(source) {
+        if (typeof source === 'string') {
+            return (await bwbPath.normalizeImagePath(source)).path;
+        }
+        if (ImageBlurProcessor.isBlendSource(source)) {
+            return {
+                type: 'blend',
+                from: (await bwbPath.normalizeImagePath(source.from)).path,
+                to: (await bwbPath.normalizeImagePath(source.to)).path,
+                progress: source.progress
+            };
+        }
+        if (ImageBlurProcessor.isEncodedSource(source) || ImageBlurProcessor.isColorSource(source) || (source && source.data && source.width > 0 && source.height > 0)) {
+            return source;
+        }
+        throw new Error('無效的圖片來源');
+    }
+
+    /**
+     * 渲染器決定緩存項的名稱（見 BlurredWindowBackground._getCacheEntryName），這裡只允許緩存目錄中符合格式的檔案名稱
+     */
+    _validateFileName(request) {
+        const match = request && typeof request.fileName === 'string' ? BlurredWindowBackground.CACHE_ENTRY_PATTERN.exec(request.fileName) : null;
+        if (!match || match[1] !== request.kind) {
+            throw new Error(`無效的緩存檔案名稱: ${request && request.fileName}`);
+        }
+        return request.fileName;
+    }
+
+    /**
+     * 響應 bwb://cache/<name>?v=<version> 的請求，只提供緩存項（見 BlurredWindowBackground.CACHE_ENTRY_PATTERN）。v 與檔案當前版本一致時內容不會再變化，可以長期緩存；
+     * 不一致（地址已過期）或沒有 v 時返回當前內容，但要求每次重新驗證。
+     * @param {String} requestUrl
+     * @param {String | null} [ifNoneMatch] If-None-Match 請求頭
+     * @returns {Promise<{status: Number, headers: Object, body: Buffer | null}>}
+     */
+    async serve(requestUrl, ifNoneMatch = null) {
+        let parsed;
+        try {
+            parsed = new URL(requestUrl);
+        } catch (error) {
+            return { status: 400, headers: {}, body: null };
+        }
+        const name = decodeURIComponent(parsed.pathname.replace(/^\/+/, ''));
+        if (parsed.hostname !== 'cache' || !BlurredWindowBackground.CACHE_ENTRY_PATTERN.test(name)) {
+            return { status: 404, headers: {}, body: null };
+        }
+
+        const filePath = path.join(this.cacheDir, name);
+        let body;
+        let stats;
+        try {
+            // 先讀取再取得狀態：兩者之間檔案被替換時，ETag 最多偏舊，下一次請求會重新驗證
+            body = await fs.promises.readFile(filePath);
+            stats = await fs.promises.stat(filePath);
+        } catch (error) {
+            return { status: 404, headers: {}, body: null };
+        }
+        const currentUrl = new URL(BlurredWindowBackground.getServiceImageUrl(name, stats));
+        const version = currentUrl.searchParams.get('v');
+        const etag = `"${version}"`;
+        const headers = {
+            'Content-Type': bwbPath.sniffImageType(body.subarray(0, 16)) || 'application/octet-stream',
+            'Cache-Control': parsed.searchParams.get('v') === version ? 'public, max-age=31536000, immutable' : 'no-cache',
+            'ETag': etag,
+            'Last-Modified': new Date(stats.mtimeMs).toUTCString(),
+            'Access-Control-Allow-Origin': '*'
+        };
+        if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+            return { status: 304, headers, body: null };
+        }
+        headers['Content-Length'] = String(body.length);
+        return { status: 200, headers, body };
+    }
+
+    destroy() {
+        if (this._worker) this._worker.destroy();
+        this._queues.clear();
+    }
+}
+
+module.exports = {
+    BWB_PROTOCOL_SCHEME,
+    BlurService,
+    createSharpCodec,
+    createNativeImageCodec,
+    createDefaultCodec,
+    readSourcePixels
+};
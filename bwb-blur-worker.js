@@ -0,0 +1,15 @@
+// bwb-blur-worker.js
+// bwb-blur-service.js 以 utilityProcess.fork 啟動的進程：在主進程之外執行 ImageBlurProcessor.processPixels，
+// 圖片的解碼和編碼仍由主進程完成，這裡只收發像素數據。
+
+const ImageBlurProcessor = require('./ImageBlurProcessor.js');
+
+process.parentPort.on('message', ({ data }) => {
+    const { id, pixels, blurRadius, targetSize, zipRate, options } = data;
+    try {
+        const result = new ImageBlurProcessor(null, targetSize, zipRate, false, options).processPixels(pixels, blurRadius);
+        process.parentPort.postMessage({ id, result });
+    } catch (error) {
+        process.parentPort.postMessage({ id, error: error && error.message ? error.message : String(error) });
+    }
+});
@@ -0,0 +1,141 @@
+// bwb-cache-lock.js
+// 緩存目錄的跨進程協調。同一應用的所有窗口和所有實例共用一個緩存目錄（見 BlurredWindowBackground.getCacheDirName），
+// 生成同一個緩存項或改寫 bwb_metadata.json 前先取得該檔案的鎖，其他進程等待並直接使用持有者寫好的結果。
+//
+// 鎖是以獨佔方式（wx）創建的 <檔案>.lock，內容為持有者的 pid、主機名稱和創建時間。持有者會定期更新鎖的修改時間；
+// 持有者已退出，或鎖超過 staleMs 沒有更新時，鎖被視為失效，可以被其他進程取代。
+// 所有寫入都是先寫臨時檔案並 fsync 再重命名，即使兩個進程在極端情況下同時生成，讀取方也只會看到完整的檔案，最壞結果只是重複計算。
+
+const fs = require('fs');
+const os = require('os');
+
+// 超過這個時間沒有更新的鎖視為失效
+const DEFAULT_STALE_MS = 30000;
+
+/**
+ * 寫入檔案：先寫入同目錄下的臨時檔案並 fsync，再重命名為目標路徑。讀取方只會看到舊檔案或完整的新檔案，
+ * 寫入中途崩潰或斷電也不會留下被截斷的目標檔案。BWB 所有寫入緩存目錄的地方（包括 bluredBlob.toFile）都使用這個函數
+ * @param {String} filePath
+ * @param {String | Buffer | Uint8Array} data
+ */
+async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}.tmp`;
+    let handle = null;
+    try {
+        handle = await fs.promises.open(tempPath, 'w');
+        await handle.writeFile(data);
+        await handle.sync();
+        await handle.close();
+        handle = null;
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        if (handle) {
+            await handle.close().catch(() => { });
+        }
+        await fs.promises.unlink(tempPath).catch(() => { });
+        throw error;
+    }
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM'; // 進程存在但屬於其他用戶
+    }
+}
+
+async function readLockInfo(lockPath) {
+    try {
+        const info = JSON.parse(await fs.promises.readFile(lockPath, 'utf8'));
+        return info && typeof info === 'object' ? info : null;
+    } catch (error) {
+        return null; // 不存在或剛創建還沒寫完
+    }
+}
+
+/**
+ * @param {Object | null} info 鎖的內容
+ * @param {fs.Stats} stats 鎖檔案的狀態
+ * @param {Number} staleMs
+ * @returns {Boolean} 鎖是否已失效
+ */
+function isLockStale(info, stats, staleMs) {
+    if (info && info.host === os.hostname() && Number.isInteger(info.pid) && info.pid !== process.pid && !isProcessAlive(info.pid)) {
+        return true;
+    }
+    return Date.now() - stats.mtimeMs > staleMs;
+}
+
+/**
+ * 嘗試取得檔案的鎖，不等待。
+ * 同一進程中再次取得同一檔案的鎖也會失敗，鎖不可重入。
+ * @param {String} filePath 被保護的檔案，鎖為 `${filePath}.lock`
+ * @param {Object} [options]
+ * @param {Number} [options.staleMs=DEFAULT_STALE_MS]
+ * @returns {Promise<Function | null>} 釋放鎖的函數；鎖由其他持有者持有時為 null
+ */
+async function tryAcquireLock(filePath, options = {}) {
+    const staleMs = options.staleMs > 0 ? options.staleMs : DEFAULT_STALE_MS;
+    const lockPath = `${filePath}.lock`;
+    const token = `${process.pid}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    const content = JSON.stringify({ pid: process.pid, host: os.hostname(), createdAt: Date.now(), token });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            await fs.promises.writeFile(lockPath, content, { flag: 'wx' });
+            return createRelease(lockPath, token, staleMs);
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        if (attempt > 0) return null;
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(lockPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') continue; // 剛被釋放
+            throw error;
+        }
+        const staleInfo = await readLockInfo(lockPath);
+        if (!isLockStale(staleInfo, stats, staleMs)) return null;
+        // 取代失效的鎖：先重命名為唯一的名稱再刪除，多個進程同時發現時只有一個能重命名成功
+        const stalePath = `${lockPath}.${token}.stale`;
+        try {
+            await fs.promises.rename(lockPath, stalePath);
+        } catch (error) {
+            return null;
+        }
+        const movedInfo = await readLockInfo(stalePath);
+        if (staleInfo && (!movedInfo || movedInfo.token !== staleInfo.token)) {
+            // 重命名前失效的鎖已被其他進程取代，移走的是對方剛創建的鎖：還原後放棄
+            await fs.promises.rename(stalePath, lockPath).catch(() => { });
+            return null;
+        }
+        await fs.promises.unlink(stalePath).catch(() => { });
+    }
+    return null;
+}
+
+function createRelease(lockPath, token, staleMs) {
+    // 持有期間定期更新修改時間，生成時間較長時不會被其他進程誤判為失效
+    const heartbeat = setInterval(() => {
+        const now = new Date();
+        fs.promises.utimes(lockPath, now, now).catch(() => { });
+    }, Math.max(1000, Math.floor(staleMs / 3)));
+    if (typeof heartbeat.unref === 'function') heartbeat.unref();
+    let released = false;
+    return async () => {
+        if (released) return;
+        released = true;
+        clearInterval(heartbeat);
+        // 只刪除自己的鎖：持有時間過長而被取代時，鎖已屬於其他進程
+        const info = await readLockInfo(lockPath);
+        if (info && info.token === token) {
+            await fs.promises.unlink(lockPath).catch(() => { });
+        }
+    };
+}
+
+module.exports = { tryAcquireLock, writeFileAtomic, DEFAULT_STALE_MS };
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+// bwb-cli.js
+// BlurredWindowBackground 的命令行工具：檢測桌布、在 Node 中生成與 BWB 緩存相同的模糊圖片、檢查和清除緩存
+// 圖片的解碼和編碼使用可選依賴 sharp，只有 render 命令需要它
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+const getWallpaper = require('./wallpaper.js');
+const ImageBlurProcessor = require('./ImageBlurProcessor.js');
+const { normalizeImagePath, WallpaperPathError } = require('./bwb-path.js');
+const BlurredWindowBackground = require('./BlurredWindowBackground.js');
+// 解碼與主進程的模糊服務共用，render 的結果與服務生成的圖片一致
+const { createSharpCodec, readSourcePixels } = require('./bwb-blur-service.js');
+
+// render 的默認參數與 BlurredWindowBackground 的默認選項相同
+const DEFAULTS = BlurredWindowBackground.DEFAULT_OPTIONS;
+
+const USAGE = `用法: bwb <命令> [選項]
+
+命令:
+  detect                       顯示檢測到的桌布及讀取它的方式
+  render -o <檔案>             生成與 BlurredWindowBackground 緩存相同的模糊圖片（需要 sharp）
+  cache inspect                顯示緩存目錄的內容及 bwb_metadata.json
+  cache clear                  刪除緩存目錄中的模糊圖片和元數據
+
+通用選項:
+  --json                       以 JSON 輸出
+  -h, --help                   顯示此說明
+
+render 選項:
+  --width <px> --height <px>   螢幕尺寸（必需）
+  --radius <px>                模糊半徑（默認 ${DEFAULTS.blurRadius}，--preview 時為 ${DEFAULTS.previewBlurRadius}）
+  --zip-rate <0.01-1>          處理前的縮放比例（默認 ${DEFAULTS.imageProcessingZipRate}，--preview 時為 ${DEFAULTS.previewQualityFactor}）
+  --preview                    以預覽圖的默認參數生成
+  --input <路徑>               使用指定的圖片代替檢測到的桌布
+  --fit <模式>                 填充方式（默認 auto，即跟隨桌面設定）
+  --background <r,g,b>         未覆蓋區域的顏色（默認跟隨桌面設定）
+  --span <x,y,w,h>             fit 為 spanned 時虛擬桌面相對於當前螢幕的區域
+  --algorithm <box|exact>      模糊算法（默認 ${DEFAULTS.blurAlgorithm}）
+  --edge-mode <模式>           邊界取樣方式（默認 ${DEFAULTS.edgeMode}）
+  --linear-light, --no-linear-light  是否在線性光空間中縮放和模糊（默認${DEFAULTS.linearLight ? '開啟' : '關閉'}）
+  --dither <none|ordered|blue-noise>  量化抖動（默認 ${DEFAULTS.dither}）
+  --filters <JSON>             材質濾鏡鏈，與 materialFilters 選項相同
+  --quality <0-1>              WebP/JPEG 編碼質量（${DEFAULTS.imageQuality === undefined ? '不指定時使用 sharp 的默認值' : `默認 ${DEFAULTS.imageQuality}`}）
+
+cache 選項:
+  --app <名稱>                 應用名稱（與應用的 name 一致）
+  --dir <路徑>                 直接指定緩存目錄（名稱必須為 bwb_temp_<應用名稱>_rewrite）
+  --all                        clear 時刪除暫存目錄下所有應用的緩存
+`;
+
+// 緩存目錄的名稱，見 BlurredWindowBackground.getCacheDirName
+const CACHE_DIR_PATTERN = /^bwb_temp_.+_rewrite$/;
+
+// 使用者錯誤（參數錯誤、缺少依賴等），只輸出訊息而不輸出堆疊
+class CliError extends Error {
+    constructor(message, exitCode = 1) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * 解析命令行參數：--key value、--key=value、--no-key 以及 -o/-h 簡寫
+ * @param {Array<String>} argv
+ * @returns {{positional: Array<String>, flags: Object<String, String | Boolean>}}
+ */
+function parseArgs(argv) {
+    const aliases = { o: 'output', h: 'help' };
+    const booleans = new Set(['help', 'json', 'preview', 'all', 'linear-light']);
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = /^--?([^=]+)(?:=(.*))?$/.exec(arg);
+        if (!match || arg === '-') {
+            positional.push(arg);
+            continue;
+        }
+        const key = aliases[match[1]] || match[1];
+        if (key.startsWith('no-')) {
+            flags[key.slice(3)] = false;
+            continue;
+        }
+        if (match[2] !== undefined) {
+            flags[key] = match[2];
+        } else if (booleans.has(key)) {
+            flags[key] = true;
+        } else if (i + 1 < argv.length) {
+            flags[key] = argv[++i];
+        } else {
+            throw new CliError(`選項 --${key} 缺少值`, 2);
+        }
+    }
+    return { positional, flags };
+}
+
+function numberFlag(flags, name, fallback) {
+    if (flags[name] === undefined) return fallback;
+    const value = Number(flags[name]);
+    if (!Number.isFinite(value)) {
+        throw new CliError(`--${name} 必須是數字: ${flags[name]}`, 2);
+    }
+    return value;
+}
+
+function listFlag(flags, name, length) {
+    if (flags[name] === undefined) return null;
+    const values = String(flags[name]).split(',').map(Number);
+    if (values.length !== length || values.some(v => !Number.isFinite(v))) {
+        throw new CliError(`--${name} 必須是 ${length} 個以逗號分隔的數字: ${flags[name]}`, 2);
+    }
+    return values;
+}
+
+/**
+ * 載入 sharp，未安裝時拋出說明如何安裝的錯誤
+ * @returns {Function}
+ */
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        throw new CliError('render 命令需要 sharp 來解碼和編碼圖片，請先執行 npm install sharp');
+    }
+}
+
+/**
+ * 按 BlurredWindowBackground 的默認選項生成模糊圖片
+ * @param {Object} flags render 命令的選項，見 USAGE
+ * @param {Object} [deps] 替換 sharp 及桌布讀取，便於調試
+ * @returns {Promise<{output: String, width: Number, height: Number, source: *, fit: Object, palette: Object}>}
+ */
+async function renderWallpaper(flags, deps = {}) {
+    const sharp = deps.sharp || loadSharp();
+    const getWallpaperInfo = deps.getWallpaperInfo || getWallpaper.getWallpaperInfo;
+
+    const width = numberFlag(flags, 'width', NaN);
+    const height = numberFlag(flags, 'height', NaN);
+    if (!(width > 0) || !(height > 0)) {
+        throw new CliError('render 需要 --width 和 --height（螢幕的像素尺寸）', 2);
+    }
+    if (!flags.output || flags.output === true) {
+        throw new CliError('render 需要 -o <輸出檔案>', 2);
+    }
+    const radius = numberFlag(flags, 'radius', flags.preview ? DEFAULTS.previewBlurRadius : DEFAULTS.blurRadius);
+    const zipRate = numberFlag(flags, 'zip-rate', flags.preview ? DEFAULTS.previewQualityFactor : DEFAULTS.imageProcessingZipRate);
+    const quality = numberFlag(flags, 'quality', DEFAULTS.imageQuality);
+
+    let info;
+    if (flags.input) {
+        const { path: inputPath } = await normalizeImagePath(flags.input);
+        info = { path: inputPath, placement: null, backgroundColor: null };
+    } else {
+        info = await getWallpaperInfo();
+        if (!info) throw new CliError('無法檢測到桌布，可以用 --input 指定圖片');
+    }
+    const source = info.source || info.path;
+
+    // 與 BlurredWindowBackground._resolveFit 相同的規則
+    const fitMode = flags.fit && flags.fit !== 'auto' ? flags.fit : (info.placement || 'zoom');
+    const backgroundColor = listFlag(flags, 'background', 3) || info.backgroundColor || [0, 0, 0];
+    const spanValues = listFlag(flags, 'span', 4);
+    const span = fitMode === 'spanned' && spanValues ? { x: spanValues[0], y: spanValues[1], width: spanValues[2], height: spanValues[3] } : null;
+
+    let filters = [];
+    if (flags.filters) {
+        try {
+            filters = JSON.parse(flags.filters);
+        } catch (error) {
+            throw new CliError(`--filters 不是有效的 JSON: ${error.message}`, 2);
+        }
+    }
+
+    const options = ImageBlurProcessor.optionsForSource(source, {
+        algorithm: flags.algorithm || DEFAULTS.blurAlgorithm,
+        filters,
+        fitMode,
+        backgroundColor,
+        span,
+        edgeMode: flags['edge-mode'] || DEFAULTS.edgeMode,
+        linearLight: flags['linear-light'] === undefined ? DEFAULTS.linearLight : flags['linear-light'] !== false && flags['linear-light'] !== 'false',
+        dither: flags.dither || DEFAULTS.dither,
+        extractPalette: true
+    });
+    const targetSize = [width, height];
+    const processor = new ImageBlurProcessor(source, targetSize, zipRate, false, options);
+    const pixels = await readSourcePixels(createSharpCodec(sharp), source, targetSize, zipRate);
+    const result = processor.processPixels(pixels, radius);
+
+    const output = path.resolve(flags.output);
+    const format = path.extname(output).slice(1).toLowerCase() || 'webp';
+    let image = sharp(Buffer.from(result.data.buffer, result.data.byteOffset, result.data.byteLength), {
+        raw: { width: result.width, height: result.height, channels: 4 }
+    });
+    image = format === 'png' ? image.png() : image.toFormat(format === 'jpg' ? 'jpeg' : format, quality === undefined ? {} : { quality: Math.round(quality * 100) });
+    await image.toFile(output);
+
+    return { output, width: result.width, height: result.height, source, fit: { fitMode, backgroundColor, span }, palette: result.palette };
+}
+
+/**
+ * 要檢查或清除的緩存目錄：--dir、--app，或暫存目錄下所有 bwb_temp_*_rewrite 目錄
+ * @returns {Promise<Array<String>>}
+ */
+async function findCacheDirs(flags, tmpdir = os.tmpdir()) {
+    if (flags.dir) {
+        const dir = path.resolve(flags.dir);
+        if (!CACHE_DIR_PATTERN.test(path.basename(dir))) {
+            throw new CliError(`--dir 不是 BlurredWindowBackground 的緩存目錄（bwb_temp_<應用名稱>_rewrite）: ${dir}`, 2);
+        }
+        return [dir];
+    }
+    if (flags.app) return [path.join(tmpdir, BlurredWindowBackground.getCacheDirName(flags.app))];
+    let entries = [];
+    try {
+        entries = await fs.promises.readdir(tmpdir, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+    return entries
+        .filter(entry => entry.isDirectory() && CACHE_DIR_PATTERN.test(entry.name))
+        .map(entry => path.join(tmpdir, entry.name));
+}
+
+/**
+ * 是否為 BlurredWindowBackground 寫入緩存目錄的檔案：緩存項、舊版本的固定名稱、元數據，以及它們的鎖和寫入中途留下的臨時檔案
+ * @param {String} name
+ * @returns {Boolean}
+ */
+function isCacheFileName(name) {
+    const { preview, final, metadata } = BlurredWindowBackground.CACHE_FILE_NAMES;
+    const base = name
+        .replace(/\.\d+\.[0-9a-z]+\.tmp$/, '')
+        .replace(/\.lock\.[0-9a-z-]+\.stale$/, '')
+        .replace(/\.lock$/, '');
+    return BlurredWindowBackground.CACHE_ENTRY_PATTERN.test(base) || [preview, final, metadata].includes(base);
+}
+
+/**
+ * 刪除緩存目錄中 BlurredWindowBackground 寫入的檔案，目錄變空時一併刪除，其他檔案保留
+ * @param {String} dir 名稱必須匹配 bwb_temp_<應用名稱>_rewrite
+ * @returns {Promise<Number>} 刪除的檔案數量
+ */
+async function clearCacheDir(dir) {
+    if (!CACHE_DIR_PATTERN.test(path.basename(dir))) {
+        throw new CliError(`拒絕清除不是緩存目錄的路徑: ${dir}`);
+    }
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (error) {
+        return 0;
+    }
+    let removed = 0;
+    for (const name of names) {
+        if (!isCacheFileName(name)) continue;
+        try {
+            await fs.promises.unlink(path.join(dir, name));
+            removed++;
+        } catch (error) {
+            // 已被刪除，或是同名的目錄
+        }
+    }
+    await fs.promises.rmdir(dir).catch(() => { }); // 還有其他檔案時保留目錄
+    return removed;
+}
+
+/**
+ * 讀取一個緩存目錄的檔案列表及元數據
+ * @returns {Promise<Object>}
+ */
+async function inspectCacheDir(dir) {
+    const report = { dir, exists: false, files: [], metadata: null, metadataError: null };
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (error) {
+        return report;
+    }
+    report.exists = true;
+    for (const name of names.sort()) {
+        try {
+            const stats = await fs.promises.stat(path.join(dir, name));
+            report.files.push({ name, size: stats.size, modified: stats.mtime.toISOString() });
+        } catch (error) {
+            // 檢查期間被刪除
+        }
+    }
+    const metadataPath = path.join(dir, BlurredWindowBackground.CACHE_FILE_NAMES.metadata);
+    if (names.includes(BlurredWindowBackground.CACHE_FILE_NAMES.metadata)) {
+        try {
+            report.metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
+        } catch (error) {
+            report.metadataError = error.message;
+        }
+    }
+    return report;
+}
+
+function formatCacheReport(report) {
+    const lines = [report.dir];
+    if (!report.exists) {
+        lines.push('  （不存在）');
+        return lines.join('\n');
+    }
+    for (const file of report.files) {
+        lines.push(`  ${file.name}  ${file.size} 字節  ${file.modified}`);
+    }
+    if (report.metadataError) {
+        lines.push(`  元數據無法解析: ${report.metadataError}`);
+    } else if (report.metadata) {
+        const metadata = report.metadata;
+        lines.push(`  桌布: ${metadata.currentOriginalWallpaperPath || '（無）'}`);
+        if (metadata.lastKnownScreenDimensions) {
+            lines.push(`  螢幕: ${metadata.lastKnownScreenDimensions.width}x${metadata.lastKnownScreenDimensions.height}`);
+        }
+        if (metadata.resolvedFit) {
+            lines.push(`  填充: ${metadata.resolvedFit.fitMode}，背景色 ${JSON.stringify(metadata.resolvedFit.backgroundColor)}`);
+        }
+        if (metadata.palette && metadata.palette.dominant) {
+            lines.push(`  主色: rgb(${metadata.palette.dominant.join(', ')})`);
+        }
+        if (metadata.cacheEntries) {
+            const entries = Object.entries(metadata.cacheEntries).sort((a, b) => b[1].lastUsedAt - a[1].lastUsedAt);
+            lines.push(`  緩存項: ${entries.length} 個`);
+            for (const [name, entry] of entries) {
+                lines.push(`    ${name}  ${entry.kind}  最近使用 ${new Date(entry.lastUsedAt).toISOString()}`);
+            }
+        }
+    }
+    return lines.join('\n');
+}
+
+function formatWallpaperInfo(info) {
+    const lines = [
+        `來源: ${info.provider || '未知'}`,
+        `路徑: ${info.path || '（無，純色或漸變）'}`
+    ];
+    if (info.type) lines.push(`格式: ${info.type}`);
+    lines.push(`填充: ${info.placement || '未知'}`);
+    if (info.backgroundColor) lines.push(`背景色: ${JSON.stringify(info.backgroundColor)}`);
+    if (info.source) lines.push(`描述: ${JSON.stringify(info.source)}`);
+    if (info.slideshow) {
+        lines.push(`幻燈片: ${info.slideshow.path}，下一次切換 ${new Date(info.slideshow.nextChangeAt).toISOString()}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 執行命令行
+ * @param {Array<String>} [argv=process.argv.slice(2)]
+ * @param {Object} [io] stdout、stderr（帶 write 方法）及 renderWallpaper 的 deps
+ * @returns {Promise<Number>} 退出碼
+ */
+async function main(argv = process.argv.slice(2), io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const print = (value, json) => stdout.write((json ? JSON.stringify(value, null, 2) : value) + '\n');
+    try {
+        const { positional, flags } = parseArgs(argv);
+        const [command, subcommand] = positional;
+        if (flags.help || !command) {
+            stdout.write(USAGE);
+            return command || flags.help ? 0 : 2;
+        }
+        switch (command) {
+            case 'detect': {
+                const info = await (io.getWallpaperInfo || getWallpaper.getWallpaperInfo)();
+                if (!info) throw new CliError('無法檢測到桌布');
+                print(flags.json ? info : formatWallpaperInfo(info), flags.json);
+                return 0;
+            }
+            case 'render': {
+                const result = await renderWallpaper(flags, io);
+                print(flags.json ? result : `已生成 ${result.output} (${result.width}x${result.height})`, flags.json);
+                return 0;
+            }
+            case 'cache': {
+                if (subcommand !== 'inspect' && subcommand !== 'clear') {
+                    throw new CliError('cache 需要子命令 inspect 或 clear', 2);
+                }
+                if (subcommand === 'clear' && !flags.app && !flags.dir && !flags.all) {
+                    throw new CliError('cache clear 需要 --app、--dir 或 --all', 2);
+                }
+                const dirs = await findCacheDirs(flags, io.tmpdir);
+                if (subcommand === 'inspect') {
+                    const reports = [];
+                    for (const dir of dirs) reports.push(await inspectCacheDir(dir));
+                    if (flags.json) {
+                        print(reports, true);
+                    } else {
+                        print(reports.length ? reports.map(formatCacheReport).join('\n\n') : '沒有找到緩存目錄');
+                    }
+                    return 0;
+                }
+                const removed = [];
+                for (const dir of dirs) removed.push(await clearCacheDir(dir));
+                const summary = dirs.map((dir, i) => `${dir}（${removed[i]} 個檔案）`);
+                print(flags.json ? { cleared: dirs, removed } : (dirs.length ? `已清除:\n${summary.join('\n')}` : '沒有找到緩存目錄'), flags.json);
+                return 0;
+            }
+            default:
+                throw new CliError(`未知的命令: ${command}\n\n${USAGE}`, 2);
+        }
+    } catch (error) {
+        if (error instanceof CliError || error instanceof WallpaperPathError) {
+            stderr.write(`bwb: ${error.message}\n`);
+            return error.exitCode || 1;
+        }
+        stderr.write(`bwb: ${error && error.stack || error}\n`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => { process.exitCode = code; });
+}
+
+module.exports = { main, parseArgs, renderWallpaper, findCacheDirs, inspectCacheDir, clearCacheDir };
@@ -1,55 +1,78 @@
 // bwb-electron-ipc-setup.js
 // 這個模塊應該在 Electron 的主進程中使用
 
-const { app, screen, nativeTheme, ipcMain: electronIpcMain } = require('electron'); // 引入 nativeTheme
+const path = require('path');
+const { app, screen, nativeTheme, BrowserWindow, ipcMain: electronIpcMain, protocol, nativeImage, utilityProcess } = require('electron'); // 引入 nativeTheme
+const BlurredWindowBackground = require('./BlurredWindowBackground.js');
+const { BWB_PROTOCOL_SCHEME, BlurService } = require('./bwb-blur-service.js');
+
+// 每個 ipcMain 上只註冊一組 IPC 處理程序和屏幕/主題監聽器，由所有窗口共用。
+// ipcMain -> { windows: Set<BrowserWindow>, refCount: Number, dispose: Function }
+const sharedRegistrations = new Map();
+
+// ipcMain.handle 註冊的通道，釋放時需要逐一 removeHandler
+const HANDLE_CHANNELS = [
+    'bwb:get-window-bounds',
+    'bwb:get-window-is-maximized',
+    'bwb:get-window-is-fullscreen',
+    'bwb:get-system-theme-is-dark',
+    'bwb:generate-background'
+];
+
+const isWindowAlive = (win) => !!win && !win.isDestroyed();
+
+const sendToWindow = (win, channel, ...args) => {
+    if (isWindowAlive(win) && win.webContents && !win.webContents.isDestroyed()) {
+        try {
+            win.webContents.send(channel, ...args);
+        } catch (error) {
+            if (!error.message.includes("Render frame was V8-crashed") && !error.message.includes("webContents is_destroyed")) {
+                console.warn(`[BWB IPC Setup] 發送事件到渲染器 (${channel}) 時出錯:`, error.message);
+            }
+        }
+    }
+};
 
 /**
- * 為 BlurredWindowBackground 設置必要的 IPC 監聽器、處理程序，並自動綁定窗口事件。
- * @param {import('electron').IpcMain} ipcMainParam - Electron 的 ipcMain 模塊。
- * @param {import('electron').BrowserWindow | () => import('electron').BrowserWindow | null} windowOrThunk - 要應用模糊背景效果的主 BrowserWindow 實例，或一個返回該實例的函數。
+ * 註冊所有窗口共用的 IPC 處理程序。窗口從 event.sender（發出請求的 webContents）解析，
+ * 因此每個渲染器查詢到的都是它自己所在窗口的位置和狀態。
+ * @param {import('electron').IpcMain} ipcMainToUse
+ * @returns {{windows: Set, refCount: Number, dispose: Function}}
  */
-function setupBlurredWindowBackgroundIPC(ipcMainParam, windowOrThunk) {
-    const ipcMainToUse = ipcMainParam || electronIpcMain; // 如果未傳入，則使用全局的
-    if (!ipcMainToUse) {
-        console.error('[BWB IPC Setup] ipcMain 參數是必需的。');
-        return;
-    }
-    if (!windowOrThunk) {
-        console.error('[BWB IPC Setup] mainWindow (或獲取它的函數) 參數是必需的。');
-        return;
-    }
-
-    const getMainWindow = () => {
-        return typeof windowOrThunk === 'function' ? windowOrThunk() : windowOrThunk;
+function registerSharedHandlers(ipcMainToUse) {
+    const registration = { windows: new Set(), refCount: 0, dispose: null, blurService: null };
+
+    const getWindowForEvent = (event) => {
+        const sender = event && event.sender;
+        if (!sender) return null;
+        let win = BrowserWindow && BrowserWindow.fromWebContents ? BrowserWindow.fromWebContents(sender) : null;
+        if (!win) {
+            // 例如 BrowserView 中的頁面：退回已註冊窗口中 webContents 相同的窗口
+            win = [...registration.windows].find(w => isWindowAlive(w) && w.webContents === sender) || null;
+        }
+        return isWindowAlive(win) ? win : null;
     };
 
     // --- IPC Handler 函數定義 (避免重複創建匿名函數) ---
     const handleGetWindowBounds = async (event) => {
-        const mainWindow = getMainWindow();
-        if (mainWindow && !mainWindow.isDestroyed()) {
-            return mainWindow.getBounds();
+        const win = getWindowForEvent(event);
+        if (win) {
+            return win.getBounds();
         }
-        console.warn('[BWB IPC Setup] handle "bwb:get-window-bounds": 主窗口不可用。');
+        console.warn('[BWB IPC Setup] handle "bwb:get-window-bounds": 找不到發出請求的窗口。');
         return null;
     };
 
     const handleGetWindowIsMaximized = async (event) => {
-        const mainWindow = getMainWindow();
-        if (mainWindow && !mainWindow.isDestroyed()) {
-            return mainWindow.isMaximized();
-        }
-        return false;
+        const win = getWindowForEvent(event);
+        return win ? win.isMaximized() : false;
     };
 
     const handleGetWindowIsFullscreen = async (event) => {
-        const mainWindow = getMainWindow();
-        if (mainWindow && !mainWindow.isDestroyed()) {
-            return mainWindow.isFullScreen();
-        }
-        return false;
+        const win = getWindowForEvent(event);
+        return win ? win.isFullScreen() : false;
     };
 
-    // 新增：獲取系統主題的 handler
     const handleGetSystemThemeIsDark = async (event) => {
         if (nativeTheme) {
             return nativeTheme.shouldUseDarkColors;
@@ -58,173 +81,314 @@ function setupBlurredWindowBackgroundIPC(ipcMainParam, windowOrThunk) {
         return false; // 回落值
     };
 
-    // --- IPC 監聽器設置 ---
-
-    ipcMainToUse.on('bwb:get-app-name', (event) => {
+    const onGetAppName = (event) => {
         event.returnValue = app.getName() || 'DefaultElectronApp';
-    });
+    };
 
-    ipcMainToUse.on('bwb:get-app-path', (event) => {
+    const onGetAppPath = (event) => {
         event.returnValue = app.getAppPath();
-    });
+    };
 
-    ipcMainToUse.on('bwb:get-path', (event, pathName) => {
+    const onGetPath = (event, pathName) => {
         try {
             event.returnValue = app.getPath(pathName);
         } catch (error) {
             console.error(`[BWB IPC Setup] 無法獲取路徑 '${pathName}':`, error);
             event.returnValue = null;
         }
-    });
+    };
 
-    ipcMainToUse.handle('bwb:get-window-bounds', handleGetWindowBounds);
+    // 螢幕列表只保留可以經過 IPC 和 contextBridge 的欄位，渲染進程（包括 bwb-preload.js）沒有 screen 模塊
+    const onGetScreens = (event) => {
+        event.returnValue = screen ? screen.getAllDisplays().map(display => ({
+            id: display.id,
+            bounds: display.bounds,
+            workArea: display.workArea,
+            scaleFactor: display.scaleFactor,
+            isBuiltIn: !!display.internal
+        })) : [];
+    };
 
-    ipcMainToUse.on('bwb:get-window-bounds-sync', (event) => {
-        const mainWindow = getMainWindow();
-        if (mainWindow && !mainWindow.isDestroyed()) {
-            event.returnValue = mainWindow.getBounds();
+    const onGetWindowBoundsSync = (event) => {
+        const win = getWindowForEvent(event);
+        if (win) {
+            event.returnValue = win.getBounds();
         } else {
-            console.warn('[BWB IPC Setup] on "bwb:get-window-bounds-sync": 主窗口不可用。');
+            console.warn('[BWB IPC Setup] on "bwb:get-window-bounds-sync": 找不到發出請求的窗口。');
             event.returnValue = null;
         }
-    });
+    };
 
+    // --- IPC 監聽器設置 ---
+
+    ipcMainToUse.on('bwb:get-app-name', onGetAppName);
+    ipcMainToUse.on('bwb:get-app-path', onGetAppPath);
+    ipcMainToUse.on('bwb:get-path', onGetPath);
+    ipcMainToUse.on('bwb:get-window-bounds-sync', onGetWindowBoundsSync);
+    ipcMainToUse.on('bwb:get-screens', onGetScreens);
+    ipcMainToUse.handle('bwb:get-window-bounds', handleGetWindowBounds);
     ipcMainToUse.handle('bwb:get-window-is-maximized', handleGetWindowIsMaximized);
     ipcMainToUse.handle('bwb:get-window-is-fullscreen', handleGetWindowIsFullscreen);
-    ipcMainToUse.handle('bwb:get-system-theme-is-dark', handleGetSystemThemeIsDark); // 新增 handler
-
-
-    // --- 窗口和屏幕事件綁定 ---
-
-    const mainWindowInstance = getMainWindow();
-
-    // 定義事件處理器以便能正確移除
-    let onMoveHandler, onResizeHandler, onMaximizeHandler, onUnmaximizeHandler,
-        onEnterFullScreenHandler, onLeaveFullScreenHandler,
-        onDisplayMetricsChangedHandler,
-        onNativeThemeUpdatedHandler; // 新增 nativeTheme 監聽器
-
-    if (mainWindowInstance && !mainWindowInstance.isDestroyed()) {
-        const sendToRenderer = (channel, ...args) => {
-            const win = getMainWindow();
-            if (win && !win.isDestroyed() && win.webContents && !win.webContents.isDestroyed()) {
-                try {
-                    win.webContents.send(channel, ...args);
-                } catch (error) {
-                    if (!error.message.includes("Render frame was V8-crashed") && !error.message.includes("webContents is_destroyed")) {
-                        console.warn(`[BWB IPC Setup] 發送事件到渲染器 (${channel}) 時出錯:`, error.message);
-                    }
-                }
-            }
-        };
-
-        const sendBoundsToRenderer = () => {
-            const win = getMainWindow();
-            if (win && !win.isDestroyed()) {
-                sendToRenderer('bwb:window-bounds-updated', win.getBounds());
-            }
-        };
+    ipcMainToUse.handle('bwb:get-system-theme-is-dark', handleGetSystemThemeIsDark);
 
-        onMoveHandler = sendBoundsToRenderer;
-        onResizeHandler = sendBoundsToRenderer;
+    // --- 屏幕和主題事件：通知所有已註冊的窗口 ---
 
-        onMaximizeHandler = () => sendToRenderer('bwb:window-maximized');
-        onUnmaximizeHandler = () => sendToRenderer('bwb:window-unmaximized');
-
-        onEnterFullScreenHandler = () => sendToRenderer('bwb:window-fullscreen-changed', true);
-        onLeaveFullScreenHandler = () => sendToRenderer('bwb:window-fullscreen-changed', false);
+    const broadcast = (channel, ...args) => {
+        for (const win of registration.windows) sendToWindow(win, channel, ...args);
+    };
 
-        mainWindowInstance.on('move', onMoveHandler);
-        mainWindowInstance.on('resize', onResizeHandler);
-        mainWindowInstance.on('maximize', onMaximizeHandler);
-        mainWindowInstance.on('unmaximize', onUnmaximizeHandler);
-        mainWindowInstance.on('enter-full-screen', onEnterFullScreenHandler);
-        mainWindowInstance.on('leave-full-screen', onLeaveFullScreenHandler);
+    const onDisplayMetricsChangedHandler = () => {
+        console.log('[BWB IPC Setup] Display metrics changed. Notifying renderers.');
+        broadcast('bwb:display-metrics-changed');
+    };
+    if (screen) {
+        screen.on('display-metrics-changed', onDisplayMetricsChangedHandler);
+        screen.on('display-added', onDisplayMetricsChangedHandler);
+        screen.on('display-removed', onDisplayMetricsChangedHandler);
+    } else {
+        console.warn('[BWB IPC Setup] Electron screen module not available. Display metrics changes will not be monitored.');
+    }
 
-        // 屏幕事件監聽
-        onDisplayMetricsChangedHandler = () => {
-            console.log('[BWB IPC Setup] Display metrics changed. Notifying renderer.');
-            sendToRenderer('bwb:display-metrics-changed');
-        };
+    const onNativeThemeUpdatedHandler = () => {
+        broadcast('bwb:system-theme-changed', nativeTheme.shouldUseDarkColors);
+    };
+    if (nativeTheme) {
+        nativeTheme.on('updated', onNativeThemeUpdatedHandler);
+    } else {
+        console.warn('[BWB IPC Setup] Electron nativeTheme module not available. System theme changes will not be monitored for renderer.');
+    }
 
+    registration.dispose = () => {
+        ipcMainToUse.removeListener('bwb:get-app-name', onGetAppName);
+        ipcMainToUse.removeListener('bwb:get-app-path', onGetAppPath);
+        ipcMainToUse.removeListener('bwb:get-path', onGetPath);
+        ipcMainToUse.removeListener('bwb:get-window-bounds-sync', onGetWindowBoundsSync);
+        ipcMainToUse.removeListener('bwb:get-screens', onGetScreens);
+        HANDLE_CHANNELS.forEach(channel => ipcMainToUse.removeHandler(channel));
         if (screen) {
-            screen.on('display-metrics-changed', onDisplayMetricsChangedHandler);
-            screen.on('display-added', onDisplayMetricsChangedHandler);
-            screen.on('display-removed', onDisplayMetricsChangedHandler);
-        } else {
-            console.warn('[BWB IPC Setup] Electron screen module not available. Display metrics changes will not be monitored.');
+            screen.removeListener('display-metrics-changed', onDisplayMetricsChangedHandler);
+            screen.removeListener('display-added', onDisplayMetricsChangedHandler);
+            screen.removeListener('display-removed', onDisplayMetricsChangedHandler);
         }
-
-        // 新增：監聽系統主題變化並通知渲染進程
         if (nativeTheme) {
-            onNativeThemeUpdatedHandler = () => {
-                // console.log('[BWB IPC Setup] Native theme updated. Notifying renderer.');
-                sendToRenderer('bwb:system-theme-changed', nativeTheme.shouldUseDarkColors);
-            };
-            nativeTheme.on('updated', onNativeThemeUpdatedHandler);
-        } else {
-            console.warn('[BWB IPC Setup] Electron nativeTheme module not available. System theme changes will not be monitored for renderer.');
+            nativeTheme.removeListener('updated', onNativeThemeUpdatedHandler);
         }
+        if (registration.blurService) {
+            unhandleBwbProtocol();
+            registration.blurService.destroy();
+            registration.blurService = null;
+        }
+        console.log('[BWB IPC Setup] 最後一個窗口已釋放，已清理 IPC handlers 和屏幕/主題監聽器。');
+    };
 
+    return registration;
+}
 
-        const sendInitialData = () => {
-            const win = getMainWindow();
-            if (win && !win.isDestroyed() && !win.webContents.isDestroyed()) {
-                sendBoundsToRenderer(); // 發送初始bounds
-                // 渲染器會通過 invoke 查詢初始最大化、全螢幕狀態和系統主題
-            }
-        };
+/**
+ * 讓 bwb:// 協議的請求由模糊服務響應。Electron 25 起使用 protocol.handle，更早的版本使用 registerBufferProtocol。
+ */
+function handleBwbProtocol(service) {
+    const scheme = BWB_PROTOCOL_SCHEME.scheme;
+    if (typeof protocol.handle === 'function') {
+        protocol.handle(scheme, async (request) => {
+            const { status, headers, body } = await service.serve(request.url, request.headers.get('if-none-match'));
+            return new Response(body, { status, headers });
+        });
+    } else {
+        protocol.registerBufferProtocol(scheme, (request, callback) => {
+            const requestHeaders = request.headers || {};
+            service.serve(request.url, requestHeaders['If-None-Match'] || requestHeaders['if-none-match'] || null)
+                .then(({ status, headers, body }) => callback({ statusCode: status, headers, data: body || Buffer.alloc(0) }))
+                .catch(() => callback({ statusCode: 500, data: Buffer.alloc(0) }));
+        });
+    }
+}
 
-        if (mainWindowInstance.webContents && !mainWindowInstance.webContents.isDestroyed()) {
-            if (mainWindowInstance.webContents.isLoading()) {
-                mainWindowInstance.webContents.once('did-finish-load', () => {
-                    setTimeout(sendInitialData, 200); // 稍長延遲確保渲染器內監聽器已就緒
-                });
-            } else {
-                setTimeout(sendInitialData, 150);
-            }
+function unhandleBwbProtocol() {
+    const scheme = BWB_PROTOCOL_SCHEME.scheme;
+    if (typeof protocol.unhandle === 'function') {
+        protocol.unhandle(scheme);
+    } else {
+        protocol.unregisterProtocol(scheme);
+    }
+}
+
+/**
+ * 在共用的註冊上啟用模糊服務：註冊 bwb:generate-background 和 bwb:// 協議。
+ * 渲染器請求生成後，結果寫入與渲染器相同的緩存目錄，並向發出請求的頁面推送 bwb:background-ready。
+ * @param {{windows: Set, blurService: BlurService | null}} registration
+ * @param {import('electron').IpcMain} ipcMainToUse
+ * @param {'main' | 'utility'} mode
+ */
+function enableBlurService(registration, ipcMainToUse, mode) {
+    if (registration.blurService) {
+        if (registration.blurService.mode !== mode) {
+            console.warn(`[BWB IPC Setup] 模糊服務已以 '${registration.blurService.mode}' 模式運行，忽略 '${mode}'。`);
         }
+        return;
+    }
+    if (!protocol) {
+        console.error('[BWB IPC Setup] Electron protocol module not available. 無法啟用模糊服務。');
+        return;
+    }
+    if (mode === 'utility' && !utilityProcess) {
+        console.warn('[BWB IPC Setup] 當前 Electron 版本沒有 utilityProcess（需要 22 或以上），模糊服務改為在主進程中處理。');
+    }
+    // 與渲染器中 BlurredWindowBackground 的默認緩存目錄相同（應用名稱見 bwb:get-app-name）
+    const cacheDir = path.join(app.getPath('temp'), BlurredWindowBackground.getCacheDirName(app.getName() || 'DefaultElectronApp'));
+    let service;
+    try {
+        service = new BlurService({ cacheDir, mode, nativeImage, utilityProcess, screen });
+    } catch (error) {
+        console.error('[BWB IPC Setup] 無法創建模糊服務:', error);
+        return;
+    }
 
-        mainWindowInstance.once('closed', () => {
-            const win = getMainWindow(); // 獲取當前 mainWindowInstance 的引用
-            if (win && typeof win.removeListener === 'function') { // 應該用 mainWindowInstance
-                if (onMoveHandler) mainWindowInstance.removeListener('move', onMoveHandler);
-                if (onResizeHandler) mainWindowInstance.removeListener('resize', onResizeHandler);
-                if (onMaximizeHandler) mainWindowInstance.removeListener('maximize', onMaximizeHandler);
-                if (onUnmaximizeHandler) mainWindowInstance.removeListener('unmaximize', onUnmaximizeHandler);
-                if (onEnterFullScreenHandler) mainWindowInstance.removeListener('enter-full-screen', onEnterFullScreenHandler);
-                if (onLeaveFullScreenHandler) mainWindowInstance.removeListener('leave-full-screen', onLeaveFullScreenHandler);
-                console.log('[BWB IPC Setup] 已從已關閉窗口移除窗口事件監聽器。');
-            }
+    ipcMainToUse.handle('bwb:generate-background', async (event, request) => {
+        const result = await service.generate(request);
+        const sender = event.sender;
+        if (sender && !sender.isDestroyed()) {
+            sender.send('bwb:background-ready', result);
+        }
+        return result;
+    });
+    handleBwbProtocol(service);
+    registration.blurService = service;
+    console.log(`[BWB IPC Setup] 模糊服務已啟用（${service.mode === 'utility' ? 'utility 進程' : '主進程'}，編碼器 ${service.codec.name}），緩存目錄: ${cacheDir}`);
+}
 
-            if (screen && onDisplayMetricsChangedHandler) {
-                screen.removeListener('display-metrics-changed', onDisplayMetricsChangedHandler);
-                screen.removeListener('display-added', onDisplayMetricsChangedHandler);
-                screen.removeListener('display-removed', onDisplayMetricsChangedHandler);
-                console.log('[BWB IPC Setup] 已移除屏幕事件監聽器。');
-            }
+/**
+ * 把窗口自身的事件（移動、縮放、最大化、全屏、最小化）轉發給它的渲染器
+ * @param {import('electron').BrowserWindow} win
+ * @returns {Function} 移除這些監聽器的函數
+ */
+function bindWindowEvents(win) {
+    const sendBoundsToRenderer = () => {
+        if (isWindowAlive(win)) {
+            sendToWindow(win, 'bwb:window-bounds-updated', win.getBounds());
+        }
+    };
 
-            // 新增：移除 nativeTheme 監聽器
-            if (nativeTheme && onNativeThemeUpdatedHandler) {
-                nativeTheme.removeListener('updated', onNativeThemeUpdatedHandler);
-                console.log('[BWB IPC Setup] 已移除 nativeTheme updated 監聽器。');
-            }
+    // 最小化或隱藏（例如收到托盤）時，渲染器暫停桌布檢查和遮罩取樣
+    const windowEventHandlers = {
+        'move': sendBoundsToRenderer,
+        'resize': sendBoundsToRenderer,
+        'maximize': () => sendToWindow(win, 'bwb:window-maximized'),
+        'unmaximize': () => sendToWindow(win, 'bwb:window-unmaximized'),
+        'enter-full-screen': () => sendToWindow(win, 'bwb:window-fullscreen-changed', true),
+        'leave-full-screen': () => sendToWindow(win, 'bwb:window-fullscreen-changed', false),
+        'minimize': () => sendToWindow(win, 'bwb:window-minimized'),
+        'hide': () => sendToWindow(win, 'bwb:window-minimized'),
+        'restore': () => sendToWindow(win, 'bwb:window-restored'),
+        'show': () => sendToWindow(win, 'bwb:window-restored')
+    };
+    for (const [eventName, handler] of Object.entries(windowEventHandlers)) {
+        win.on(eventName, handler);
+    }
 
-            // 清理所有 handle
-            ipcMainToUse.removeHandler('bwb:get-window-bounds');
-            ipcMainToUse.removeHandler('bwb:get-window-is-maximized');
-            ipcMainToUse.removeHandler('bwb:get-window-is-fullscreen');
-            ipcMainToUse.removeHandler('bwb:get-system-theme-is-dark'); // 新增 handler 的清理
-            console.log('[BWB IPC Setup] 已清理 IPC handlers。');
-        });
+    // 渲染器會通過 invoke 查詢初始最大化、全螢幕狀態和系統主題
+    let initialDataTimeoutId = null;
+    const onDidFinishLoad = () => {
+        initialDataTimeoutId = setTimeout(sendBoundsToRenderer, 200); // 稍長延遲確保渲染器內監聽器已就緒
+    };
+    if (win.webContents && !win.webContents.isDestroyed()) {
+        if (win.webContents.isLoading()) {
+            win.webContents.once('did-finish-load', onDidFinishLoad);
+        } else {
+            initialDataTimeoutId = setTimeout(sendBoundsToRenderer, 150);
+        }
+    }
 
-        console.log('[BWB IPC Setup] BlurredWindowBackground 的 IPC 通道和窗口/屏幕/主題事件監聽器已成功設置。');
+    return () => {
+        clearTimeout(initialDataTimeoutId);
+        for (const [eventName, handler] of Object.entries(windowEventHandlers)) {
+            win.removeListener(eventName, handler);
+        }
+        if (win.webContents && !win.webContents.isDestroyed()) {
+            win.webContents.removeListener('did-finish-load', onDidFinishLoad);
+        }
+    };
+}
 
-    } else if (typeof windowOrThunk !== 'function') {
+/**
+ * 為 BlurredWindowBackground 設置必要的 IPC 監聽器、處理程序，並自動綁定窗口事件。
+ * 可以為任意數量的窗口調用：IPC 處理程序只註冊一次並按發出請求的 webContents 解析窗口，
+ * 在最後一個窗口關閉（或被釋放）時才會移除。
+ * @param {import('electron').IpcMain} ipcMainParam - Electron 的 ipcMain 模塊。
+ * @param {import('electron').BrowserWindow | () => import('electron').BrowserWindow | null} windowOrThunk - 要應用模糊背景效果的 BrowserWindow 實例，或一個返回該實例的函數。
+ * @param {Object} [options]
+ * @param {false | 'main' | 'utility'} [options.blurService=false] 在主進程或 utility 進程中生成模糊背景，並以 bwb:// 協議提供給渲染器。
+ *   需要在 app 的 ready 事件之前以 BWB_PROTOCOL_SCHEME 調用 protocol.registerSchemesAsPrivileged，渲染器需要開啟 blurService 選項。
+ *   服務由所有窗口共用，在第一次傳入時創建，最後一個窗口釋放時銷毀。
+ * @returns {Function | undefined} 釋放這個窗口的函數（窗口關閉時會自動調用），參數無效時為 undefined
+ */
+function setupBlurredWindowBackgroundIPC(ipcMainParam, windowOrThunk, options = {}) {
+    const ipcMainToUse = ipcMainParam || electronIpcMain; // 如果未傳入，則使用全局的
+    if (!ipcMainToUse) {
+        console.error('[BWB IPC Setup] ipcMain 參數是必需的。');
+        return;
+    }
+    if (!windowOrThunk) {
+        console.error('[BWB IPC Setup] mainWindow (或獲取它的函數) 參數是必需的。');
+        return;
+    }
+
+    const windowInstance = typeof windowOrThunk === 'function' ? windowOrThunk() : windowOrThunk;
+    if (!isWindowAlive(windowInstance) && typeof windowOrThunk !== 'function') {
         console.warn('[BWB IPC Setup] 傳入的 mainWindow 實例無效或已銷毀，無法綁定事件。');
+        return;
+    }
+
+    let registration = sharedRegistrations.get(ipcMainToUse);
+    if (registration && isWindowAlive(windowInstance) && registration.windows.has(windowInstance)) {
+        console.warn('[BWB IPC Setup] 這個窗口已經設置過，忽略重複的調用。');
+        return () => { };
+    }
+    if (!registration) {
+        registration = registerSharedHandlers(ipcMainToUse);
+        sharedRegistrations.set(ipcMainToUse, registration);
+    }
+    // 只有綁定了窗口的調用才持有引用：窗口關閉時會自動釋放，尚無窗口的調用沒有任何時機釋放
+    const bindsWindow = isWindowAlive(windowInstance);
+    if (bindsWindow) registration.refCount++;
+    if (options.blurService) {
+        enableBlurService(registration, ipcMainToUse, options.blurService === 'utility' ? 'utility' : 'main');
+    }
+
+    let unbindWindowEvents = null;
+    let onClosed = null;
+    let released = false;
+    const release = () => {
+        if (released) return;
+        released = true;
+        if (bindsWindow) {
+            if (unbindWindowEvents) unbindWindowEvents();
+            if (onClosed && !windowInstance.isDestroyed()) windowInstance.removeListener('closed', onClosed);
+            registration.windows.delete(windowInstance);
+            registration.refCount--;
+        }
+        // 沒有任何窗口時移除共用的處理程序；尚無窗口的調用被釋放時也是如此
+        if (registration.refCount === 0 && sharedRegistrations.get(ipcMainToUse) === registration) {
+            registration.dispose();
+            sharedRegistrations.delete(ipcMainToUse);
+        }
+    };
+
+    if (bindsWindow) {
+        registration.windows.add(windowInstance);
+        unbindWindowEvents = bindWindowEvents(windowInstance);
+        onClosed = () => {
+            release();
+            console.log('[BWB IPC Setup] 已從已關閉窗口移除窗口事件監聽器。');
+        };
+        windowInstance.once('closed', onClosed);
+        console.log(`[BWB IPC Setup] BlurredWindowBackground 的 IPC 通道和窗口事件監聽器已設置（目前 ${registration.refCount} 個窗口）。`);
     } else {
-        console.log('[BWB IPC Setup] 以函數形式傳入 mainWindow。事件將在觸發時嘗試獲取窗口。');
+        // 窗口稍後才創建：IPC 處理程序按請求解析窗口，仍然可用，但窗口事件不會被轉發
+        console.log('[BWB IPC Setup] 以函數形式傳入 mainWindow，但窗口尚不可用。IPC 通道已設置，窗口事件需要在窗口創建後再次調用以綁定，最後一個綁定的窗口關閉時一併清理。');
     }
+
+    return release;
 }
 
-module.exports = { setupBlurredWindowBackgroundIPC };
+module.exports = { setupBlurredWindowBackgroundIPC, BWB_PROTOCOL_SCHEME };
@@ -0,0 +1,201 @@
+// bwb-path.js
+// 桌布來源的 URI/路徑正規化，以及背景圖片的 CSS url() 生成
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+/**
+ * 桌布來源給出的路徑無法使用時拋出。code 為：
+ * 'EINVALID'（不是本地路徑或 file:// URI）、'ENOENT'（檔案不存在）、'ENOTFILE'（不是一般檔案）、
+ * 'EUNSUPPORTED'（內容不是可識別的圖片格式）。
+ */
+class WallpaperPathError extends Error {
+    constructor(code, message, filePath) {
+        super(message);
+        this.name = 'WallpaperPathError';
+        this.code = code;
+        this.path = filePath;
+    }
+}
+
+// 檔案開頭的特徵字節，依次比對
+const IMAGE_SIGNATURES = [
+    { type: 'image/jpeg', test: b => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { type: 'image/png', test: b => ascii(b, 1, 4) === 'PNG' && b[0] === 0x89 },
+    { type: 'image/gif', test: b => ascii(b, 0, 4) === 'GIF8' },
+    { type: 'image/webp', test: b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP' },
+    { type: 'image/bmp', test: b => ascii(b, 0, 2) === 'BM' },
+    { type: 'image/tiff', test: b => ascii(b, 0, 4) === 'II*\0' || ascii(b, 0, 4) === 'MM\0*' },
+    { type: 'image/x-icon', test: b => b[0] === 0 && b[1] === 0 && b[2] === 1 && b[3] === 0 },
+    { type: 'image/avif', test: b => ascii(b, 4, 8) === 'ftyp' && /^avi[fs]$/.test(ascii(b, 8, 12)) },
+    { type: 'image/heic', test: b => ascii(b, 4, 8) === 'ftyp' && /^(heic|heix|hevc|mif1|msf1)$/.test(ascii(b, 8, 12)) },
+    { type: 'image/jxl', test: b => (b[0] === 0xFF && b[1] === 0x0A) || ascii(b, 4, 8) === 'JXL ' }
+];
+
+// 足以識別上述格式以及 XML/SVG 開頭的字節數
+const SNIFF_LENGTH = 512;
+
+function ascii(bytes, start, end) {
+    let text = '';
+    for (let i = start; i < end && i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+    return text;
+}
+
+/**
+ * 根據檔案開頭的字節識別圖片格式。GNOME 幻燈片描述檔案識別為 'application/xml'，
+ * 無法識別時返回 null。
+ * @param {Uint8Array} bytes 檔案開頭的字節（至少 12 字節，識別 XML/SVG 時越多越好）
+ * @returns {String | null} MIME 類型
+ */
+function sniffImageType(bytes) {
+    if (!bytes || bytes.length < 2) return null;
+    const signature = IMAGE_SIGNATURES.find(entry => entry.test(bytes));
+    if (signature) return signature.type;
+    const text = ascii(bytes, 0, Math.min(bytes.length, SNIFF_LENGTH)).replace(/^\xEF\xBB\xBF/, '').trimStart();
+    if (text.startsWith('<')) {
+        if (/<svg[\s>]/i.test(text)) return 'image/svg+xml';
+        if (/<background[\s>]/i.test(text) || /^<\?xml/i.test(text)) return 'application/xml';
+    }
+    return null;
+}
+
+/**
+ * 把桌布來源給出的值轉為本地絕對路徑：file:// URI 會被百分號解碼（例如 %20、%E5...），
+ * 開頭的 ~ 與 $HOME 會展開為家目錄，兩端的引號會被去掉。
+ * @param {String} value 路徑或 file:// URI
+ * @param {{homedir?: String}} [options]
+ * @returns {String} 絕對路徑
+ * @throws {WallpaperPathError} 不是本地路徑時（例如 http:// URI 或相對路徑）
+ */
+function decodeWallpaperUri(value, options = {}) {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new WallpaperPathError('EINVALID', `桌布路徑為空或不是字串: ${JSON.stringify(value)}`, null);
+    }
+    const homedir = options.homedir || os.homedir();
+    let result = value.trim().replace(/^(['"])(.*)\1$/, '$2');
+    if (/^file:/i.test(result)) {
+        try {
+            result = url.fileURLToPath(result);
+        } catch (error) {
+            // 例如 file://host/... 在非 Windows 系統上不被接受，退回手動解碼
+            result = safeDecode(result.replace(/^file:(\/\/[^/]*)?/i, ''));
+        }
+    } else if (/^[a-z][a-z0-9+.-]+:\/\//i.test(result)) {
+        throw new WallpaperPathError('EINVALID', `不支援的桌布 URI（只支援本地檔案）: ${value}`, value);
+    } else {
+        result = result
+            .replace(/^~(?=$|[\\/])/, homedir)
+            .replace(/^\$\{?HOME\}?(?=$|[\\/])/, homedir);
+    }
+    if (!path.isAbsolute(result) && !path.win32.isAbsolute(result)) {
+        throw new WallpaperPathError('EINVALID', `桌布路徑不是絕對路徑: ${value}`, value);
+    }
+    return result;
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * 讀取檔案開頭的 length 個字節
+ * @returns {Promise<Buffer>}
+ */
+async function readFileHeader(filePath, length) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * 正規化桌布來源給出的路徑：解碼 URI、展開 ~、解析符號鏈接，並以檔案內容識別圖片格式。
+ * 檔案系統操作可以通過 options 替換，便於在沒有對應檔案的環境中調試。
+ * @param {String} value 路徑或 file:// URI
+ * @param {Object} [options]
+ * @param {String} [options.homedir] 展開 ~ 時使用的家目錄
+ * @param {Function} [options.realpath] (path) => Promise<String>
+ * @param {Function} [options.stat] (path) => Promise<fs.Stats>
+ * @param {Function} [options.readHeader] (path, length) => Promise<Uint8Array>
+ * @param {Boolean} [options.allowXml=false] 是否接受 GNOME 幻燈片描述檔案
+ * @returns {Promise<{path: String, type: String}>} 解析後的真實路徑及其 MIME 類型
+ * @throws {WallpaperPathError}
+ */
+async function normalizeImagePath(value, options = {}) {
+    const realpath = options.realpath || (p => fs.promises.realpath(p));
+    const stat = options.stat || (p => fs.promises.stat(p));
+    const read = options.readHeader || readFileHeader;
+
+    const decoded = decodeWallpaperUri(value, options);
+    let resolved;
+    try {
+        resolved = await realpath(decoded);
+    } catch (error) {
+        const reason = error && error.code === 'ENOENT' ? '檔案不存在（或符號鏈接指向的目標不存在）' : `無法訪問 (${error && error.code || error})`;
+        throw new WallpaperPathError('ENOENT', `${reason}: ${decoded}`, decoded);
+    }
+    let stats;
+    try {
+        stats = await stat(resolved);
+    } catch (error) {
+        throw new WallpaperPathError('ENOENT', `無法訪問 (${error && error.code || error}): ${resolved}`, resolved);
+    }
+    if (!stats.isFile()) {
+        throw new WallpaperPathError('ENOTFILE', `不是一般檔案: ${resolved}`, resolved);
+    }
+    let type = null;
+    try {
+        type = sniffImageType(await read(resolved, SNIFF_LENGTH));
+    } catch (error) {
+        throw new WallpaperPathError('ENOENT', `無法讀取 (${error && error.code || error}): ${resolved}`, resolved);
+    }
+    if (!type || (type === 'application/xml' && !options.allowXml)) {
+        throw new WallpaperPathError('EUNSUPPORTED', `不是可識別的圖片格式: ${resolved}`, resolved);
+    }
+    return { path: resolved, type };
+}
+
+/**
+ * 把本地路徑轉為 file:// URL。除 pathToFileURL 編碼的字元外，引號、括號、反斜線和空白也會被編碼，
+ * 結果可以直接放進 HTML 屬性或 CSS。
+ * @param {String} filePath 本地絕對路徑
+ * @param {String | Number} [version] 附加為 ?t= 查詢參數，用於繞過緩存
+ * @returns {String}
+ */
+function toFileUrl(filePath, version) {
+    let href = url.pathToFileURL(filePath).href;
+    href = href.replace(/["'()\\\s]/g, ch => '%' + ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+    if (version !== undefined && version !== null) href += `?t=${encodeURIComponent(version)}`;
+    return href;
+}
+
+/**
+ * 生成 CSS 的 url() 值，路徑中的空格、引號和括號不會破壞 CSS 語法。
+ * @param {String} filePath 本地絕對路徑
+ * @param {String | Number} [version] 見 toFileUrl
+ * @returns {String} 例如 url("file:///home/me/My%20Pictures/a.webp?t=1")，沒有路徑時為 'none'
+ */
+function toCssUrl(filePath, version) {
+    if (!filePath) return 'none';
+    return `url("${toFileUrl(filePath, version)}")`;
+}
+
+module.exports = {
+    WallpaperPathError,
+    sniffImageType,
+    decodeWallpaperUri,
+    normalizeImagePath,
+    readFileHeader,
+    toFileUrl,
+    toCssUrl
+};
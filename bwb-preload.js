@@ -0,0 +1,182 @@
+// bwb-preload.js
+// Electron 的 preload 腳本：在開啟 contextIsolation、關閉 nodeIntegration 的窗口中，
+// 通過 contextBridge 向頁面暴露 BlurredWindowBackground 需要的最小接口 window.bwbBridge。
+// 需要 Node 的部分（讀取桌布、讀寫緩存、IPC）都留在這裡，頁面中不需要任何 Node API。
+//
+// 用法：new BrowserWindow({ webPreferences: { preload: path.join(__dirname, 'bwb-preload.js'), contextIsolation: true, nodeIntegration: false, sandbox: false } })
+// 也可以在自己的 preload 中 require('./bwb-preload.js')。sandbox 需要關閉，因為讀取桌布需要 fs 和 child_process。
+
+const fs = require('fs');
+const path = require('path');
+const { contextBridge, ipcRenderer } = require('electron');
+const getWallpaper = require('./wallpaper.js');
+const bwbPath = require('./bwb-path.js');
+const { ElectronRuntimeAdapter } = require('./bwb-runtime.js');
+const BlurredWindowBackground = require('./BlurredWindowBackground.js');
+const { tryAcquireLock, writeFileAtomic } = require('./bwb-cache-lock.js');
+
+const BRIDGE_VERSION = 1;
+
+/**
+ * 決定並創建緩存目錄：與 BlurredWindowBackground 在 Node 集成頁面中使用的目錄相同，不可寫時退回應用目錄
+ * @returns {String | null}
+ */
+function resolveCacheDir(runtime) {
+    let appName = 'DefaultApp';
+    try { appName = runtime.getAppName() || appName; } catch (e) { /* 使用默認名稱 */ }
+    const dirName = BlurredWindowBackground.getCacheDirName(appName);
+    const candidates = [];
+    try { candidates.push(runtime.getTempPath()); } catch (e) { /* 忽略 */ }
+    try { candidates.push(runtime.getAppPath()); } catch (e) { /* 忽略 */ }
+    for (const base of candidates) {
+        if (typeof base !== 'string' || !base.trim()) continue;
+        const dir = path.join(base, dirName);
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.accessSync(dir, fs.constants.W_OK);
+            return dir;
+        } catch (e) {
+            // 嘗試下一個位置
+        }
+    }
+    return null;
+}
+
+/**
+ * 創建暴露給頁面的接口。所有參數和返回值都是可以經過 contextBridge 的普通數據或函數。
+ *
+ * - runtime: 應用資訊、窗口狀態、螢幕列表、窗口/主題事件和模糊服務（generateBackground），on(event, listener) 返回取消監聽的函數
+ * - source: getSource() 返回 { info } 或 { error: { name, code, message, path } }，watch(onChange) 返回 { close(), isEventDriven() }
+ * - files: 緩存目錄的讀寫、列出和跨進程鎖（tryLock 返回釋放鎖的函數或 null），以及讀取 source 最近一次返回的桌布圖片；寫入只允許在緩存目錄中
+ *
+ * @param {Object} [deps] 替換依賴，便於在沒有 Electron 的環境中調試
+ * @param {Object} [deps.ipcRenderer]
+ * @param {Object} [deps.runtime] 運行時適配器，默認為基於 ipcRenderer 的 ElectronRuntimeAdapter
+ * @param {Object} [deps.sourceProvider] 默認為 wallpaper.js 的 systemSourceProvider
+ * @param {String} [deps.cacheDir] 默認見 resolveCacheDir
+ * @returns {Object}
+ */
+function createBwbBridge(deps = {}) {
+    const runtime = deps.runtime || new ElectronRuntimeAdapter({ ipcRenderer: deps.ipcRenderer || ipcRenderer });
+    const sourceProvider = deps.sourceProvider || getWallpaper.systemSourceProvider;
+    const cacheDir = deps.cacheDir || resolveCacheDir(runtime);
+    // 頁面可以讀取的桌布圖片：只有 getSource() 返回過的路徑
+    const readableSources = new Set();
+    const allowSource = (info) => {
+        if (info && info.path) readableSources.add(info.path);
+        if (info && info.source && info.source.type === 'blend') {
+            readableSources.add(info.source.from);
+            readableSources.add(info.source.to);
+        }
+    };
+    // 上次記錄的桌布也可以檢查是否存在，啟動時才能直接使用緩存的圖片
+    if (cacheDir) {
+        try {
+            const metadataPath = path.join(cacheDir, BlurredWindowBackground.CACHE_FILE_NAMES.metadata);
+            const { currentOriginalWallpaperPath: key } = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+            if (typeof key === 'string' && key.startsWith('blend:')) {
+                allowSource({ source: JSON.parse(key.slice('blend:'.length)) });
+            } else if (typeof key === 'string' && !/^(color|buffer):/.test(key)) {
+                allowSource({ path: key });
+            }
+        } catch (e) {
+            // 沒有緩存
+        }
+    }
+
+    const isInCacheDir = (filePath) => {
+        if (!cacheDir || typeof filePath !== 'string') return false;
+        const resolved = path.resolve(filePath);
+        return path.dirname(resolved) === path.resolve(cacheDir);
+    };
+    const assertCachePath = (filePath) => {
+        if (!isInCacheDir(filePath)) {
+            throw new Error(`bwbBridge 只能讀寫緩存目錄中的檔案: ${filePath}`);
+        }
+        return path.resolve(filePath);
+    };
+
+    return {
+        version: BRIDGE_VERSION,
+
+        runtime: {
+            getAppName: () => runtime.getAppName(),
+            getAppPath: () => runtime.getAppPath(),
+            getTempPath: () => runtime.getTempPath(),
+            getWindowState: () => runtime.getWindowState(),
+            getWindowBoundsSync: () => runtime.getWindowBoundsSync(),
+            getScreens: () => runtime.getScreens(),
+            getScreenForPoint: (point) => runtime.getScreenForPoint(point),
+            isSystemDarkMode: () => runtime.isSystemDarkMode(),
+            generateBackground: (request) => runtime.generateBackground(request),
+            on: (event, listener) => {
+                runtime.on(event, listener);
+                return () => runtime.off(event, listener);
+            }
+        },
+
+        source: {
+            getSource: async () => {
+                try {
+                    const info = await sourceProvider.getSource();
+                    allowSource(info);
+                    return { info: info || null };
+                } catch (error) {
+                    // Error 經過 contextBridge 後只保留 message，改以普通對象返回，頁面據此判斷是否為 WallpaperPathError
+                    return { error: { name: error && error.name, code: error && error.code, message: error && error.message ? error.message : String(error), path: error && error.path } };
+                }
+            },
+            watch: (onChange) => {
+                if (typeof sourceProvider.watch !== 'function') return null;
+                const watcher = sourceProvider.watch((change) => onChange({ reason: change && change.reason }));
+                return {
+                    close: () => watcher.close(),
+                    isEventDriven: () => !!watcher.eventDriven
+                };
+            }
+        },
+
+        files: {
+            cacheDir,
+            cachePath: (name) => cacheDir ? path.join(cacheDir, path.basename(String(name))) : null,
+            exists: (filePath) => typeof filePath === 'string' && (isInCacheDir(filePath) || readableSources.has(filePath)) && fs.existsSync(filePath),
+            stat: (filePath) => {
+                if (typeof filePath !== 'string' || !(isInCacheDir(filePath) || readableSources.has(filePath))) return null;
+                try {
+                    const stats = fs.statSync(filePath);
+                    return { mtimeMs: stats.mtimeMs, size: stats.size };
+                } catch (e) {
+                    return null;
+                }
+            },
+            readText: async (filePath) => fs.promises.readFile(assertCachePath(filePath), 'utf8'),
+            writeText: async (filePath, text) => writeFileAtomic(assertCachePath(filePath), String(text)),
+            writeBytes: async (filePath, bytes) => writeFileAtomic(assertCachePath(filePath), Buffer.from(bytes)),
+            remove: async (filePath) => fs.promises.unlink(assertCachePath(filePath)),
+            readBytes: async (filePath) => {
+                if (!readableSources.has(filePath) && !isInCacheDir(filePath)) {
+                    throw new Error(`bwbBridge 只能讀取當前桌布或緩存中的圖片: ${filePath}`);
+                }
+                const buffer = await fs.promises.readFile(filePath);
+                return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+            },
+            list: async () => cacheDir ? fs.promises.readdir(cacheDir) : [],
+            tryLock: async (filePath) => {
+                const release = await tryAcquireLock(assertCachePath(filePath));
+                return release ? () => release() : null;
+            },
+            toFileUrl: (filePath, version) => bwbPath.toFileUrl(filePath, version)
+        }
+    };
+}
+
+if (typeof window !== 'undefined' && ipcRenderer) {
+    const bridge = createBwbBridge();
+    if (process.contextIsolated && contextBridge) {
+        contextBridge.exposeInMainWorld('bwbBridge', bridge);
+    } else {
+        window.bwbBridge = bridge;
+    }
+}
+
+module.exports = { createBwbBridge, BRIDGE_VERSION };
@@ -0,0 +1,507 @@
+// bwb-runtime.js
+// 運行時適配器：把窗口位置、螢幕、系統主題、應用路徑和窗口事件的讀取從 BlurredWindowBackground 中分離出來，
+// 內建 NW.js、Electron（渲染進程，配合 bwb-electron-ipc-setup.js）、bwb-preload.js 橋接和用於調試/測試的內存適配器。
+
+// 關閉 Node 集成的頁面中以 <script> 載入時沒有 require，只有橋接適配器可用
+const os = typeof require === 'function' ? require('os') : null;
+const path = typeof require === 'function' ? require('path') : null;
+
+/**
+ * 適配器需要實現的方法。自訂適配器可以繼承 BaseRuntimeAdapter，只覆蓋需要的方法。
+ *
+ * - getAppName() / getAppPath() / getTempPath(): 同步返回字串，用於決定緩存目錄，可以拋出錯誤
+ * - getWindowState(): Promise<{bounds, isMaximized, isFullScreen}>，bounds 為窗口在桌面座標中的 {x, y, width, height}
+ * - getWindowBoundsSync(): 同步返回 bounds，無法同步取得時返回 null
+ * - getScreens(): 所有螢幕，每個至少包含 bounds（可以有 scaleFactor、isBuiltIn）
+ * - getScreenForPoint({x, y}): 包含（或最接近）該點的螢幕，沒有螢幕時返回 null
+ * - isSystemDarkMode(): Promise<Boolean>
+ * - on(event, listener) / off(event, listener): 事件見 RUNTIME_EVENTS
+ * - destroy(): 移除所有通過 on() 註冊的監聽器
+ *
+ * 可選實現 generateBackground(request)：由宿主生成模糊背景，返回 Promise<{kind, url, width, height, palette}>，
+ * 見 BlurredWindowBackground 的 blurService 選項。Electron 的適配器通過 bwb-electron-ipc-setup.js 的模糊服務實現。
+ */
+const RUNTIME_ADAPTER_METHODS = [
+    'getAppName', 'getAppPath', 'getTempPath', 'getWindowState', 'getWindowBoundsSync',
+    'getScreens', 'getScreenForPoint', 'isSystemDarkMode', 'on', 'off', 'destroy'
+];
+
+/**
+ * 適配器發出的事件：
+ * - 'state-changed': 最大化、全屏狀態變化
+ * - 'bounds-changed' (bounds?): 窗口移動或縮放，能直接取得新位置時作為參數
+ * - 'display-changed': 螢幕增減或解析度變化
+ * - 'theme-changed' (isDark): 系統淺色/深色主題變化
+ * - 'minimized' / 'restored': 窗口最小化（或隱藏）/恢復
+ * - 'background-ready' (result): 宿主的模糊服務生成了一張背景，參數與 generateBackground 的結果相同
+ */
+const RUNTIME_EVENTS = ['state-changed', 'bounds-changed', 'display-changed', 'theme-changed', 'minimized', 'restored', 'background-ready'];
+
+/**
+ * 在螢幕列表中找出包含該點的螢幕；沒有時依次退回內建螢幕、第一個有效螢幕。
+ * @param {Array<Object>} screens
+ * @param {{x: Number, y: Number}} point
+ * @returns {Object | null}
+ */
+function findScreenForPoint(screens, point) {
+    if (!Array.isArray(screens) || screens.length === 0) return null;
+    const valid = screens.filter(s => s && s.bounds && s.bounds.width > 0 && s.bounds.height > 0);
+    const containing = valid.find(s =>
+        point.x >= s.bounds.x && point.x < (s.bounds.x + s.bounds.width) &&
+        point.y >= s.bounds.y && point.y < (s.bounds.y + s.bounds.height));
+    return containing || valid.find(s => s.isBuiltIn) || valid[0] || screens[0];
+}
+
+/**
+ * @param {*} value
+ * @returns {Boolean} 是否實現了 RUNTIME_ADAPTER_METHODS 中的所有方法
+ */
+function isRuntimeAdapter(value) {
+    return !!value && typeof value === 'object' && RUNTIME_ADAPTER_METHODS.every(name => typeof value[name] === 'function');
+}
+
+/**
+ * 適配器的基礎實現：提供默認值，並統一管理監聽器。
+ * 子類實現 _subscribe(event, listener)，註冊原生監聽器並返回移除它們的函數，不支援的事件返回 null。
+ */
+class BaseRuntimeAdapter {
+    constructor(name) {
+        this.name = name;
+        this._subscriptions = []; // { event, listener, remove }
+    }
+
+    getAppName() {
+        return 'DefaultApp';
+    }
+
+    getAppPath() {
+        return '.';
+    }
+
+    getTempPath() {
+        return os ? os.tmpdir() : null;
+    }
+
+    async getWindowState() {
+        return { bounds: this.getWindowBoundsSync(), isMaximized: false, isFullScreen: false };
+    }
+
+    getWindowBoundsSync() {
+        return null;
+    }
+
+    getScreens() {
+        return [];
+    }
+
+    getScreenForPoint(point) {
+        return findScreenForPoint(this.getScreens(), point);
+    }
+
+    async isSystemDarkMode() {
+        return false;
+    }
+
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`運行時事件 "${event}" 的監聽器必須是函數`);
+        }
+        const remove = this._subscribe(event, listener);
+        if (remove) this._subscriptions.push({ event, listener, remove });
+        return this;
+    }
+
+    off(event, listener) {
+        const index = this._subscriptions.findIndex(s => s.event === event && s.listener === listener);
+        if (index !== -1) this._subscriptions.splice(index, 1)[0].remove();
+        return this;
+    }
+
+    destroy() {
+        for (const subscription of this._subscriptions.splice(0)) subscription.remove();
+    }
+
+    _subscribe(event, listener) {
+        return null;
+    }
+}
+
+/**
+ * NW.js：直接讀取 nw.Window 和 nw.Screen
+ */
+class NwjsRuntimeAdapter extends BaseRuntimeAdapter {
+    /**
+     * @param {Object} nwGlobal 全局的 nw 對象
+     */
+    constructor(nwGlobal) {
+        super('nwjs');
+        this.nw = nwGlobal;
+        this.win = nwGlobal.Window.get();
+        this.screen = nwGlobal.Screen;
+    }
+
+    getAppName() {
+        const manifest = this.nw.App && this.nw.App.manifest;
+        return (manifest && manifest.name) ? manifest.name : 'NWJSApp';
+    }
+
+    getAppPath() {
+        return path.dirname(process.execPath);
+    }
+
+    async getWindowState() {
+        return {
+            bounds: this.getWindowBoundsSync(),
+            isMaximized: this.win.state === 'maximized',
+            isFullScreen: this.win.isFullscreen
+        };
+    }
+
+    getWindowBoundsSync() {
+        return { x: this.win.x, y: this.win.y, width: this.win.width, height: this.win.height };
+    }
+
+    getScreens() {
+        return (this.screen && this.screen.screens) || [];
+    }
+
+    async isSystemDarkMode() {
+        return typeof window !== 'undefined' && window.matchMedia
+            ? window.matchMedia('(prefers-color-scheme: dark)').matches
+            : false;
+    }
+
+    _subscribe(event, listener) {
+        const listen = (target, names, handler) => {
+            if (!target) return null;
+            names.forEach(name => target.on(name, handler));
+            return () => names.forEach(name => target.removeListener(name, handler));
+        };
+        switch (event) {
+            case 'state-changed':
+                return listen(this.win, ['maximize', 'unmaximize', 'restore', 'enter-fullscreen', 'leave-fullscreen'], () => listener());
+            case 'bounds-changed':
+                return listen(this.win, ['move', 'resize'], () => listener(this.getWindowBoundsSync()));
+            case 'display-changed':
+                return listen(this.screen, ['displayBoundsChanged', 'displayAdded', 'displayRemoved'], () => listener());
+            case 'minimized':
+                return listen(this.win, ['minimize'], () => listener());
+            case 'restored':
+                return listen(this.win, ['restore'], () => listener());
+            case 'theme-changed': {
+                if (typeof window === 'undefined' || !window.matchMedia) return null;
+                const matcher = window.matchMedia('(prefers-color-scheme: dark)');
+                const handler = (e) => listener(e.matches);
+                matcher.addEventListener('change', handler);
+                return () => matcher.removeEventListener('change', handler);
+            }
+            default:
+                return null;
+        }
+    }
+}
+
+// 適配器事件 -> bwb-electron-ipc-setup.js 發送的 IPC 通道
+const ELECTRON_EVENT_CHANNELS = {
+    'state-changed': ['bwb:window-maximized', 'bwb:window-unmaximized', 'bwb:window-fullscreen-changed'],
+    'bounds-changed': ['bwb:window-bounds-updated'],
+    'display-changed': ['bwb:display-metrics-changed'],
+    'theme-changed': ['bwb:system-theme-changed'],
+    'minimized': ['bwb:window-minimized'],
+    'restored': ['bwb:window-restored'],
+    'background-ready': ['bwb:background-ready']
+};
+
+/**
+ * Electron 渲染進程：通過 bwb-electron-ipc-setup.js 註冊的 IPC 通道向主進程查詢
+ */
+class ElectronRuntimeAdapter extends BaseRuntimeAdapter {
+    /**
+     * @param {{ipcRenderer: Object, screen?: Object}} electron require('electron') 的結果，或提供相同接口的對象
+     */
+    constructor(electron) {
+        super('electron');
+        this.ipcRenderer = electron.ipcRenderer;
+        this.screen = electron.screen || null;
+    }
+
+    getAppName() {
+        return this.ipcRenderer.sendSync('bwb:get-app-name');
+    }
+
+    getAppPath() {
+        return this.ipcRenderer.sendSync('bwb:get-app-path');
+    }
+
+    getTempPath() {
+        return this.ipcRenderer.sendSync('bwb:get-path', 'temp');
+    }
+
+    async getWindowState() {
+        const [isMaximized, isFullScreen, bounds] = await Promise.all([
+            this.ipcRenderer.invoke('bwb:get-window-is-maximized'),
+            this.ipcRenderer.invoke('bwb:get-window-is-fullscreen'),
+            this.ipcRenderer.invoke('bwb:get-window-bounds')
+        ]);
+        return { bounds, isMaximized, isFullScreen };
+    }
+
+    getWindowBoundsSync() {
+        try {
+            return this.ipcRenderer.sendSync('bwb:get-window-bounds-sync');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    getScreens() {
+        if (this.screen && this.screen.getAllDisplays) return this.screen.getAllDisplays();
+        // 較新的 Electron 在渲染進程中沒有 screen 模塊，向主進程查詢
+        try {
+            return this.ipcRenderer.sendSync('bwb:get-screens') || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    getScreenForPoint(point) {
+        if (!this.screen) return findScreenForPoint(this.getScreens(), point);
+        let display = this.screen.getDisplayNearestPoint({ x: Math.round(point.x), y: Math.round(point.y) });
+        if (!display || !display.bounds || display.bounds.width <= 0 || display.bounds.height <= 0) {
+            display = this.screen.getPrimaryDisplay();
+        }
+        return display || null;
+    }
+
+    async isSystemDarkMode() {
+        return this.ipcRenderer.invoke('bwb:get-system-theme-is-dark');
+    }
+
+    generateBackground(request) {
+        return this.ipcRenderer.invoke('bwb:generate-background', request);
+    }
+
+    _subscribe(event, listener) {
+        const channels = ELECTRON_EVENT_CHANNELS[event];
+        if (!channels) return null;
+        // IPC 監聽器的第一個參數是 IpcRendererEvent，只轉發其後的參數
+        const handler = (ipcEvent, ...args) => event === 'state-changed' ? listener() : listener(...args);
+        channels.forEach(channel => this.ipcRenderer.on(channel, handler));
+        return () => channels.forEach(channel => this.ipcRenderer.removeListener(channel, handler));
+    }
+}
+
+/**
+ * 開啟 contextIsolation、關閉 nodeIntegration 的 Electron 頁面：通過 bwb-preload.js 暴露的 window.bwbBridge.runtime 查詢，
+ * 橋接的另一端是 preload 中的 ElectronRuntimeAdapter。
+ */
+class BridgeRuntimeAdapter extends BaseRuntimeAdapter {
+    /**
+     * @param {Object} runtimeBridge window.bwbBridge.runtime
+     */
+    constructor(runtimeBridge) {
+        super('electron');
+        this.bridge = runtimeBridge;
+    }
+
+    getAppName() {
+        return this.bridge.getAppName();
+    }
+
+    getAppPath() {
+        return this.bridge.getAppPath();
+    }
+
+    getTempPath() {
+        return this.bridge.getTempPath();
+    }
+
+    getWindowState() {
+        return this.bridge.getWindowState();
+    }
+
+    getWindowBoundsSync() {
+        return this.bridge.getWindowBoundsSync();
+    }
+
+    getScreens() {
+        return this.bridge.getScreens() || [];
+    }
+
+    getScreenForPoint(point) {
+        return this.bridge.getScreenForPoint({ x: point.x, y: point.y });
+    }
+
+    isSystemDarkMode() {
+        return this.bridge.isSystemDarkMode();
+    }
+
+    generateBackground(request) {
+        return this.bridge.generateBackground(request);
+    }
+
+    _subscribe(event, listener) {
+        // 函數經過 contextBridge 後不再是同一個對象，因此由橋接的 on() 返回取消函數，而不是提供 off()
+        return RUNTIME_EVENTS.includes(event) ? this.bridge.on(event, listener) : null;
+    }
+}
+
+/**
+ * 內存中的適配器，不依賴任何運行時。窗口、螢幕和主題都由調用者設定，
+ * 可以在 Node 中以腳本模擬窗口移動、切換螢幕等操作，也可以作為其他外殼適配器的起點。
+ */
+class FakeRuntimeAdapter extends BaseRuntimeAdapter {
+    /**
+     * @param {Object} [initial]
+     * @param {String} [initial.appName='FakeApp']
+     * @param {String} [initial.appPath=process.cwd()]
+     * @param {String} [initial.tempPath=os.tmpdir()]
+     * @param {{x: Number, y: Number, width: Number, height: Number}} [initial.bounds] 默認為 (100, 100) 處的 800x600
+     * @param {Array<Object>} [initial.screens] 默認為一個 1920x1080 的內建螢幕
+     * @param {Boolean} [initial.isMaximized=false]
+     * @param {Boolean} [initial.isFullScreen=false]
+     * @param {Boolean} [initial.isDarkMode=false]
+     */
+    constructor(initial = {}) {
+        super(initial.name || 'fake');
+        this.appName = initial.appName || 'FakeApp';
+        this.appPath = initial.appPath || (typeof process !== 'undefined' ? process.cwd() : '.');
+        this.tempPath = initial.tempPath || (os ? os.tmpdir() : null);
+        this.bounds = { x: 100, y: 100, width: 800, height: 600, ...initial.bounds };
+        this.screens = initial.screens || [{ id: 1, bounds: { x: 0, y: 0, width: 1920, height: 1080 }, scaleFactor: 1, isBuiltIn: true }];
+        this.isMaximized = !!initial.isMaximized;
+        this.isFullScreen = !!initial.isFullScreen;
+        this.isDarkMode = !!initial.isDarkMode;
+        this._listeners = new Map(); // 事件 -> Set<listener>
+    }
+
+    getAppName() {
+        return this.appName;
+    }
+
+    getAppPath() {
+        return this.appPath;
+    }
+
+    getTempPath() {
+        return this.tempPath;
+    }
+
+    async getWindowState() {
+        return { bounds: this.getWindowBoundsSync(), isMaximized: this.isMaximized, isFullScreen: this.isFullScreen };
+    }
+
+    getWindowBoundsSync() {
+        return { ...this.bounds };
+    }
+
+    getScreens() {
+        return this.screens;
+    }
+
+    async isSystemDarkMode() {
+        return this.isDarkMode;
+    }
+
+    /**
+     * 移動或縮放窗口，省略的欄位保持不變
+     * @param {{x?: Number, y?: Number, width?: Number, height?: Number}} bounds
+     */
+    setBounds(bounds) {
+        this.bounds = { ...this.bounds, ...bounds };
+        this._emit('bounds-changed', this.getWindowBoundsSync());
+    }
+
+    moveTo(x, y) {
+        this.setBounds({ x, y });
+    }
+
+    setMaximized(isMaximized) {
+        this.isMaximized = !!isMaximized;
+        this._emit('state-changed');
+    }
+
+    setFullScreen(isFullScreen) {
+        this.isFullScreen = !!isFullScreen;
+        this._emit('state-changed');
+    }
+
+    /**
+     * @param {Array<Object>} screens 新的螢幕列表，每個至少包含 bounds
+     */
+    setScreens(screens) {
+        this.screens = screens;
+        this._emit('display-changed');
+    }
+
+    setDarkMode(isDarkMode) {
+        this.isDarkMode = !!isDarkMode;
+        this._emit('theme-changed', this.isDarkMode);
+    }
+
+    minimize() {
+        this._emit('minimized');
+    }
+
+    restore() {
+        this._emit('restored');
+    }
+
+    _subscribe(event, listener) {
+        if (!RUNTIME_EVENTS.includes(event)) return null;
+        if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+        this._listeners.get(event).add(listener);
+        return () => this._listeners.get(event).delete(listener);
+    }
+
+    _emit(event, ...args) {
+        const listeners = this._listeners.get(event);
+        if (listeners) [...listeners].forEach(listener => listener(...args));
+    }
+}
+
+/**
+ * 根據全局對象檢測當前運行時並創建對應的適配器
+ * @returns {{adapter: BaseRuntimeAdapter | null, runtimeEnv: String, error?: Error}}
+ *   runtimeEnv 為 'nwjs'、'electron'，無法使用時為 'unknown'、'unknown_error_electron_ipc' 或 'unknown_error_electron_load'
+ */
+function detectRuntimeAdapter() {
+    if (typeof nw !== 'undefined' && nw.Window && nw.Screen) {
+        return { adapter: new NwjsRuntimeAdapter(nw), runtimeEnv: 'nwjs' };
+    }
+    if (typeof window !== 'undefined' && window.bwbBridge && typeof require !== 'function') {
+        return { adapter: new BridgeRuntimeAdapter(window.bwbBridge.runtime), runtimeEnv: 'electron' };
+    }
+    if (typeof process !== 'undefined' && process.versions && process.versions.electron) {
+        let electron;
+        try {
+            electron = require('electron');
+        } catch (error) {
+            return { adapter: null, runtimeEnv: 'unknown_error_electron_load', error };
+        }
+        if (!electron.ipcRenderer) {
+            return { adapter: null, runtimeEnv: 'unknown_error_electron_ipc' };
+        }
+        return { adapter: new ElectronRuntimeAdapter(electron), runtimeEnv: 'electron' };
+    }
+    return { adapter: null, runtimeEnv: 'unknown' };
+}
+
+const bwbRuntime = {
+    RUNTIME_ADAPTER_METHODS,
+    RUNTIME_EVENTS,
+    BaseRuntimeAdapter,
+    NwjsRuntimeAdapter,
+    ElectronRuntimeAdapter,
+    BridgeRuntimeAdapter,
+    FakeRuntimeAdapter,
+    detectRuntimeAdapter,
+    isRuntimeAdapter,
+    findScreenForPoint
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = bwbRuntime;
+} else if (typeof window !== 'undefined') {
+    window.bwbRuntime = bwbRuntime;
+}
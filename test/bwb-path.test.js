@@ -0,0 +1,73 @@
+// Tests for the wallpaper path helpers in bwb-path.js.
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { WallpaperPathError, sniffImageType, decodeWallpaperUri, toFileUrl, toCssUrl } = require('../bwb-path');
+
+const HOME = '/home/tester';
+const decode = value => decodeWallpaperUri(value, { homedir: HOME });
+
+function bytes(...parts) {
+    return Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))));
+}
+
+test('decodeWallpaperUri percent-decodes file:// URIs', () => {
+    assert.strictEqual(decode('file:///home/tester/My%20Pictures/sea.jpg'), '/home/tester/My Pictures/sea.jpg');
+    // UTF-8 sequences: 桌布/夕陽.png
+    assert.strictEqual(decode('file:///home/tester/%E6%A1%8C%E5%B8%83/%E5%A4%95%E9%99%BD.png'), '/home/tester/桌布/夕陽.png');
+    // gsettings prints the value quoted
+    assert.strictEqual(decode("'file:///usr/share/backgrounds/a%20b.png'"), '/usr/share/backgrounds/a b.png');
+    // A host part is dropped rather than rejected
+    assert.strictEqual(decode('file://localhost/tmp/a%20b.png'), '/tmp/a b.png');
+    // Plain paths are not decoded
+    assert.strictEqual(decode('/tmp/100%20.png'), '/tmp/100%20.png');
+});
+
+test('decodeWallpaperUri expands ~ and $HOME', () => {
+    assert.strictEqual(decode('~/Pictures/sea.jpg'), '/home/tester/Pictures/sea.jpg');
+    assert.strictEqual(decode('~'), HOME);
+    assert.strictEqual(decode('$HOME/sea.jpg'), '/home/tester/sea.jpg');
+    assert.strictEqual(decode('${HOME}/sea.jpg'), '/home/tester/sea.jpg');
+    assert.strictEqual(decode('"~/桌布.png"'), '/home/tester/桌布.png');
+    // ~user is not expanded and stays relative
+    assert.throws(() => decode('~other/sea.jpg'), { name: 'WallpaperPathError', code: 'EINVALID' });
+});
+
+test('decodeWallpaperUri rejects remote, relative and empty values', () => {
+    for (const value of ['https://example.com/sea.jpg', 'Pictures/sea.jpg', '', '   ', null]) {
+        assert.throws(() => decode(value), error => error instanceof WallpaperPathError && error.code === 'EINVALID', String(value));
+    }
+});
+
+test('sniffImageType recognizes images by their first bytes', () => {
+    assert.strictEqual(sniffImageType(bytes([0xFF, 0xD8, 0xFF, 0xE0])), 'image/jpeg');
+    assert.strictEqual(sniffImageType(bytes([0x89], 'PNG\r\n\x1a\n')), 'image/png');
+    assert.strictEqual(sniffImageType(bytes('GIF89a')), 'image/gif');
+    assert.strictEqual(sniffImageType(bytes('RIFF', [0, 0, 0, 0], 'WEBPVP8 ')), 'image/webp');
+    assert.strictEqual(sniffImageType(bytes([0, 0, 0, 0x1c], 'ftypavif')), 'image/avif');
+    assert.strictEqual(sniffImageType(bytes([0, 0, 0, 0x18], 'ftypheic')), 'image/heic');
+    assert.strictEqual(sniffImageType(bytes([0xEF, 0xBB, 0xBF], '  <svg xmlns="http://www.w3.org/2000/svg">')), 'image/svg+xml');
+    assert.strictEqual(sniffImageType(bytes('<?xml version="1.0"?>\n<background>')), 'application/xml');
+    assert.strictEqual(sniffImageType(bytes('<background>\n<starttime>')), 'application/xml');
+    assert.strictEqual(sniffImageType(bytes('<html><body>')), null);
+    assert.strictEqual(sniffImageType(bytes('plain text')), null);
+    assert.strictEqual(sniffImageType(bytes([0xFF])), null);
+    assert.strictEqual(sniffImageType(null), null);
+});
+
+test('toCssUrl escapes quotes, parentheses and spaces', () => {
+    assert.strictEqual(toCssUrl(`/home/tester/it's (1) "x".png`, 3),
+        'url("file:///home/tester/it%27s%20%281%29%20%22x%22.png?t=3")');
+    assert.strictEqual(toCssUrl('/tmp/a\\b\tc.png'), 'url("file:///tmp/a%5Cb%09c.png")');
+    assert.strictEqual(toCssUrl('/home/tester/桌布.png'), 'url("file:///home/tester/%E6%A1%8C%E5%B8%83.png")');
+    assert.strictEqual(toCssUrl(null), 'none');
+    assert.strictEqual(toCssUrl(''), 'none');
+});
+
+test('toFileUrl round-trips through decodeWallpaperUri', () => {
+    for (const filePath of [`/home/tester/it's (1) "x".png`, '/home/tester/My Pictures/桌布 #2.jpg', '/tmp/100%.png']) {
+        assert.strictEqual(decode(toFileUrl(filePath)), filePath);
+    }
+    assert.strictEqual(toFileUrl('/tmp/a.png', 'v 1&2'), 'file:///tmp/a.png?t=v%201%262');
+});
@@ -0,0 +1,124 @@
+// Scripted window moves with FakeRuntimeAdapter (bwb-runtime.js) driving BlurredWindowBackground.
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Just enough DOM for BlurredWindowBackground to build its elements and position the background
+function createElement() {
+    return {
+        id: '',
+        style: {},
+        children: [],
+        appendChild(child) { this.children.push(child); },
+        remove() { }
+    };
+}
+global.document = {
+    body: createElement(),
+    head: createElement(),
+    documentElement: createElement(),
+    createElement,
+    getElementById: () => null,
+    addEventListener() { },
+    removeEventListener() { }
+};
+global.window = {
+    screen: { width: 1920, height: 1080 },
+    devicePixelRatio: 1,
+    addEventListener() { },
+    removeEventListener() { }
+};
+global.requestAnimationFrame = callback => setImmediate(callback);
+global.cancelAnimationFrame = id => clearImmediate(id);
+
+const BlurredWindowBackground = require('../BlurredWindowBackground');
+const { FakeRuntimeAdapter } = require('../bwb-runtime');
+
+// The lifecycle is driven by the tests: no wallpaper is read and nothing is generated
+class ScriptedBackground extends BlurredWindowBackground {
+    _initialize() { }
+}
+
+const LEFT = { id: 1, bounds: { x: 0, y: 0, width: 1920, height: 1080 }, scaleFactor: 1, isBuiltIn: true };
+const RIGHT = { id: 2, bounds: { x: 1920, y: 0, width: 2560, height: 1440 }, scaleFactor: 1 };
+
+// Lets the async runtime handlers and the queued animation frame run
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+async function withBackground(run) {
+    const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'bwb-fake-runtime-'));
+    const runtime = new FakeRuntimeAdapter({ tempPath, screens: [LEFT, RIGHT], bounds: { x: 100, y: 100, width: 800, height: 600 } });
+    const background = new ScriptedBackground({ runtimeAdapter: runtime, autoPause: false, watchWallpaper: false });
+    const regenerations = [];
+    background.updateAndApplyBlurredWallpaper = async (isInitialLoad, forceRegenerate) => {
+        regenerations.push({ isInitialLoad, forceRegenerate });
+    };
+    try {
+        background._createDOM();
+        await background._updateWindowState();
+        background._updateLastKnownScreenDimensions();
+        background._setupEventListeners();
+        await run({ runtime, background, regenerations });
+    } finally {
+        clearTimeout(background._moveUpdateTimeoutId);
+        runtime.destroy();
+        fs.rmSync(tempPath, { recursive: true, force: true });
+    }
+}
+
+test('_getCurrentScreenForWindow picks the screen under the window center', async () => {
+    await withBackground(async ({ runtime, background }) => {
+        assert.strictEqual(background.runtime, runtime);
+        assert.deepStrictEqual(background._getCurrentScreenForWindow({ x: 100, y: 100, width: 800, height: 600 }).bounds, LEFT.bounds);
+        assert.deepStrictEqual(background._getCurrentScreenForWindow({ x: 2400, y: 200, width: 800, height: 600 }).bounds, RIGHT.bounds);
+        // Straddling the edge: the center (1920 + 10) is on the right screen
+        assert.deepStrictEqual(background._getCurrentScreenForWindow({ x: 1530, y: 0, width: 800, height: 600 }).bounds, RIGHT.bounds);
+        // Off every screen: the built-in one
+        assert.deepStrictEqual(background._getCurrentScreenForWindow({ x: -5000, y: -5000, width: 800, height: 600 }).bounds, LEFT.bounds);
+        // Without bounds the runtime's current window is used
+        runtime.moveTo(3000, 500);
+        assert.deepStrictEqual(background._getCurrentScreenForWindow(null).bounds, RIGHT.bounds);
+    });
+});
+
+test('moving the window across screens follows it with the background offset', async () => {
+    await withBackground(async ({ runtime, background }) => {
+        assert.deepStrictEqual(background._currentScreenBounds, LEFT.bounds);
+
+        runtime.moveTo(2500, 300);
+        await settle();
+        assert.deepStrictEqual(background._currentScreenBounds, RIGHT.bounds);
+        // The background is shifted by the window's position on its own screen plus the 5px margin
+        assert.strictEqual(background.backgroundContainer.style.transform, 'translate(-585px, -305px)');
+
+        runtime.moveTo(200, 50);
+        await settle();
+        assert.deepStrictEqual(background._currentScreenBounds, LEFT.bounds);
+        assert.strictEqual(background.backgroundContainer.style.transform, 'translate(-205px, -55px)');
+    });
+});
+
+test('display-changed regenerates only when the current screen resolution changed', async () => {
+    await withBackground(async ({ runtime, background, regenerations }) => {
+        runtime.moveTo(2500, 300);
+        await settle();
+        background._updateLastKnownScreenDimensions();
+
+        // A screen is added elsewhere: same resolution under the window, the cached image still fits
+        runtime.setScreens([LEFT, RIGHT, { id: 3, bounds: { x: -1280, y: 0, width: 1280, height: 1024 }, scaleFactor: 1 }]);
+        await settle();
+        assert.deepStrictEqual(regenerations, [{ isInitialLoad: false, forceRegenerate: false }]);
+
+        // The window's screen changes resolution
+        const resized = { ...RIGHT, bounds: { x: 1920, y: 0, width: 3840, height: 2160 } };
+        runtime.setScreens([LEFT, resized]);
+        await settle();
+        assert.deepStrictEqual(regenerations[1], { isInitialLoad: false, forceRegenerate: true });
+        assert.deepStrictEqual(background._currentScreenBounds, resized.bounds);
+        assert.strictEqual(background.backgroundContainer.style.width, '3840px');
+        assert.deepStrictEqual(background._lastKnownScreenDimensions, { width: 3840, height: 2160 });
+    });
+});
@@ -0,0 +1,171 @@
+// Tests for the DOM-free pixel pipeline of ImageBlurProcessor.js.
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ImageBlurProcessor = require('../ImageBlurProcessor');
+
+// Builds RGBA pixel data from a function returning [r, g, b, a] for each (x, y)
+function makeImage(width, height, colorAt) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(colorAt(x, y), (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+function pixelAt(pixels, width, x, y) {
+    const offset = (y * width + x) * 4;
+    return Array.from(pixels.subarray(offset, offset + 4), Math.round);
+}
+
+function maxDifference(a, b) {
+    assert.strictEqual(a.length, b.length);
+    let max = 0;
+    for (let i = 0; i < a.length; i++) {
+        max = Math.max(max, Math.abs(a[i] - b[i]));
+    }
+    return max;
+}
+
+const RED = [255, 0, 0, 255];
+const GREEN = [0, 255, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const WHITE = [255, 255, 255, 255];
+// 2x2 pattern: red green / blue white
+const QUAD = makeImage(2, 2, (x, y) => [[RED, GREEN], [BLUE, WHITE]][y][x]);
+
+test('a constant image stays constant after blurring', () => {
+    const image = makeImage(40, 30, () => [30, 120, 200, 255]);
+    for (const edgeMode of ['clamp', 'mirror', 'wrap']) {
+        const processor = new ImageBlurProcessor(null, [40, 30], 1, false, { edgeMode });
+        const result = processor.processPixels(image, 12);
+        assert.strictEqual(result.width, 40);
+        assert.strictEqual(result.height, 30);
+        assert.strictEqual(maxDifference(result.data, image.data), 0, edgeMode);
+    }
+});
+
+test('a radius of 0 leaves the pixels unchanged', () => {
+    const processor = new ImageBlurProcessor(null, [4, 4]);
+    const pixels = Float32Array.from({ length: 4 * 4 * 4 }, (_, i) => (i * 37) % 256);
+    assert.strictEqual(processor.blurPixels(pixels, 4, 4, 0), pixels);
+    assert.deepStrictEqual(processor.blurPixels(Array.from(pixels), 4, 4, -3), pixels);
+
+    const image = makeImage(4, 4, (x, y) => [x * 60, y * 60, (x + y) * 30, 255]);
+    assert.deepStrictEqual(processor.processPixels(image, 0).data, image.data);
+});
+
+test('blurring spreads a single bright pixel symmetrically and keeps its energy', () => {
+    const processor = new ImageBlurProcessor(null, [21, 21]);
+    const pixels = new Float32Array(21 * 21 * 4);
+    for (let i = 3; i < pixels.length; i += 4) pixels[i] = 255;
+    pixels.set([255, 255, 255, 255], (10 * 21 + 10) * 4);
+    const blurred = processor.blurPixels(pixels, 21, 21, 4);
+    assert.ok(blurred[(10 * 21 + 10) * 4] < 255);
+    assert.ok(Math.abs(blurred[(10 * 21 + 7) * 4] - blurred[(10 * 21 + 13) * 4]) < 1e-3);
+    assert.ok(Math.abs(blurred[(7 * 21 + 10) * 4] - blurred[(10 * 21 + 7) * 4]) < 1e-3);
+    let sum = 0;
+    for (let i = 0; i < blurred.length; i += 4) sum += blurred[i];
+    assert.ok(Math.abs(sum - 255) < 0.5);
+});
+
+test('computeFitPlacements follows the desktop fit modes', () => {
+    const placements = fitMode => new ImageBlurProcessor(null, [100, 50], 1, false, { fitMode }).computeFitPlacements(50, 50, 100, 50, 1);
+    assert.deepStrictEqual(placements('zoom'), [{ scaleX: 2, scaleY: 2, offsetX: 0, offsetY: -25 }]);
+    assert.deepStrictEqual(placements('scaled'), [{ scaleX: 1, scaleY: 1, offsetX: 25, offsetY: 0 }]);
+    assert.deepStrictEqual(placements('stretched'), [{ scaleX: 2, scaleY: 1, offsetX: 0, offsetY: 0 }]);
+    assert.deepStrictEqual(placements('centered'), [{ scaleX: 1, scaleY: 1, offsetX: 25, offsetY: 0 }]);
+    assert.deepStrictEqual(placements('tiled'), [{ scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0, repeat: true }]);
+    assert.deepStrictEqual(placements('none'), []);
+    assert.throws(() => placements('sideways'));
+});
+
+test('centered and tiled images keep their natural size when decoded smaller', () => {
+    // A 200x200 image decoded at 50x50 still covers 100x100 on screen at zipRate 0.5
+    const processor = new ImageBlurProcessor(null, [400, 400], 0.5, false, { fitMode: 'centered' });
+    assert.deepStrictEqual(processor.computeFitPlacements(50, 50, 200, 200, 0.5, [200, 200]),
+        [{ scaleX: 2, scaleY: 2, offsetX: 50, offsetY: 50 }]);
+});
+
+test('composePixels places a known pattern for each fit mode', () => {
+    const compose = (fitMode, targetW, targetH) => new ImageBlurProcessor(null, [targetW, targetH], 1, false, { fitMode, backgroundColor: [10, 20, 30] })
+        .composePixels(QUAD.data, 2, 2, targetW, targetH, 1);
+
+    // centered: the pattern in the middle of a 4x4 background
+    const centered = compose('centered', 4, 4);
+    assert.deepStrictEqual(pixelAt(centered, 4, 0, 0), [10, 20, 30, 255]);
+    assert.deepStrictEqual(pixelAt(centered, 4, 1, 1), RED);
+    assert.deepStrictEqual(pixelAt(centered, 4, 2, 1), GREEN);
+    assert.deepStrictEqual(pixelAt(centered, 4, 1, 2), BLUE);
+    assert.deepStrictEqual(pixelAt(centered, 4, 2, 2), WHITE);
+    assert.deepStrictEqual(pixelAt(centered, 4, 3, 3), [10, 20, 30, 255]);
+
+    // tiled: the pattern repeats from the top left corner
+    const tiled = compose('tiled', 5, 3);
+    for (let y = 0; y < 3; y++) {
+        for (let x = 0; x < 5; x++) {
+            assert.deepStrictEqual(pixelAt(tiled, 5, x, y), pixelAt(QUAD.data, 2, x % 2, y % 2), `tile at ${x},${y}`);
+        }
+    }
+
+    // scaled: doubled to fill the height, letterboxed left and right
+    const scaled = compose('scaled', 6, 4);
+    assert.deepStrictEqual(pixelAt(scaled, 6, 0, 0), [10, 20, 30, 255]);
+    assert.deepStrictEqual(pixelAt(scaled, 6, 1, 0), RED);
+    assert.deepStrictEqual(pixelAt(scaled, 6, 4, 3), WHITE);
+    assert.deepStrictEqual(pixelAt(scaled, 6, 5, 3), [10, 20, 30, 255]);
+
+    // none: only the background
+    const none = compose('none', 3, 3);
+    for (let i = 0; i < 9; i++) {
+        assert.deepStrictEqual(pixelAt(none, 3, i % 3, Math.floor(i / 3)), [10, 20, 30, 255]);
+    }
+});
+
+test('tiling a tiny image over a large target stays cheap', () => {
+    const processor = new ImageBlurProcessor(null, [3840, 2160], 1, false, { fitMode: 'tiled' });
+    const pixels = processor.composePixels(new Uint8ClampedArray([40, 80, 120, 255]), 1, 1, 3840, 2160, 1);
+    assert.strictEqual(pixels.length, 3840 * 2160 * 4);
+    assert.deepStrictEqual(pixelAt(pixels, 3840, 3839, 2159), [40, 80, 120, 255]);
+
+    // Tiles smaller than a pixel average out to the image's mean color
+    const subPixel = processor.composePixels(new Uint8ClampedArray([0, 0, 0, 255, 200, 100, 50, 255]), 2, 1, 16, 16, 0.1);
+    assert.deepStrictEqual(pixelAt(subPixel, 16, 7, 7), [100, 50, 25, 255]);
+});
+
+test('processPixels scales to the target size times zipRate', () => {
+    const processor = new ImageBlurProcessor(null, [64, 32], 0.25, false, { fitMode: 'stretched' });
+    const result = processor.processPixels(makeImage(8, 8, () => [90, 90, 90, 255]), 2);
+    assert.strictEqual(result.width, 16);
+    assert.strictEqual(result.height, 8);
+    assert.deepStrictEqual(pixelAt(result.data, 16, 15, 7), [90, 90, 90, 255]);
+});
+
+test("the 'box' algorithm stays close to 'exact' at the same radius", () => {
+    const width = 96;
+    const height = 64;
+    const processor = new ImageBlurProcessor(null, [width, height]);
+    const images = {
+        gradient: x => x / (width - 1) * 255,
+        step: x => (x < width / 2 ? 0 : 255)
+    };
+    // Three box passes approximate the Gaussian; a hard edge shows the largest deviation
+    const tolerance = { gradient: 1, step: 8 };
+    for (const [name, valueAt] of Object.entries(images)) {
+        const pixels = new Float32Array(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const value = valueAt(x);
+                pixels.set([value, 255 - value, value / 2, 255], (y * width + x) * 4);
+            }
+        }
+        for (const radius of [4, 10, 20]) {
+            const exact = processor.blurPixels(pixels, width, height, radius, 'exact');
+            const box = processor.blurPixels(pixels, width, height, radius, 'box');
+            assert.ok(maxDifference(exact, box) <= tolerance[name], `${name} at radius ${radius}: ${maxDifference(exact, box)}`);
+        }
+    }
+});
@@ -0,0 +1,361 @@
+// Fixture tests for the Linux wallpaper providers in wallpaper.js.
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { LINUX_PROVIDERS, selectLinuxProviders, readLinuxWallpaper, watchWallpaper } = require('../wallpaper');
+
+const HOME = '/home/tester';
+const CONFIG = path.join(HOME, '.config');
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function enoent(target) {
+    const error = new Error(`ENOENT: ${target}`);
+    error.code = 'ENOENT';
+    return error;
+}
+
+/**
+ * Context overrides for readLinuxWallpaper(): `files` maps config paths to their text, `images`
+ * lists the paths that exist as PNG files and `commands` maps exact command lines to their
+ * output. Anything else fails like a missing file or command; `executed` records every command.
+ */
+function fixture({ desktop, env = {}, files = {}, images = [], commands = {} }) {
+    const executed = [];
+    const isImage = filePath => images.includes(filePath);
+    return {
+        executed,
+        env: { XDG_CURRENT_DESKTOP: desktop, ...env },
+        homedir: HOME,
+        exec: async (command) => {
+            executed.push(command);
+            if (!(command in commands)) {
+                throw new Error(`command not found: ${command}`);
+            }
+            return commands[command];
+        },
+        readFile: async (filePath) => {
+            if (!(filePath in files)) throw enoent(filePath);
+            return files[filePath];
+        },
+        readdir: async (dirPath) => { throw enoent(dirPath); },
+        stat: async (filePath) => {
+            if (!isImage(filePath)) throw enoent(filePath);
+            return { isFile: () => true, isDirectory: () => false };
+        },
+        realpath: async (filePath) => {
+            if (!isImage(filePath)) throw enoent(filePath);
+            return filePath;
+        },
+        readHeader: async () => PNG_HEADER,
+        now: () => 0
+    };
+}
+
+test('selectLinuxProviders picks the providers matching XDG_CURRENT_DESKTOP, then feh', () => {
+    const names = env => selectLinuxProviders(env).map(provider => provider.name);
+    assert.deepStrictEqual(names({ XDG_CURRENT_DESKTOP: 'ubuntu:GNOME' }), ['gnome', 'feh']);
+    assert.deepStrictEqual(names({ XDG_CURRENT_DESKTOP: 'KDE' }), ['kde', 'feh']);
+    assert.deepStrictEqual(names({ XDG_CURRENT_DESKTOP: 'XFCE' }), ['xfce', 'feh']);
+    assert.deepStrictEqual(names({ XDG_CURRENT_DESKTOP: 'X-Cinnamon' }), ['cinnamon', 'feh']);
+    assert.deepStrictEqual(names({ XDG_CURRENT_DESKTOP: 'MATE' }), ['mate', 'feh']);
+    assert.deepStrictEqual(names({ XDG_CURRENT_DESKTOP: 'LXQt' }), ['lxqt', 'feh']);
+    assert.deepStrictEqual(names({ XDG_CURRENT_DESKTOP: 'LXDE' }), ['lxde', 'feh']);
+    assert.deepStrictEqual(names({ XDG_CURRENT_DESKTOP: 'sway' }), ['sway', 'feh']);
+    assert.deepStrictEqual(names({ XDG_CURRENT_DESKTOP: 'Hyprland' }), ['hyprland', 'feh']);
+    assert.deepStrictEqual(names({ XDG_CURRENT_DESKTOP: 'i3' }), ['feh']);
+});
+
+test('selectLinuxProviders falls back to DESKTOP_SESSION, then to every provider in order', () => {
+    assert.deepStrictEqual(selectLinuxProviders({ DESKTOP_SESSION: 'plasma' }).map(provider => provider.name), ['kde', 'feh']);
+    assert.deepStrictEqual(selectLinuxProviders({}), LINUX_PROVIDERS);
+    assert.deepStrictEqual(selectLinuxProviders({ XDG_CURRENT_DESKTOP: 'unknown-wm' }), LINUX_PROVIDERS);
+});
+
+test('GNOME reads picture-uri through gsettings and honours the dark variant', async () => {
+    const schema = 'org.gnome.desktop.background';
+    const context = fixture({
+        desktop: 'ubuntu:GNOME',
+        images: ['/usr/share/backgrounds/light.png', '/usr/share/backgrounds/dark.png'],
+        commands: {
+            [`gsettings get ${schema} picture-uri`]: "'file:///usr/share/backgrounds/light.png'",
+            [`gsettings get ${schema} picture-uri-dark`]: "'file:///usr/share/backgrounds/dark.png'",
+            'gsettings get org.gnome.desktop.interface color-scheme': "'prefer-dark'",
+            [`gsettings get ${schema} picture-options`]: "'centered'",
+            [`gsettings get ${schema} primary-color`]: "'#023c88'"
+        }
+    });
+    const result = await readLinuxWallpaper(context);
+    assert.strictEqual(result.provider, 'gnome');
+    assert.strictEqual(result.path, '/usr/share/backgrounds/dark.png');
+    assert.strictEqual(result.placement, 'centered');
+    assert.deepStrictEqual(result.backgroundColor, [2, 60, 136]);
+});
+
+test('GNOME with picture-options none reports the color gradient', async () => {
+    const schema = 'org.gnome.desktop.background';
+    const result = await readLinuxWallpaper(fixture({
+        desktop: 'GNOME',
+        commands: {
+            [`gsettings get ${schema} picture-uri`]: "''",
+            [`gsettings get ${schema} picture-options`]: "'none'",
+            [`gsettings get ${schema} primary-color`]: "'#ff0000'",
+            [`gsettings get ${schema} color-shading-type`]: "'vertical'",
+            [`gsettings get ${schema} secondary-color`]: "'#0000ff'"
+        }
+    }));
+    assert.strictEqual(result.provider, 'gnome');
+    assert.strictEqual(result.path, null);
+    assert.deepStrictEqual(result.source, { type: 'color', shading: 'vertical', primaryColor: [255, 0, 0], secondaryColor: [0, 0, 255] });
+});
+
+test('KDE reads the primary screen containment from plasma-org.kde.plasma.desktop-appletsrc', async () => {
+    const result = await readLinuxWallpaper(fixture({
+        desktop: 'KDE',
+        images: ['/home/tester/Pictures/screen0.png', '/home/tester/Pictures/screen1.png'],
+        files: {
+            [path.join(CONFIG, 'plasma-org.kde.plasma.desktop-appletsrc')]: [
+                '[Containments][7]',
+                'lastScreen=1',
+                'wallpaperplugin=org.kde.image',
+                '',
+                '[Containments][7][Wallpaper][org.kde.image][General]',
+                'Image=file:///home/tester/Pictures/screen1.png',
+                '',
+                '[Containments][3]',
+                'lastScreen=0',
+                'wallpaperplugin=org.kde.image',
+                '',
+                '[Containments][3][Wallpaper][org.kde.image][General]',
+                'Image=file:///home/tester/Pictures/screen0.png',
+                'FillMode=6',
+                'Color=10,20,30'
+            ].join('\n')
+        }
+    }));
+    assert.strictEqual(result.provider, 'kde');
+    assert.strictEqual(result.path, '/home/tester/Pictures/screen0.png');
+    assert.strictEqual(result.placement, 'centered');
+    assert.deepStrictEqual(result.backgroundColor, [10, 20, 30]);
+});
+
+test('XFCE reads the first monitor through xfconf-query', async () => {
+    const property = '/backdrop/screen0/monitorHDMI-1/workspace0/last-image';
+    const styleProperty = '/backdrop/screen0/monitorHDMI-1/workspace0/image-style';
+    const result = await readLinuxWallpaper(fixture({
+        desktop: 'XFCE',
+        images: ['/home/tester/xfce.png'],
+        commands: {
+            'xfconf-query -c xfce4-desktop -l': [
+                '/backdrop/screen0/monitorHDMI-2/workspace0/last-image',
+                styleProperty,
+                property
+            ].join('\n'),
+            [`xfconf-query -c xfce4-desktop -p ${property}`]: '/home/tester/xfce.png',
+            [`xfconf-query -c xfce4-desktop -p ${styleProperty}`]: '3'
+        }
+    }));
+    assert.strictEqual(result.provider, 'xfce');
+    assert.strictEqual(result.path, '/home/tester/xfce.png');
+    assert.strictEqual(result.placement, 'stretched');
+});
+
+test('XFCE falls back to xfce4-desktop.xml when xfconfd is not reachable', async () => {
+    const result = await readLinuxWallpaper(fixture({
+        desktop: 'XFCE',
+        images: ['/home/tester/a & b.png'],
+        files: {
+            [path.join(CONFIG, 'xfce4', 'xfconf', 'xfce-perchannel-xml', 'xfce4-desktop.xml')]: [
+                '<channel name="xfce4-desktop" version="1.0">',
+                '  <property name="backdrop" type="empty">',
+                '    <property name="last-image" type="string" value="/home/tester/a &amp; b.png"/>',
+                '    <property name="image-style" type="int" value="1"/>',
+                '  </property>',
+                '</channel>'
+            ].join('\n')
+        }
+    }));
+    assert.strictEqual(result.provider, 'xfce');
+    assert.strictEqual(result.path, '/home/tester/a & b.png');
+    assert.strictEqual(result.placement, 'centered');
+});
+
+test('Cinnamon and MATE read their own gsettings schemas', async () => {
+    const cinnamon = await readLinuxWallpaper(fixture({
+        desktop: 'X-Cinnamon',
+        images: ['/home/tester/cinnamon.png'],
+        commands: {
+            'gsettings get org.cinnamon.desktop.background picture-uri': "'file:///home/tester/cinnamon.png'",
+            'gsettings get org.cinnamon.desktop.background picture-options': "'zoom'",
+            'gsettings get org.cinnamon.desktop.background primary-color': "'#000000'"
+        }
+    }));
+    assert.strictEqual(cinnamon.provider, 'cinnamon');
+    assert.strictEqual(cinnamon.path, '/home/tester/cinnamon.png');
+    assert.strictEqual(cinnamon.placement, 'zoom');
+
+    const mate = await readLinuxWallpaper(fixture({
+        desktop: 'MATE',
+        images: ['/home/tester/mate.png'],
+        commands: {
+            'gsettings get org.mate.background picture-filename': "'/home/tester/mate.png'",
+            'gsettings get org.mate.background picture-options': "'wallpaper'",
+            'gsettings get org.mate.background primary-color': "'#3c8f25'"
+        }
+    }));
+    assert.strictEqual(mate.provider, 'mate');
+    assert.strictEqual(mate.path, '/home/tester/mate.png');
+    assert.strictEqual(mate.placement, 'tiled');
+});
+
+test('LXQt and LXDE read the pcmanfm configs of the current profile', async () => {
+    const lxqt = await readLinuxWallpaper(fixture({
+        desktop: 'LXQt',
+        env: { PCMANFM_QT_PROFILE: 'work' },
+        images: ['/home/tester/lxqt.png'],
+        files: {
+            [path.join(CONFIG, 'pcmanfm-qt', 'work', 'settings.conf')]: '[Desktop]\nWallpaper=~/lxqt.png\nWallpaperMode=fit\nBgColor=#112233\n'
+        }
+    }));
+    assert.strictEqual(lxqt.provider, 'lxqt');
+    assert.strictEqual(lxqt.path, '/home/tester/lxqt.png');
+    assert.strictEqual(lxqt.placement, 'scaled');
+    assert.deepStrictEqual(lxqt.backgroundColor, [17, 34, 51]);
+
+    const lxde = await readLinuxWallpaper(fixture({
+        desktop: 'LXDE',
+        images: ['/home/tester/lxde.png'],
+        files: {
+            [path.join(CONFIG, 'pcmanfm', 'LXDE', 'desktop-items-0.conf')]: '[*]\nwallpaper_mode=center\nwallpaper=/home/tester/lxde.png\ndesktop_bg=#000000\n'
+        }
+    }));
+    assert.strictEqual(lxde.provider, 'lxde');
+    assert.strictEqual(lxde.path, '/home/tester/lxde.png');
+    assert.strictEqual(lxde.placement, 'centered');
+});
+
+test('sway prefers the running swaybg over the config file', async () => {
+    const configFiles = {
+        [path.join(CONFIG, 'sway', 'config')]: 'set $mod Mod4\noutput * bg ~/sway-config.png fit #101010\n'
+    };
+    const images = ['/home/tester/sway-config.png', '/home/tester/sway running.png'];
+
+    const running = await readLinuxWallpaper(fixture({
+        desktop: 'sway',
+        images,
+        files: configFiles,
+        commands: { 'ps -C swaybg -o args=': "swaybg -o * -i '/home/tester/sway running.png' -m tile" }
+    }));
+    assert.strictEqual(running.provider, 'sway');
+    assert.strictEqual(running.path, '/home/tester/sway running.png');
+    assert.strictEqual(running.placement, 'tiled');
+
+    const configured = await readLinuxWallpaper(fixture({ desktop: 'sway', images, files: configFiles }));
+    assert.strictEqual(configured.provider, 'sway');
+    assert.strictEqual(configured.path, '/home/tester/sway-config.png');
+    assert.strictEqual(configured.placement, 'scaled');
+    assert.deepStrictEqual(configured.backgroundColor, [16, 16, 16]);
+});
+
+test('Hyprland reads the wallpaper line of hyprpaper.conf', async () => {
+    const result = await readLinuxWallpaper(fixture({
+        desktop: 'Hyprland',
+        images: ['/home/tester/preload.png', '/home/tester/hypr.png'],
+        files: {
+            [path.join(CONFIG, 'hypr', 'hyprpaper.conf')]: 'preload = ~/preload.png\n# wallpaper = ,~/commented.png\nwallpaper = DP-1,contain:~/hypr.png\n'
+        }
+    }));
+    assert.strictEqual(result.provider, 'hyprland');
+    assert.strictEqual(result.path, '/home/tester/hypr.png');
+    assert.strictEqual(result.placement, 'scaled');
+});
+
+test('X11 window managers read ~/.fehbg', async () => {
+    const result = await readLinuxWallpaper(fixture({
+        desktop: 'i3',
+        images: ['/home/tester/feh.png'],
+        files: {
+            [path.join(HOME, '.fehbg')]: "#!/bin/sh\nfeh --no-fehbg --bg-fill '/home/tester/feh.png' \n"
+        }
+    }));
+    assert.strictEqual(result.provider, 'feh');
+    assert.strictEqual(result.path, '/home/tester/feh.png');
+    assert.strictEqual(result.placement, 'zoom');
+});
+
+test('a matched desktop without a wallpaper falls back to feh', async () => {
+    const result = await readLinuxWallpaper(fixture({
+        desktop: 'KDE',
+        images: ['/home/tester/feh.png'],
+        files: {
+            [path.join(HOME, '.fehbg')]: 'feh --bg-tile /home/tester/feh.png\n'
+        }
+    }));
+    assert.strictEqual(result.provider, 'feh');
+    assert.strictEqual(result.placement, 'tiled');
+});
+
+test('an unknown desktop tries every provider in order', async () => {
+    const context = fixture({
+        desktop: 'unknown-wm',
+        images: ['/home/tester/lxde.png', '/home/tester/hypr.png'],
+        files: {
+            [path.join(CONFIG, 'pcmanfm', 'LXDE', 'desktop-items-0.conf')]: '[*]\nwallpaper=/home/tester/lxde.png\n',
+            [path.join(CONFIG, 'hypr', 'hyprpaper.conf')]: 'wallpaper = ,/home/tester/hypr.png\n'
+        }
+    });
+    const result = await readLinuxWallpaper(context);
+    // lxde comes before hyprland in LINUX_PROVIDERS, and the gsettings/xfconf providers were asked first
+    assert.strictEqual(result.provider, 'lxde');
+    assert.strictEqual(context.executed[0], 'gsettings get org.gnome.desktop.background picture-uri');
+    assert.ok(context.executed.includes('xfconf-query -c xfce4-desktop -l'));
+    assert.ok(context.executed.includes('gsettings get org.mate.background picture-filename'));
+});
+
+test('a reported wallpaper that does not exist is an error, not a fallback', async () => {
+    await assert.rejects(readLinuxWallpaper(fixture({
+        desktop: 'Hyprland',
+        images: ['/home/tester/feh.png'],
+        files: {
+            [path.join(CONFIG, 'hypr', 'hyprpaper.conf')]: 'wallpaper = ,/home/tester/missing.png\n',
+            [path.join(HOME, '.fehbg')]: 'feh --bg-fill /home/tester/feh.png\n'
+        }
+    })), { name: 'WallpaperPathError' });
+});
+
+test('no provider reporting a wallpaper lists the providers that were tried', async () => {
+    await assert.rejects(readLinuxWallpaper(fixture({ desktop: 'sway' })), /tried sway, feh/);
+});
+
+test('watchWallpaper is not event driven when the settings monitors die during setup', async () => {
+    const { EventEmitter } = require('events');
+    const schema = 'org.gnome.desktop.background';
+    const context = fixture({
+        desktop: 'GNOME',
+        images: ['/home/tester/gnome.png'],
+        commands: {
+            [`gsettings get ${schema} picture-uri`]: "'/home/tester/gnome.png'",
+            [`gsettings get ${schema} picture-options`]: "'zoom'"
+        }
+    });
+    // The monitors fail to start while setup() is still reading the wallpaper
+    const children = [];
+    const exec = context.exec;
+    context.exec = async (command) => {
+        children.splice(0).forEach(child => child.emit('error', enoent(child.command)));
+        return exec(command);
+    };
+    context.spawn = (command) => {
+        const child = Object.assign(new EventEmitter(), { command, stdout: new EventEmitter(), kill() { } });
+        children.push(child);
+        return child;
+    };
+    context.watch = () => Object.assign(new EventEmitter(), { close() { } });
+    const changes = [];
+    const watcher = watchWallpaper(change => changes.push(change.reason), { platform: 'linux', linuxContext: context });
+    await watcher.ready;
+    watcher.close();
+    assert.deepStrictEqual(changes, ['fallback', 'fallback']);
+    assert.strictEqual(watcher.eventDriven, false);
+});
@@ -0,0 +1,120 @@
+// Fixture tests for the GNOME slideshow descriptors in wallpaper.js.
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseSlideshowXml, resolveSlideshow } = require('../wallpaper');
+
+// An hour of a.jpg, a 10 minute fade to b.jpg, half an hour of b.jpg and a 10 minute fade back
+const SLIDESHOW_XML = `<?xml version="1.0"?>
+<background>
+  <starttime>
+    <year>2020</year>
+    <month>1</month>
+    <day>1</day>
+    <hour>0</hour>
+    <minute>00</minute>
+    <second>00</second>
+  </starttime>
+  <static>
+    <duration>3600.0</duration>
+    <file>
+      <size width="1024" height="768">/usr/share/backgrounds/a-1024.jpg</size>
+      <size width="3840" height="2160">/usr/share/backgrounds/a-3840.jpg</size>
+      <size width="1920" height="1080">/usr/share/backgrounds/a-1920.jpg</size>
+    </file>
+  </static>
+  <transition type="overlay">
+    <duration>600.0</duration>
+    <from>/usr/share/backgrounds/a-3840.jpg</from>
+    <to>/usr/share/backgrounds/b&amp;c.jpg</to>
+  </transition>
+  <static>
+    <duration>0</duration>
+    <file>/usr/share/backgrounds/never.jpg</file>
+  </static>
+  <static>
+    <duration>1800.0</duration>
+    <file>/usr/share/backgrounds/b&amp;c.jpg</file>
+  </static>
+  <transition>
+    <duration>600.0</duration>
+    <from>/usr/share/backgrounds/b&amp;c.jpg</from>
+    <to>/usr/share/backgrounds/a-3840.jpg</to>
+  </transition>
+</background>`;
+
+const A = '/usr/share/backgrounds/a-3840.jpg';
+const B = '/usr/share/backgrounds/b&c.jpg';
+const START = new Date(2020, 0, 1, 0, 0, 0).getTime();
+const at = seconds => START + seconds * 1000;
+
+test('parseSlideshowXml reads the start time, the largest size and skips empty entries', () => {
+    const slideshow = parseSlideshowXml(SLIDESHOW_XML);
+    assert.strictEqual(slideshow.startTime, START);
+    assert.deepStrictEqual(slideshow.entries, [
+        { type: 'static', duration: 3600, file: A },
+        { type: 'transition', duration: 600, from: A, to: B },
+        { type: 'static', duration: 1800, file: B },
+        { type: 'transition', duration: 600, from: B, to: A }
+    ]);
+    assert.strictEqual(slideshow.totalDuration, 6600);
+
+    const empty = parseSlideshowXml('<background></background>');
+    assert.deepStrictEqual(empty.entries, []);
+    assert.strictEqual(empty.startTime, new Date(2000, 0, 1).getTime());
+    assert.strictEqual(resolveSlideshow(empty, at(0)), null);
+});
+
+test('a static entry shows its file until the next entry starts', () => {
+    const slideshow = parseSlideshowXml(SLIDESHOW_XML);
+    assert.deepStrictEqual(resolveSlideshow(slideshow, at(0)), { path: A, source: null, nextChangeAt: at(3600) });
+    assert.deepStrictEqual(resolveSlideshow(slideshow, at(3599)), { path: A, source: null, nextChangeAt: at(3600) });
+    assert.deepStrictEqual(resolveSlideshow(slideshow, at(5000)), { path: B, source: null, nextChangeAt: at(6000) });
+    // The entries repeat after totalDuration
+    assert.deepStrictEqual(resolveSlideshow(slideshow, at(6600 * 3 + 10)), { path: A, source: null, nextChangeAt: at(6600 * 3 + 3600) });
+});
+
+test('a transition blends in quantized steps and changes again at the next step', () => {
+    const slideshow = parseSlideshowXml(SLIDESHOW_XML);
+    // 600 seconds / 20 steps is below the 60 second minimum, so a step is 60 seconds
+    assert.deepStrictEqual(resolveSlideshow(slideshow, at(3600)), {
+        path: A,
+        source: { type: 'blend', from: A, to: B, progress: 0 },
+        nextChangeAt: at(3660)
+    });
+    assert.deepStrictEqual(resolveSlideshow(slideshow, at(3600 + 150)), {
+        path: A,
+        source: { type: 'blend', from: A, to: B, progress: 0.2 },
+        nextChangeAt: at(3780)
+    });
+    // Past the middle the target image dominates; the last step ends with the entry
+    assert.deepStrictEqual(resolveSlideshow(slideshow, at(3600 + 590)), {
+        path: B,
+        source: { type: 'blend', from: A, to: B, progress: 0.9 },
+        nextChangeAt: at(4200)
+    });
+});
+
+test('a start time in the future continues from the end of the previous cycle', () => {
+    const slideshow = parseSlideshowXml(SLIDESHOW_XML);
+    // 100 seconds before the start is 500 seconds into the fade back to A
+    assert.deepStrictEqual(resolveSlideshow(slideshow, at(-100)), {
+        path: A,
+        source: { type: 'blend', from: B, to: A, progress: 0.8 },
+        nextChangeAt: at(-60)
+    });
+});
+
+test('long transitions are split into a fixed number of steps', () => {
+    const slideshow = parseSlideshowXml(`<background>
+        <starttime><year>2020</year><month>1</month><day>1</day></starttime>
+        <transition><duration>2400</duration><from>/a.jpg</from><to>/b.jpg</to></transition>
+    </background>`);
+    // 2400 seconds / 20 steps = 120 seconds a step
+    assert.deepStrictEqual(resolveSlideshow(slideshow, at(250)), {
+        path: '/a.jpg',
+        source: { type: 'blend', from: '/a.jpg', to: '/b.jpg', progress: 0.1 },
+        nextChangeAt: at(360)
+    });
+});
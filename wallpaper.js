@@ -1,7 +1,15 @@
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const { WallpaperPathError, normalizeImagePath, readFileHeader } = require('./bwb-path.js');
 
-async function getWallpaper() {
+/**
+ * Returns the current wallpaper path, or null when it can't be determined.
+ * linuxContext overrides the environment, commands and files the Linux providers use (see createLinuxContext).
+ */
+async function getWallpaper(linuxContext = {}) {
     const platform = os.platform();
     let wallpaperPath = '';
 
@@ -11,7 +19,7 @@ async function getWallpaper() {
                 wallpaperPath = await getWallpaperWindows();
                 break;
             case 'linux':
-                wallpaperPath = await getWallpaperLinux();
+                wallpaperPath = await getWallpaperLinux(linuxContext);
                 break;
             case 'darwin':
                 wallpaperPath = await getWallpaperMac();
@@ -28,6 +36,87 @@ async function getWallpaper() {
     return wallpaperPath;
 }
 
+// Normalized placement names, matching ImageBlurProcessor's fitMode option
+const GNOME_PICTURE_OPTIONS = {
+    none: 'none',
+    wallpaper: 'tiled',
+    centered: 'centered',
+    scaled: 'scaled',
+    stretched: 'stretched',
+    zoom: 'zoom',
+    spanned: 'spanned'
+};
+
+// xfce4-desktop image-style values
+const XFCE_IMAGE_STYLES = {
+    0: 'none',
+    1: 'centered',
+    2: 'tiled',
+    3: 'stretched',
+    4: 'scaled',
+    5: 'zoom',
+    6: 'spanned'
+};
+
+// WallpaperStyle registry values (TileWallpaper=1 overrides them with 'tiled')
+const WINDOWS_WALLPAPER_STYLES = {
+    0: 'centered',
+    2: 'stretched',
+    6: 'scaled',
+    10: 'zoom',
+    22: 'spanned'
+};
+
+/**
+ * Returns the wallpaper path together with how the desktop places it.
+ * placement is one of 'zoom', 'scaled', 'centered', 'stretched', 'tiled', 'spanned', 'none',
+ * or null when the desktop setting can't be read. backgroundColor ([r, g, b] or null) is the
+ * desktop's fill color for areas the picture doesn't cover. provider names where the setting
+ * was read from: 'windows', 'macos', or one of the LINUX_PROVIDERS names.
+ * When the desktop shows only a color or gradient, path is null and source describes it (see colorSource()).
+ * path is the decoded, symlink-resolved file and type its sniffed MIME type; a wallpaper that is
+ * set but unusable (missing file, not an image, remote URI) rejects with a WallpaperPathError
+ * instead of resolving to null.
+ */
+async function getWallpaperInfo(linuxContext = {}) {
+    if (os.platform() === 'linux') {
+        try {
+            return await readLinuxWallpaper(linuxContext);
+        } catch (error) {
+            if (error instanceof WallpaperPathError) throw error;
+            console.error('Error getting wallpaper:', error);
+            return null;
+        }
+    }
+    const rawPath = await getWallpaper();
+    let placement = { placement: null, backgroundColor: null };
+    try {
+        placement = await getWallpaperPlacement();
+    } catch (error) {
+        // Placement is optional, callers fall back to 'zoom'
+    }
+    const provider = os.platform() === 'win32' ? 'windows' : 'macos';
+    if (!rawPath) {
+        // Windows reports an empty path for a solid color background
+        return placement.backgroundColor
+            ? { path: null, placement: 'none', backgroundColor: placement.backgroundColor, provider, source: colorSource(placement.backgroundColor) }
+            : null;
+    }
+    const { path, type } = await normalizeImagePath(rawPath);
+    return { path, type, ...placement, provider };
+}
+
+async function getWallpaperPlacement(linuxContext = {}) {
+    switch (os.platform()) {
+        case 'win32':
+            return getWallpaperPlacementWindows();
+        case 'linux':
+            return getWallpaperPlacementLinux(linuxContext);
+        default:
+            return { placement: null, backgroundColor: null };
+    }
+}
+
 function getWallpaperWindows() {
     return new Promise((resolve, reject) => {
         const command = `powershell.exe -command "(Get-ItemProperty 'HKCU:\\Control Panel\\Desktop' -Name WallPaper).WallPaper"`;
@@ -41,6 +130,25 @@ function getWallpaperWindows() {
     });
 }
 
+function getWallpaperPlacementWindows() {
+    return new Promise((resolve, reject) => {
+        const command = `powershell.exe -command "$d = Get-ItemProperty 'HKCU:\\Control Panel\\Desktop'; $c = Get-ItemProperty 'HKCU:\\Control Panel\\Colors'; Write-Output $d.WallpaperStyle $d.TileWallpaper $c.Background"`;
+        exec(command, (error, stdout, stderr) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            const [style, tile, background] = stdout.split(/\r?\n/).map(line => line.trim());
+            const placement = tile === '1' ? 'tiled' : (WINDOWS_WALLPAPER_STYLES[parseInt(style, 10)] || null);
+            let backgroundColor = null;
+            if (background && /^\d+ \d+ \d+$/.test(background)) {
+                backgroundColor = background.split(' ').map(Number);
+            }
+            resolve({ placement, backgroundColor });
+        });
+    });
+}
+
 function getWallpaperMac() {
     return new Promise((resolve, reject) => {
         const command = `osascript -e 'tell application "Finder" to get POSIX path of (desktop picture as alias)'`;
@@ -54,27 +162,928 @@ function getWallpaperMac() {
     });
 }
 
-function getWallpaperLinux() {
-    return new Promise((resolve, reject) => {
-        // Try GNOME first
-        exec('gsettings get org.gnome.desktop.background picture-uri', (error, stdout, stderr) => {
-            if (!error) {
-                // The output might be 'file:///path/to/wallpaper.jpg'
-                resolve(stdout.trim().replace(/^'|'$/g, '').replace('file://', ''));
-                return;
+/**
+ * Everything the Linux providers touch outside of pure parsing. Pass overrides to
+ * getWallpaperLinux()/getWallpaperPlacementLinux() (or getWallpaperInfo()) to drive the
+ * providers from fixture files and stubbed commands instead of the real desktop.
+ */
+function createLinuxContext(overrides = {}) {
+    return {
+        env: process.env,
+        homedir: os.homedir(),
+        exec: execTrimmed,
+        readFile: (filePath) => fs.promises.readFile(filePath, 'utf8'),
+        readdir: (dirPath) => fs.promises.readdir(dirPath),
+        stat: (filePath) => fs.promises.stat(filePath),
+        realpath: (filePath) => fs.promises.realpath(filePath),
+        readHeader: (filePath, length) => readFileHeader(filePath, length),
+        now: () => Date.now(),
+        spawn: (command, args) => spawn(command, args, { stdio: ['ignore', 'pipe', 'ignore'] }),
+        watch: (dirPath, listener) => fs.watch(dirPath, { persistent: false }, listener),
+        ...overrides
+    };
+}
+
+function configHome(context) {
+    return context.env.XDG_CONFIG_HOME || path.join(context.homedir, '.config');
+}
+
+// Expands ~ and $HOME the way shells and most WM configs do
+function expandHome(value, context) {
+    return value
+        .replace(/^~(?=$|\/)/, context.homedir)
+        .replace(/\$\{?HOME\}?/g, context.homedir);
+}
+
+function fileUriToPath(value) {
+    if (!/^file:\/\//i.test(value)) {
+        return value;
+    }
+    try {
+        return url.fileURLToPath(value);
+    } catch (error) {
+        return value.replace(/^file:\/\//i, '');
+    }
+}
+
+/**
+ * Parses INI-style files (KDE appletsrc, pcmanfm configs) into { 'section': { key: value } }.
+ * KDE nests groups as [a][b][c]; those are kept as one 'a][b][c' section name.
+ */
+function parseIni(text) {
+    const sections = {};
+    let current = sections[''] = {};
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#') || line.startsWith(';')) {
+            continue;
+        }
+        if (line.startsWith('[') && line.endsWith(']')) {
+            const name = line.slice(1, -1);
+            current = sections[name] = sections[name] || {};
+            continue;
+        }
+        const eq = line.indexOf('=');
+        if (eq > 0) {
+            current[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+        }
+    }
+    return sections;
+}
+
+// Splits a shell command line, honoring single and double quotes
+function splitShellWords(line) {
+    const words = [];
+    const pattern = /'([^']*)'|"((?:\\.|[^"\\])*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        words.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3]);
+    }
+    return words;
+}
+
+// color-shading-type values, see colorSource()
+const GNOME_SHADING_TYPES = {
+    solid: 'solid',
+    horizontal: 'horizontal',
+    vertical: 'vertical'
+};
+
+/**
+ * A wallpaper that is only a color: { type: 'color', shading, primaryColor, secondaryColor }.
+ * shading is 'solid', 'horizontal' (primary on the left) or 'vertical' (primary at the top).
+ * ImageBlurProcessor accepts these in place of an image path.
+ */
+function colorSource(primaryColor, secondaryColor = null, shading = 'solid') {
+    return {
+        type: 'color',
+        shading: secondaryColor ? shading : 'solid',
+        primaryColor: primaryColor || [0, 0, 0],
+        secondaryColor: shading === 'solid' ? null : secondaryColor
+    };
+}
+
+async function readGsettingsString(context, schema, key) {
+    return unquoteGsettings(await context.exec(`gsettings get ${schema} ${key}`));
+}
+
+// GNOME only shows picture-uri-dark while the dark style is on
+async function prefersDarkGnome(context) {
+    try {
+        return await readGsettingsString(context, 'org.gnome.desktop.interface', 'color-scheme') === 'prefer-dark';
+    } catch (error) {
+        return false;
+    }
+}
+
+// GNOME-style schemas (GNOME, Cinnamon, MATE) share picture-options and the color keys
+async function readGsettingsBackground(context, schema, uriKey, darkUriKey = null) {
+    let uri = await readGsettingsString(context, schema, uriKey);
+    if (darkUriKey && await prefersDarkGnome(context)) {
+        try {
+            uri = await readGsettingsString(context, schema, darkUriKey) || uri;
+        } catch (error) {
+            // Older GNOME without a dark variant
+        }
+    }
+    let placement = null;
+    let backgroundColor = null;
+    try {
+        placement = GNOME_PICTURE_OPTIONS[await readGsettingsString(context, schema, 'picture-options')] || null;
+        backgroundColor = parseHexColor(await readGsettingsString(context, schema, 'primary-color'));
+    } catch (error) {
+        // Placement is optional
+    }
+    if (uri && placement !== 'none') {
+        return { path: fileUriToPath(uri), placement, backgroundColor };
+    }
+    // No picture: the desktop shows primary-color, or a gradient towards secondary-color
+    let secondaryColor = null;
+    let shading = 'solid';
+    try {
+        shading = GNOME_SHADING_TYPES[await readGsettingsString(context, schema, 'color-shading-type')] || 'solid';
+        secondaryColor = parseHexColor(await readGsettingsString(context, schema, 'secondary-color'));
+    } catch (error) {
+        // Treat as solid
+    }
+    return { path: null, placement: 'none', backgroundColor, source: colorSource(backgroundColor, secondaryColor, shading) };
+}
+
+// Plasma's Image.FillMode values
+const KDE_FILL_MODES = {
+    0: 'stretched',
+    1: 'scaled',
+    2: 'zoom',
+    3: 'tiled',
+    4: 'tiled',
+    5: 'tiled',
+    6: 'centered'
+};
+
+// pcmanfm-qt WallpaperMode and pcmanfm wallpaper_mode values
+const PCMANFM_WALLPAPER_MODES = {
+    none: 'none',
+    color: 'none',
+    stretch: 'stretched',
+    fit: 'scaled',
+    center: 'centered',
+    tile: 'tiled',
+    zoom: 'zoom',
+    crop: 'zoom',
+    screen: 'spanned'
+};
+
+// swaybg -m values, also used by sway's `output * bg <file> <mode>`
+const SWAYBG_MODES = {
+    stretch: 'stretched',
+    fill: 'zoom',
+    fit: 'scaled',
+    center: 'centered',
+    tile: 'tiled',
+    solid_color: 'none'
+};
+
+const FEH_MODES = {
+    '--bg-center': 'centered',
+    '--bg-fill': 'zoom',
+    '--bg-max': 'scaled',
+    '--bg-scale': 'stretched',
+    '--bg-tile': 'tiled'
+};
+
+/**
+ * Plasma wallpaper packages (e.g. /usr/share/wallpapers/Next) are directories holding one
+ * image per resolution in contents/images; the largest one is used.
+ */
+async function resolveKdeWallpaperPackage(imagePath, context) {
+    let stats;
+    try {
+        stats = await context.stat(imagePath);
+    } catch (error) {
+        return imagePath;
+    }
+    if (!stats.isDirectory()) {
+        return imagePath;
+    }
+    const imagesDir = path.join(imagePath, 'contents', 'images');
+    const files = await context.readdir(imagesDir);
+    let best = null;
+    let bestArea = -1;
+    for (const file of files) {
+        const match = /^(\d+)x(\d+)\.\w+$/.exec(file);
+        const area = match ? parseInt(match[1], 10) * parseInt(match[2], 10) : 0;
+        if (area > bestArea) {
+            best = file;
+            bestArea = area;
+        }
+    }
+    return best ? path.join(imagesDir, best) : null;
+}
+
+async function readKdeWallpaper(context) {
+    const configPath = path.join(configHome(context), 'plasma-org.kde.plasma.desktop-appletsrc');
+    const sections = parseIni(await context.readFile(configPath));
+    // Desktop containments are the ones with a wallpaper plugin; prefer the one on the primary screen
+    const containments = Object.keys(sections)
+        .map(name => /^Containments\]\[(\d+)$/.exec(name))
+        .filter(match => match && sections[match[0]].wallpaperplugin)
+        .map(match => ({ id: match[1], ...sections[match[0]] }))
+        .sort((a, b) => (parseInt(a.lastScreen, 10) || 0) - (parseInt(b.lastScreen, 10) || 0));
+    for (const containment of containments) {
+        const plugin = containment.wallpaperplugin;
+        const general = sections[`Containments][${containment.id}][Wallpaper][${plugin}][General`] || {};
+        if (plugin === 'org.kde.color') {
+            return { path: null, placement: 'none', backgroundColor: parseRgbList(general.Color) };
+        }
+        if (!general.Image) {
+            continue;
+        }
+        const imagePath = await resolveKdeWallpaperPackage(fileUriToPath(general.Image), context);
+        if (!imagePath) {
+            continue;
+        }
+        const fillMode = general.FillMode !== undefined ? parseInt(general.FillMode, 10) : 2;
+        return {
+            path: imagePath,
+            placement: KDE_FILL_MODES[fillMode] || 'zoom',
+            backgroundColor: parseRgbList(general.Color)
+        };
+    }
+    return null;
+}
+
+async function readXfceWallpaper(context) {
+    let lastImage = null;
+    let imageStyle = null;
+    try {
+        const properties = (await context.exec('xfconf-query -c xfce4-desktop -l')).split('\n').map(line => line.trim());
+        // Prefer the first monitor's first workspace; property names depend on the connected outputs
+        const imageProperty = properties.filter(line => /\/last-image$/.test(line)).sort()[0];
+        if (imageProperty) {
+            lastImage = await context.exec(`xfconf-query -c xfce4-desktop -p ${imageProperty}`);
+            const styleProperty = imageProperty.replace(/last-image$/, 'image-style');
+            if (properties.includes(styleProperty)) {
+                imageStyle = await context.exec(`xfconf-query -c xfce4-desktop -p ${styleProperty}`);
             }
+        }
+    } catch (error) {
+        // xfconfd isn't reachable, read the channel file directly
+        const xmlPath = path.join(configHome(context), 'xfce4', 'xfconf', 'xfce-perchannel-xml', 'xfce4-desktop.xml');
+        const xml = await context.readFile(xmlPath);
+        const imageMatch = /<property name="last-image" type="string" value="([^"]*)"/.exec(xml);
+        const styleMatch = /<property name="image-style" type="int" value="(\d+)"/.exec(xml);
+        lastImage = imageMatch ? decodeXmlEntities(imageMatch[1]) : null;
+        imageStyle = styleMatch ? styleMatch[1] : null;
+    }
+    if (!lastImage) {
+        return null;
+    }
+    return {
+        path: lastImage,
+        placement: imageStyle !== null ? (XFCE_IMAGE_STYLES[parseInt(imageStyle, 10)] || null) : null,
+        backgroundColor: null
+    };
+}
+
+async function readPcmanfmWallpaper(context, configPath, keys) {
+    const sections = parseIni(await context.readFile(configPath));
+    const desktop = sections[keys.section] || {};
+    const wallpaper = desktop[keys.wallpaper];
+    if (!wallpaper) {
+        return null;
+    }
+    return {
+        path: expandHome(wallpaper, context),
+        placement: PCMANFM_WALLPAPER_MODES[(desktop[keys.mode] || '').toLowerCase()] || null,
+        backgroundColor: parseHexColor(desktop[keys.color])
+    };
+}
+
+function readLxqtWallpaper(context) {
+    const profile = context.env.PCMANFM_QT_PROFILE || 'lxqt';
+    const configPath = path.join(configHome(context), 'pcmanfm-qt', profile, 'settings.conf');
+    return readPcmanfmWallpaper(context, configPath, { section: 'Desktop', wallpaper: 'Wallpaper', mode: 'WallpaperMode', color: 'BgColor' });
+}
 
-            // If GNOME fails, try KDE
-            exec('qdbus org.kde.plasmashell /org/kde/Get বিশ্বাসঘাতDesktopBackground', (error, stdout, stderr) => {
-                if (!error) {
-                    resolve(stdout.trim());
-                    return;
+function readLxdeWallpaper(context) {
+    const profile = context.env.DESKTOP_SESSION || 'LXDE';
+    const configPath = path.join(configHome(context), 'pcmanfm', profile, 'desktop-items-0.conf');
+    return readPcmanfmWallpaper(context, configPath, { section: '*', wallpaper: 'wallpaper', mode: 'wallpaper_mode', color: 'desktop_bg' });
+}
+
+function parseSwaybgArgs(words, context) {
+    let image = null;
+    let mode = 'stretch';
+    let color = null;
+    for (let i = 0; i < words.length; i++) {
+        if (words[i] === '-i' || words[i] === '--image') image = words[++i];
+        else if (words[i] === '-m' || words[i] === '--mode') mode = words[++i];
+        else if (words[i] === '-c' || words[i] === '--color') color = words[++i];
+    }
+    if (!image) {
+        return null;
+    }
+    return { path: expandHome(image, context), placement: SWAYBG_MODES[mode] || null, backgroundColor: parseHexColor(color) };
+}
+
+async function readSwayWallpaper(context) {
+    // A running swaybg knows what is actually shown, whoever started it
+    try {
+        const commandLine = (await context.exec('ps -C swaybg -o args=')).split('\n')[0];
+        const result = parseSwaybgArgs(splitShellWords(commandLine), context);
+        if (result) {
+            return result;
+        }
+    } catch (error) {
+        // No swaybg process, or no procps
+    }
+    const configPath = path.join(configHome(context), 'sway', 'config');
+    const config = await context.readFile(configPath);
+    for (const line of config.split(/\r?\n/)) {
+        const words = splitShellWords(line.trim());
+        // output <name|*> bg|background <file> <mode> [<fallback color>]
+        const bgIndex = words.findIndex(word => word === 'bg' || word === 'background');
+        if (words[0] !== 'output' || bgIndex < 2 || !words[bgIndex + 1]) {
+            continue;
+        }
+        const mode = words[bgIndex + 2];
+        if (mode === 'solid_color') {
+            return { path: null, placement: 'none', backgroundColor: parseHexColor(words[bgIndex + 1]) };
+        }
+        return {
+            path: expandHome(words[bgIndex + 1], context),
+            placement: SWAYBG_MODES[mode] || null,
+            backgroundColor: parseHexColor(words[bgIndex + 3])
+        };
+    }
+    return null;
+}
+
+async function readHyprpaperWallpaper(context) {
+    const configPath = path.join(configHome(context), 'hypr', 'hyprpaper.conf');
+    const config = await context.readFile(configPath);
+    let preload = null;
+    for (const line of config.split(/\r?\n/)) {
+        const match = /^\s*(preload|wallpaper)\s*=\s*(.+?)\s*$/.exec(line.replace(/#.*$/, ''));
+        if (!match) {
+            continue;
+        }
+        if (match[1] === 'preload') {
+            preload = preload || match[2];
+            continue;
+        }
+        // wallpaper = <monitor>,[contain:|tile:]<path>; an empty monitor means all of them
+        const value = match[2].slice(match[2].indexOf(',') + 1).trim();
+        const modeMatch = /^(contain|tile):(.*)$/.exec(value);
+        return {
+            path: expandHome(modeMatch ? modeMatch[2] : value, context),
+            placement: modeMatch ? (modeMatch[1] === 'contain' ? 'scaled' : 'tiled') : 'zoom',
+            backgroundColor: null
+        };
+    }
+    return preload ? { path: expandHome(preload, context), placement: 'zoom', backgroundColor: null } : null;
+}
+
+async function readFehWallpaper(context) {
+    const script = await context.readFile(path.join(context.homedir, '.fehbg'));
+    for (const line of script.split(/\r?\n/)) {
+        const words = splitShellWords(line.trim());
+        if (!/(^|\/)feh$/.test(words[0] || '')) {
+            continue;
+        }
+        const modeIndex = words.findIndex(word => FEH_MODES[word]);
+        if (modeIndex < 0) {
+            continue;
+        }
+        // The first non-option word after the mode is the (first monitor's) image
+        const image = words.slice(modeIndex + 1).find(word => !word.startsWith('-'));
+        if (image) {
+            return { path: expandHome(image, context), placement: FEH_MODES[words[modeIndex]], backgroundColor: null };
+        }
+    }
+    return null;
+}
+
+// Text content of the first <tag>…</tag> in xml, or null
+function xmlText(xml, tag) {
+    const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`).exec(xml);
+    return match ? match[1] : null;
+}
+
+// <file> and <from>/<to> either hold a path or several <size width height>path</size>; use the largest
+function slideshowImagePath(content) {
+    const sizes = [...content.matchAll(/<size\s+width="(\d+)"\s+height="(\d+)"\s*>([\s\S]*?)<\/size>/g)];
+    if (sizes.length === 0) {
+        return decodeXmlEntities(content.trim());
+    }
+    sizes.sort((a, b) => b[1] * b[2] - a[1] * a[2]);
+    return decodeXmlEntities(sizes[0][3].trim());
+}
+
+/**
+ * Parses a GNOME slideshow descriptor (<background> with <starttime>, <static> and
+ * <transition> entries) into { startTime, entries, totalDuration }. startTime is in
+ * milliseconds, durations in seconds; the entries repeat after totalDuration.
+ */
+function parseSlideshowXml(xml) {
+    const start = xmlText(xml, 'starttime') || '';
+    const field = (tag, fallback) => {
+        const value = xmlText(start, tag);
+        return value !== null ? parseInt(value, 10) : fallback;
+    };
+    const startTime = new Date(
+        field('year', 2000), field('month', 1) - 1, field('day', 1),
+        field('hour', 0), field('minute', 0), field('second', 0)
+    ).getTime();
+
+    const entries = [];
+    const pattern = /<(static|transition)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        const duration = parseFloat(xmlText(match[2], 'duration'));
+        if (!(duration > 0)) {
+            continue;
+        }
+        if (match[1] === 'static') {
+            const file = xmlText(match[2], 'file');
+            if (file) {
+                entries.push({ type: 'static', duration, file: slideshowImagePath(file) });
+            }
+        } else {
+            const from = xmlText(match[2], 'from');
+            const to = xmlText(match[2], 'to');
+            if (from && to) {
+                entries.push({ type: 'transition', duration, from: slideshowImagePath(from), to: slideshowImagePath(to) });
+            }
+        }
+    }
+    const totalDuration = entries.reduce((sum, entry) => sum + entry.duration, 0);
+    return { startTime, entries, totalDuration };
+}
+
+// Blended frames are re-rendered this often during a transition (and at least this many times per transition)
+const SLIDESHOW_MIN_BLEND_STEP = 60;
+const SLIDESHOW_BLEND_STEPS = 20;
+
+/**
+ * Works out what a parsed slideshow shows at `now` (milliseconds):
+ * { path, source, nextChangeAt }. During a transition source is
+ * { type: 'blend', from, to, progress } and path is whichever image dominates; progress is
+ * quantized to steps so the blend only needs re-rendering at nextChangeAt.
+ */
+function resolveSlideshow(slideshow, now) {
+    if (slideshow.entries.length === 0 || !(slideshow.totalDuration > 0)) {
+        return null;
+    }
+    const total = slideshow.totalDuration;
+    const elapsedSeconds = (now - slideshow.startTime) / 1000;
+    const cycleStart = slideshow.startTime + Math.floor(elapsedSeconds / total) * total * 1000;
+    let position = ((elapsedSeconds % total) + total) % total;
+    let entryStart = cycleStart;
+    for (const entry of slideshow.entries) {
+        if (position >= entry.duration) {
+            position -= entry.duration;
+            entryStart += entry.duration * 1000;
+            continue;
+        }
+        const entryEnd = entryStart + entry.duration * 1000;
+        if (entry.type === 'static') {
+            return { path: entry.file, source: null, nextChangeAt: entryEnd };
+        }
+        const step = Math.max(SLIDESHOW_MIN_BLEND_STEP, entry.duration / SLIDESHOW_BLEND_STEPS);
+        const stepIndex = Math.floor(position / step);
+        const progress = Math.min(1, (stepIndex * step) / entry.duration);
+        return {
+            path: progress < 0.5 ? entry.from : entry.to,
+            source: { type: 'blend', from: entry.from, to: entry.to, progress },
+            nextChangeAt: Math.min(entryEnd, entryStart + (stepIndex + 1) * step * 1000)
+        };
+    }
+    return null;
+}
+
+async function resolveSlideshowFile(xmlPath, context) {
+    const resolved = resolveSlideshow(parseSlideshowXml(await context.readFile(xmlPath)), context.now());
+    if (!resolved) {
+        throw new Error(`Empty slideshow: ${xmlPath}`);
+    }
+    return {
+        path: resolved.path,
+        source: resolved.source,
+        slideshow: { path: xmlPath, nextChangeAt: resolved.nextChangeAt }
+    };
+}
+
+/**
+ * Linux wallpaper providers, in fallback order. `desktops` are lowercased XDG_CURRENT_DESKTOP
+ * entries the provider is selected for; `read` resolves to { path, placement, backgroundColor }
+ * or null, and may throw when the desktop's tools or config files are missing.
+ * For watchWallpaper(), `monitors` are [command, args] pairs that print a line whenever the
+ * setting changes, and `files` lists the config files the setting is stored in.
+ */
+const LINUX_PROVIDERS = [
+    {
+        name: 'gnome',
+        desktops: ['gnome', 'gnome-classic', 'gnome-flashback', 'unity', 'ubuntu', 'pop', 'budgie', 'budgie-desktop', 'pantheon', 'cosmic'],
+        read: context => readGsettingsBackground(context, 'org.gnome.desktop.background', 'picture-uri', 'picture-uri-dark'),
+        // color-scheme decides between picture-uri and picture-uri-dark
+        monitors: [['gsettings', ['monitor', 'org.gnome.desktop.background']], ['gsettings', ['monitor', 'org.gnome.desktop.interface', 'color-scheme']]]
+    },
+    {
+        name: 'kde',
+        desktops: ['kde', 'plasma'],
+        read: readKdeWallpaper,
+        files: context => [path.join(configHome(context), 'plasma-org.kde.plasma.desktop-appletsrc')]
+    },
+    {
+        name: 'xfce',
+        desktops: ['xfce'],
+        read: readXfceWallpaper,
+        monitors: [['xfconf-query', ['-c', 'xfce4-desktop', '-m']]],
+        files: context => [path.join(configHome(context), 'xfce4', 'xfconf', 'xfce-perchannel-xml', 'xfce4-desktop.xml')]
+    },
+    {
+        name: 'cinnamon',
+        desktops: ['x-cinnamon', 'cinnamon'],
+        read: context => readGsettingsBackground(context, 'org.cinnamon.desktop.background', 'picture-uri'),
+        monitors: [['gsettings', ['monitor', 'org.cinnamon.desktop.background']]]
+    },
+    {
+        name: 'mate',
+        desktops: ['mate'],
+        read: context => readGsettingsBackground(context, 'org.mate.background', 'picture-filename'),
+        monitors: [['gsettings', ['monitor', 'org.mate.background']]]
+    },
+    {
+        name: 'lxqt',
+        desktops: ['lxqt'],
+        read: readLxqtWallpaper,
+        files: context => [path.join(configHome(context), 'pcmanfm-qt', context.env.PCMANFM_QT_PROFILE || 'lxqt', 'settings.conf')]
+    },
+    {
+        name: 'lxde',
+        desktops: ['lxde'],
+        read: readLxdeWallpaper,
+        files: context => [path.join(configHome(context), 'pcmanfm', context.env.DESKTOP_SESSION || 'LXDE', 'desktop-items-0.conf')]
+    },
+    {
+        name: 'sway',
+        desktops: ['sway', 'river', 'wlroots'],
+        read: readSwayWallpaper,
+        files: context => [path.join(configHome(context), 'sway', 'config')]
+    },
+    {
+        name: 'hyprland',
+        desktops: ['hyprland'],
+        read: readHyprpaperWallpaper,
+        files: context => [path.join(configHome(context), 'hypr', 'hyprpaper.conf')]
+    },
+    {
+        name: 'feh',
+        desktops: ['i3', 'bspwm', 'openbox', 'awesome', 'dwm', 'herbstluftwm', 'qtile', 'xmonad'],
+        read: readFehWallpaper,
+        files: context => [path.join(context.homedir, '.fehbg')]
+    }
+];
+
+/**
+ * Providers to try for the current session: the ones matching XDG_CURRENT_DESKTOP, then feh
+ * (commonly used under any X11 window manager). With no match every provider is tried in order.
+ */
+function selectLinuxProviders(env) {
+    const desktops = (env.XDG_CURRENT_DESKTOP || env.DESKTOP_SESSION || '')
+        .toLowerCase()
+        .split(':')
+        .map(name => name.trim())
+        .filter(Boolean);
+    const matched = LINUX_PROVIDERS.filter(provider => provider.desktops.some(name => desktops.includes(name)));
+    if (matched.length === 0) {
+        return LINUX_PROVIDERS.slice();
+    }
+    const feh = LINUX_PROVIDERS.find(provider => provider.name === 'feh');
+    return matched.includes(feh) ? matched : [...matched, feh];
+}
+
+/**
+ * Resolves { path, placement, backgroundColor, provider, source, slideshow } from the first
+ * provider that reports a wallpaper. path is null when the desktop shows only a color; source is
+ * then the colorSource() to render instead. For slideshow descriptors path is the image currently
+ * shown, source is a blend while transitioning (see resolveSlideshow()), and slideshow is
+ * { path, nextChangeAt } with the descriptor and the time (ms) the picture next changes.
+ */
+async function readLinuxWallpaper(overrides = {}) {
+    const context = createLinuxContext(overrides);
+    const tried = [];
+    for (const provider of selectLinuxProviders(context.env)) {
+        tried.push(provider.name);
+        let result;
+        try {
+            result = await provider.read(context);
+        } catch (error) {
+            // Try the next provider
+        }
+        if (!result) {
+            continue;
+        }
+        // The provider did report a wallpaper; if it is unusable that is an error, not a reason to ask the next one
+        if (result.path) {
+            await normalizeResultPaths(result, context, provider.name);
+        }
+        if (!result.source && (!result.path || result.placement === 'none')) {
+            result.source = colorSource(result.backgroundColor);
+        }
+        return { ...result, provider: provider.name };
+    }
+    throw new Error(`Could not determine the wallpaper (tried ${tried.join(', ')})`);
+}
+
+function pathOptions(context, allowXml = false) {
+    return { homedir: context.homedir, realpath: context.realpath, stat: context.stat, readHeader: context.readHeader, allowXml };
+}
+
+// Decodes and resolves result.path in place; GNOME, Cinnamon and MATE accept slideshow descriptors in place of an image
+async function normalizeResultPaths(result, context, providerName) {
+    const normalized = await normalizeImagePath(result.path, pathOptions(context, true));
+    if (normalized.type !== 'application/xml') {
+        result.path = normalized.path;
+        result.type = normalized.type;
+        return;
+    }
+    try {
+        Object.assign(result, await resolveSlideshowFile(normalized.path, context));
+    } catch (error) {
+        throw new WallpaperPathError('EUNSUPPORTED', `Unreadable slideshow descriptor from ${providerName}: ${normalized.path} (${error.message})`, normalized.path);
+    }
+    const current = await normalizeImagePath(result.path, pathOptions(context));
+    result.path = current.path;
+    result.type = current.type;
+    if (result.source && result.source.type === 'blend') {
+        result.source.from = (await normalizeImagePath(result.source.from, pathOptions(context))).path;
+        result.source.to = (await normalizeImagePath(result.source.to, pathOptions(context))).path;
+    }
+}
+
+async function getWallpaperLinux(overrides = {}) {
+    return (await readLinuxWallpaper(overrides)).path;
+}
+
+async function getWallpaperPlacementLinux(overrides = {}) {
+    const { placement, backgroundColor } = await readLinuxWallpaper(overrides);
+    return { placement, backgroundColor };
+}
+
+// Where Windows keeps its copy of the current wallpaper; it is rewritten on every change
+function windowsTranscodedWallpaperPath(env) {
+    return env.APPDATA ? path.join(env.APPDATA, 'Microsoft', 'Windows', 'Themes', 'TranscodedWallpaper') : null;
+}
+
+/**
+ * Watches for wallpaper changes instead of polling. Setting changes are picked up from
+ * `gsettings monitor` / `xfconf-query -m` and from fs.watch on the desktop's config files;
+ * the wallpaper file itself is watched too, so overwriting the image in place is reported.
+ *
+ * onChange({ reason }) is called (debounced) with reason 'setting', 'file' (the image at the
+ * same path was rewritten) or 'fallback' (a monitor died; poll from now on).
+ * The returned watcher's `eventDriven` is true once setting changes are covered by events, so
+ * callers only need to keep polling while it is false. `ready` resolves after the initial setup.
+ *
+ * options.linuxContext overrides the environment, commands and files (see createLinuxContext);
+ * options.platform overrides os.platform(); options.debounce is in milliseconds (default 250).
+ */
+function watchWallpaper(onChange, options = {}) {
+    const context = createLinuxContext(options.linuxContext || {});
+    const platform = options.platform || os.platform();
+    const debounce = options.debounce !== undefined ? options.debounce : 250;
+    const processes = [];
+    const directoryWatchers = new Map(); // directory -> { watcher, names: Map(basename -> reason) }
+    let closed = false;
+    let timer = null;
+    let pendingReason = null;
+
+    const watcher = {
+        eventDriven: false,
+        ready: null,
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            for (const child of processes) {
+                child.kill();
+            }
+            processes.length = 0;
+            for (const entry of directoryWatchers.values()) {
+                entry.watcher.close();
+            }
+            directoryWatchers.clear();
+        }
+    };
+
+    const notify = (reason) => {
+        if (closed) {
+            return;
+        }
+        // A rewritten image needs regenerating even if no setting changed
+        pendingReason = pendingReason === 'file' || reason === 'file' ? 'file' : reason;
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            const changeReason = pendingReason;
+            pendingReason = null;
+            await refreshFiles().catch(() => { });
+            if (!closed) {
+                onChange({ reason: changeReason });
+            }
+        }, debounce);
+    };
+
+    // Watches directories rather than files: editors and desktops usually replace config files by renaming
+    const watchFiles = (files) => {
+        const wanted = new Map();
+        for (const { file, reason } of files) {
+            const directory = path.dirname(file);
+            if (!wanted.has(directory)) {
+                wanted.set(directory, new Map());
+            }
+            wanted.get(directory).set(path.basename(file), reason);
+        }
+        for (const [directory, entry] of directoryWatchers) {
+            if (!wanted.has(directory)) {
+                entry.watcher.close();
+                directoryWatchers.delete(directory);
+            }
+        }
+        for (const [directory, names] of wanted) {
+            const existing = directoryWatchers.get(directory);
+            if (existing) {
+                existing.names = names;
+                continue;
+            }
+            try {
+                const entry = { names, watcher: null };
+                entry.watcher = context.watch(directory, (eventType, filename) => {
+                    const reason = filename ? entry.names.get(filename.toString()) : null;
+                    if (reason) {
+                        notify(reason);
+                    }
+                });
+                entry.watcher.on('error', () => {
+                    entry.watcher.close();
+                    directoryWatchers.delete(directory);
+                });
+                directoryWatchers.set(directory, entry);
+            } catch (error) {
+                // Missing directory; nothing to watch there
+            }
+        }
+    };
+
+    let providerFiles = [];
+    // Only monitors that are still running and directories actually being watched report changes
+    const isEventDriven = () => processes.length > 0 || providerFiles.some(file => directoryWatchers.has(path.dirname(file)));
+
+    const refreshFiles = async () => {
+        const files = providerFiles.map(file => ({ file, reason: 'setting' }));
+        let info = null;
+        try {
+            info = platform === 'linux' ? await readLinuxWallpaper(context) : await getWallpaperInfo();
+        } catch (error) {
+            // Keep watching the settings
+        }
+        if (info) {
+            const images = info.source && info.source.type === 'blend' ? [info.source.from, info.source.to] : [info.path];
+            for (const image of images.filter(Boolean)) {
+                files.push({ file: image, reason: 'file' });
+            }
+            if (info.slideshow) {
+                files.push({ file: info.slideshow.path, reason: 'file' });
+            }
+        }
+        if (!closed) {
+            watchFiles(files);
+        }
+    };
+
+    const setup = async () => {
+        if (platform === 'linux') {
+            let providerName = null;
+            try {
+                providerName = (await readLinuxWallpaper(context)).provider;
+            } catch (error) {
+                // No provider works yet; watch nothing but the fallback poll
+            }
+            const provider = LINUX_PROVIDERS.find(item => item.name === providerName);
+            if (provider && provider.files) {
+                providerFiles = provider.files(context);
+            }
+            for (const [command, args] of (provider && provider.monitors) || []) {
+                let child;
+                try {
+                    child = context.spawn(command, args);
+                } catch (error) {
+                    continue;
                 }
+                processes.push(child);
+                let lines = 0;
+                child.stdout.on('data', (chunk) => {
+                    // xfconf-query announces that it started monitoring before any change
+                    const text = chunk.toString();
+                    if (lines++ === 0 && /^Start monitoring/i.test(text)) {
+                        return;
+                    }
+                    notify('setting');
+                });
+                const onExit = () => {
+                    const index = processes.indexOf(child);
+                    if (index < 0 || closed) {
+                        return;
+                    }
+                    processes.splice(index, 1);
+                    watcher.eventDriven = isEventDriven();
+                    onChange({ reason: 'fallback' });
+                };
+                child.on('error', onExit);
+                child.on('exit', onExit);
+            }
+        } else if (platform === 'win32') {
+            const transcoded = windowsTranscodedWallpaperPath(context.env);
+            if (transcoded) {
+                providerFiles = [transcoded];
+            }
+        }
+        await refreshFiles();
+        if (closed) {
+            watcher.close();
+            return;
+        }
+        watcher.eventDriven = isEventDriven();
+    };
+
+    watcher.ready = setup().catch(() => {
+        watcher.eventDriven = false;
+    });
+    return watcher;
+}
 
-                reject(new Error('Could not determine desktop environment (tried GNOME and KDE)'));
-            });
+function execTrimmed(command) {
+    return new Promise((resolve, reject) => {
+        exec(command, { timeout: 5000 }, (error, stdout) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            resolve(stdout.trim());
         });
     });
 }
 
-module.exports = getWallpaper;
\ No newline at end of file
+// gsettings prints strings quoted, e.g. 'zoom' or '#023c88'
+function unquoteGsettings(value) {
+    return value.replace(/^'|'$/g, '');
+}
+
+function parseHexColor(value) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    const hex = parseInt(match[1], 16);
+    return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+}
+
+// KDE stores colors as "r,g,b"
+function parseRgbList(value) {
+    const match = /^\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(value || '');
+    return match ? [1, 2, 3].map(i => Math.min(255, parseInt(match[i], 10))) : null;
+}
+
+function decodeXmlEntities(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * The default "system" source provider for BlurredWindowBackground. A source provider has
+ * getSource(), resolving to a getWallpaperInfo()-shaped object (or a path, or encoded image bytes),
+ * and optionally watch(onChange) returning a watchWallpaper()-style watcher.
+ */
+const systemSourceProvider = {
+    name: 'system',
+    getSource: () => getWallpaperInfo(),
+    watch: (onChange) => watchWallpaper(onChange)
+};
+
+module.exports = getWallpaper;
+module.exports.getWallpaperInfo = getWallpaperInfo;
+module.exports.getWallpaperPlacement = getWallpaperPlacement;
+module.exports.LINUX_PROVIDERS = LINUX_PROVIDERS;
+module.exports.selectLinuxProviders = selectLinuxProviders;
+module.exports.readLinuxWallpaper = readLinuxWallpaper;
+module.exports.createLinuxContext = createLinuxContext;
+module.exports.colorSource = colorSource;
+module.exports.parseSlideshowXml = parseSlideshowXml;
+module.exports.resolveSlideshow = resolveSlideshow;
+module.exports.watchWallpaper = watchWallpaper;
+module.exports.systemSourceProvider = systemSourceProvider;
+module.exports.WallpaperPathError = WallpaperPathError;